@@ -28,6 +28,8 @@ var modules = [
     "rangy-selectionsaverestore.js",
     "rangy-textrange.js",
     "rangy-highlighter.js",
+    "rangy-multiselection.js",
+    "rangy-selectionhistory.js",
     "rangy-util.js"
 ];
 
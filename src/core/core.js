@@ -113,6 +113,8 @@
         version: "%%build:version%%",
         initialized: false,
         isBrowser: isBrowser,
+        win: isBrowser ? window : null,
+        doc: isBrowser ? document : null,
         supported: true,
         util: util,
         features: {},
@@ -187,11 +189,6 @@
         fail("hasOwnProperty not supported");
     }
 
-    // Test whether we're in a browser and bail out if not
-    if (!isBrowser) {
-        fail("Rangy can only run in a browser");
-    }
-
     // Test whether Array.prototype.slice can be relied on for NodeLists and use an alternative toArray() if not
     (function() {
         var toArray;
@@ -222,49 +219,130 @@
         util.toArray = toArray;
     })();
 
-    // Very simple event handler wrapper function that doesn't attempt to solve issues such as "this" handling or
+    // Very simple event handler wrapper functions that don't attempt to solve issues such as "this" handling or
     // normalization of event properties because we don't need this.
-    var addListener;
+    var addListener, removeListener;
     if (isBrowser) {
         if (isHostMethod(document, "addEventListener")) {
             addListener = function(obj, eventType, listener) {
                 obj.addEventListener(eventType, listener, false);
             };
+            removeListener = function(obj, eventType, listener) {
+                obj.removeEventListener(eventType, listener, false);
+            };
         } else if (isHostMethod(document, "attachEvent")) {
             addListener = function(obj, eventType, listener) {
                 obj.attachEvent("on" + eventType, listener);
             };
+            removeListener = function(obj, eventType, listener) {
+                obj.detachEvent("on" + eventType, listener);
+            };
         } else {
             fail("Document does not have required addEventListener or attachEvent method");
         }
+    } else {
+        // Non-browser DOM implementations such as jsdom all support the standard methods
+        addListener = function(obj, eventType, listener) {
+            obj.addEventListener(eventType, listener, false);
+        };
+        removeListener = function(obj, eventType, listener) {
+            obj.removeEventListener(eventType, listener, false);
+        };
+    }
+
+    util.addListener = addListener;
+    util.removeListener = removeListener;
+
+    // Text quotes identify a piece of text by the text itself and some text either side of it, so that it can be found
+    // again after the text around it has changed. A quote is an object with exact, prefix and suffix properties.
+    function createTextQuote(text, start, end, contextLength) {
+        return {
+            exact: text.slice(start, end),
+            prefix: text.slice(Math.max(0, start - contextLength), start),
+            suffix: text.slice(end, end + contextLength)
+        };
+    }
+
+    function getCommonPrefixLength(str1, str2) {
+        var i = 0, len = Math.min(str1.length, str2.length);
+        while (i < len && str1.charAt(i) == str2.charAt(i)) {
+            ++i;
+        }
+        return i;
+    }
+
+    function getCommonSuffixLength(str1, str2) {
+        var i = 0, len = Math.min(str1.length, str2.length);
+        while (i < len && str1.charAt(str1.length - 1 - i) == str2.charAt(str2.length - 1 - i)) {
+            ++i;
+        }
+        return i;
+    }
 
-        util.addListener = addListener;
+    // Returns the occurrence of the quote's exact text whose surrounding text best matches its prefix and suffix, as an
+    // object with start, end and score properties, or null if there is none. The score is the number of characters of
+    // context matched. Ties are broken by the distance from expectedStart, so the first occurrence wins if it is
+    // omitted.
+    function findTextQuote(text, quote, expectedStart) {
+        var exact = quote.exact, prefix = quote.prefix || "", suffix = quote.suffix || "";
+        var best = null, index, end, score, distance;
+        expectedStart = expectedStart || 0;
+        if (exact) {
+            for (index = text.indexOf(exact); index != -1; index = text.indexOf(exact, index + 1)) {
+                end = index + exact.length;
+                score = getCommonSuffixLength(text.slice(Math.max(0, index - prefix.length), index), prefix) +
+                    getCommonPrefixLength(text.slice(end, end + suffix.length), suffix);
+                distance = Math.abs(index - expectedStart);
+                if (!best || score > best.score || (score == best.score && distance < best.distance)) {
+                    best = { start: index, end: end, score: score, distance: distance };
+                }
+            }
+        }
+        return best;
     }
 
+    util.createTextQuote = createTextQuote;
+    util.findTextQuote = findTextQuote;
+
     var initListeners = [];
 
     function getErrorDesc(ex) {
         return ex.message || ex.description || String(ex);
     }
 
-    // Initialization
-    function init() {
-        if (!isBrowser || api.initialized) {
+    /*
+     Initialization. In a browser, Rangy binds to the global window and document. Outside a browser (for example,
+     in Node with jsdom), there are no such globals, so the window to work with must be passed in, as in
+     rangy.init(jsdomWindow). Nothing is read from or written to the global object in that case. A browser page may
+     also bind Rangy to a different window, provided it sets rangyAutoInitialize to false before loading Rangy so
+     that the automatic initialization against the global window does not happen first.
+     */
+    function init(win) {
+        if (api.initialized) {
+            return;
+        }
+        if (win) {
+            api.win = win;
+            api.doc = win.document;
+        } else if (!isBrowser) {
+            fail("Rangy can only run in a browser unless a window object is supplied to init()");
             return;
         }
+
+        var doc = api.doc;
         var testRange;
         var implementsDomRange = false, implementsTextRange = false;
 
         // First, perform basic feature tests
 
-        if (isHostMethod(document, "createRange")) {
-            testRange = document.createRange();
+        if (isHostMethod(doc, "createRange")) {
+            testRange = doc.createRange();
             if (areHostMethods(testRange, domRangeMethods) && areHostProperties(testRange, domRangeProperties)) {
                 implementsDomRange = true;
             }
         }
 
-        var body = getBody(document);
+        var body = getBody(doc);
         if (!body || body.nodeName.toLowerCase() !== "body") {
             fail("No body element found");
             return;
@@ -345,8 +423,8 @@
     };
 
     function shim(win) {
-        win = win || window;
-        init();
+        win = win || api.win;
+        init(win);
 
         // Notify listeners
         for (var i = 0, len = shimListeners.length; i < len; ++i) {
@@ -354,10 +432,8 @@
         }
     }
 
-    if (isBrowser) {
-        api.shim = api.createMissingNativeApi = shim;
-        createAliasForDeprecatedMethod(api, "createMissingNativeApi", "shim");
-    }
+    api.shim = api.createMissingNativeApi = shim;
+    createAliasForDeprecatedMethod(api, "createMissingNativeApi", "shim");
 
     function Module(name, dependencies, initializer) {
         this.name = name;
@@ -6,26 +6,28 @@
     var getBody = util.getBody;
 
     // Perform feature tests
-    if (!util.areHostMethods(document, ["createDocumentFragment", "createElement", "createTextNode"])) {
+    if (!util.areHostMethods(api.doc, ["createDocumentFragment", "createElement", "createTextNode"])) {
         module.fail("document missing a Node creation method");
     }
 
-    if (!util.isHostMethod(document, "getElementsByTagName")) {
+    if (!util.isHostMethod(api.doc, "getElementsByTagName")) {
         module.fail("document missing getElementsByTagName method");
     }
 
-    var el = document.createElement("div");
+    var el = api.doc.createElement("div");
     if (!util.areHostMethods(el, ["insertBefore", "appendChild", "cloneNode"] ||
             !util.areHostObjects(el, ["previousSibling", "nextSibling", "childNodes", "parentNode"]))) {
         module.fail("Incomplete Element implementation");
     }
 
+    api.features.implementsShadowDom = util.isHostMethod(el, "attachShadow");
+
     // innerHTML is required for Range's createContextualFragment method
     if (!util.isHostProperty(el, "innerHTML")) {
         module.fail("Element is missing innerHTML property");
     }
 
-    var textNode = document.createTextNode("test");
+    var textNode = api.doc.createTextNode("test");
     if (!util.areHostMethods(textNode, ["splitText", "deleteData", "insertData", "appendData", "cloneNode"] ||
             !util.areHostObjects(el, ["previousSibling", "nextSibling", "childNodes", "parentNode"]) ||
             !util.areHostProperties(textNode, ["data"]))) {
@@ -84,13 +86,27 @@
         }
     }
 
-    function getCommonAncestor(node1, node2) {
+    // Shadow DOM support. In the composed tree, the parent of a shadow root is its host element. For the purposes of
+    // comparing boundary points, a shadow root is considered to precede its host's child nodes.
+    function isShadowRoot(node) {
+        return !!node && node.nodeType === 11 && !!node.host;
+    }
+
+    function getComposedParentNode(node) {
+        return node.parentNode || (isShadowRoot(node) ? node.host : null);
+    }
+
+    function getParentNode(node, composed) {
+        return composed ? getComposedParentNode(node) : node.parentNode;
+    }
+
+    function getCommonAncestor(node1, node2, composed) {
         var ancestors = [], n;
-        for (n = node1; n; n = n.parentNode) {
+        for (n = node1; n; n = getParentNode(n, composed)) {
             ancestors.push(n);
         }
 
-        for (n = node2; n; n = n.parentNode) {
+        for (n = node2; n; n = getParentNode(n, composed)) {
             if (arrayContains(ancestors, n)) {
                 return n;
             }
@@ -99,26 +115,26 @@
         return null;
     }
 
-    function isAncestorOf(ancestor, descendant, selfIsAncestor) {
-        var n = selfIsAncestor ? descendant : descendant.parentNode;
+    function isAncestorOf(ancestor, descendant, selfIsAncestor, composed) {
+        var n = selfIsAncestor ? descendant : getParentNode(descendant, composed);
         while (n) {
             if (n === ancestor) {
                 return true;
             } else {
-                n = n.parentNode;
+                n = getParentNode(n, composed);
             }
         }
         return false;
     }
 
-    function isOrIsAncestorOf(ancestor, descendant) {
-        return isAncestorOf(ancestor, descendant, true);
+    function isOrIsAncestorOf(ancestor, descendant, composed) {
+        return isAncestorOf(ancestor, descendant, true, composed);
     }
 
-    function getClosestAncestorIn(node, ancestor, selfIsAncestor) {
-        var p, n = selfIsAncestor ? node : node.parentNode;
+    function getClosestAncestorIn(node, ancestor, selfIsAncestor, composed) {
+        var p, n = selfIsAncestor ? node : getParentNode(node, composed);
         while (n) {
-            p = n.parentNode;
+            p = getParentNode(n, composed);
             if (p === ancestor) {
                 return n;
             }
@@ -229,7 +245,7 @@
         var doc;
 
         if (!obj) {
-            doc = document;
+            doc = api.doc;
         }
 
         // Test if a DOM node has been passed and obtain a document object for it if so
@@ -250,44 +266,50 @@
         return doc;
     }
 
-    function getRootContainer(node) {
+    function getRootContainer(node, composed) {
         var parent;
-        while ( (parent = node.parentNode) ) {
+        while ( (parent = getParentNode(node, composed)) ) {
             node = parent;
         }
         return node;
     }
 
-    function comparePoints(nodeA, offsetA, nodeB, offsetB) {
+    // If composed is true, the points are compared in the composed tree, so that points within different shadow trees
+    // or either side of a shadow boundary may be compared
+    function comparePoints(nodeA, offsetA, nodeB, offsetB, composed) {
         // See http://www.w3.org/TR/DOM-Level-2-Traversal-Range/ranges.html#Level-2-Range-Comparing
         var nodeC, root, childA, childB, n;
         if (nodeA === nodeB) {
             log.debug("case 1");
             // Case 1: nodes are the same
             return offsetA === offsetB ? 0 : (offsetA < offsetB) ? -1 : 1;
-        } else if ( (nodeC = getClosestAncestorIn(nodeB, nodeA, true)) ) {
+        } else if ( (nodeC = getClosestAncestorIn(nodeB, nodeA, true, composed)) ) {
             log.debug("case 2", inspectNode(nodeC), getNodeIndex(nodeC));
             // Case 2: node C (container B or an ancestor) is a child node of A
             return offsetA <= getNodeIndex(nodeC) ? -1 : 1;
-        } else if ( (nodeC = getClosestAncestorIn(nodeA, nodeB, true)) ) {
+        } else if ( (nodeC = getClosestAncestorIn(nodeA, nodeB, true, composed)) ) {
             log.debug("case 3");
             // Case 3: node C (container A or an ancestor) is a child node of B
             return getNodeIndex(nodeC) < offsetB  ? -1 : 1;
         } else {
-            root = getCommonAncestor(nodeA, nodeB);
+            root = getCommonAncestor(nodeA, nodeB, composed);
             if (!root) {
                 throw new Error("comparePoints error: nodes have no common ancestor");
             }
 
             // Case 4: containers are siblings or descendants of siblings
             log.debug("case 4");
-            childA = (nodeA === root) ? root : getClosestAncestorIn(nodeA, root, true);
-            childB = (nodeB === root) ? root : getClosestAncestorIn(nodeB, root, true);
+            childA = (nodeA === root) ? root : getClosestAncestorIn(nodeA, root, true, composed);
+            childB = (nodeB === root) ? root : getClosestAncestorIn(nodeB, root, true, composed);
 
             if (childA === childB) {
                 // This shouldn't be possible
                 log.warn("comparePoints got to case 4 and childA and childB are the same!", nodeA, offsetA, nodeB, offsetB);
                 throw module.createError("comparePoints got to case 4 and childA and childB are the same!");
+            } else if (isShadowRoot(childA)) {
+                return -1;
+            } else if (isShadowRoot(childB)) {
+                return 1;
             } else {
                 n = root.firstChild;
                 while (n) {
@@ -320,7 +342,7 @@
     }
 
     (function() {
-        var el = document.createElement("b");
+        var el = api.doc.createElement("b");
         el.innerHTML = "1";
         var textNode = el.firstChild;
         el.innerHTML = "<br />";
@@ -356,17 +378,92 @@
         return fragment;
     }
 
-    var getComputedStyleProperty;
-    if (typeof window.getComputedStyle !== UNDEF) {
-        getComputedStyleProperty = function(el, propName) {
+    var getStyleProperty;
+    if (typeof api.win.getComputedStyle !== UNDEF) {
+        getStyleProperty = function(el, propName) {
             return getWindow(el).getComputedStyle(el, null)[propName];
         };
-    } else if (typeof document.documentElement.currentStyle !== UNDEF) {
-        getComputedStyleProperty = function(el, propName) {
+    } else if (typeof api.doc.documentElement.currentStyle !== UNDEF) {
+        getStyleProperty = function(el, propName) {
             return el.currentStyle ? el.currentStyle[propName] : "";
         };
     } else {
-        module.fail("No means of obtaining computed style properties found");
+        // Some non-browser DOM implementations have no computed styles at all, so fall back to inline styles
+        module.warn("No means of obtaining computed style properties found. Inline styles will be used instead.");
+        getStyleProperty = function(el, propName) {
+            return (el.style && el.style[propName]) || "";
+        };
+    }
+
+    // Test for DOM implementations without layout (e.g. jsdom), whose computed display values are empty
+    var computedStyleAvailable = false;
+    (function() {
+        var body = getBody(api.doc);
+        if (body) {
+            var span = body.appendChild(api.doc.createElement("span"));
+            computedStyleAvailable = (getStyleProperty(span, "display") === "inline");
+            body.removeChild(span);
+        }
+    })();
+
+    var defaultDisplayValueForTag = {
+        table: "table",
+        caption: "table-caption",
+        colgroup: "table-column-group",
+        col: "table-column",
+        thead: "table-header-group",
+        tbody: "table-row-group",
+        tfoot: "table-footer-group",
+        tr: "table-row",
+        td: "table-cell",
+        th: "table-cell"
+    };
+
+    var blockDisplayTagsRegex = /^(address|article|aside|blockquote|body|center|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|h[1-6]|header|hgroup|hr|html|legend|main|menu|nav|ol|p|pre|section|summary|ul)$/;
+    var noneDisplayTagsRegex = /^(base|head|link|meta|noscript|script|style|template|title)$/;
+    var preWhiteSpaceTagsRegex = /^(listing|plaintext|pre|textarea|xmp)$/;
+
+    // Approximates the display value of an element from its inline style and tag name when no layout is available
+    function getDefaultDisplay(el) {
+        var tagName = el.tagName.toLowerCase();
+        if (el.style && el.style.display) {
+            return el.style.display;
+        } else if (el.hasAttribute && el.hasAttribute("hidden")) {
+            return "none";
+        } else if (defaultDisplayValueForTag.hasOwnProperty(tagName)) {
+            return defaultDisplayValueForTag[tagName];
+        } else if (tagName === "li") {
+            return "list-item";
+        } else if (blockDisplayTagsRegex.test(tagName)) {
+            return "block";
+        } else if (noneDisplayTagsRegex.test(tagName)) {
+            return "none";
+        }
+        return "inline";
+    }
+
+    // Approximates the white-space value of an element from inline styles and tag names when no layout is available
+    function getDefaultWhiteSpace(el) {
+        while (el && el.nodeType === 1) {
+            if (el.style && el.style.whiteSpace) {
+                return el.style.whiteSpace;
+            } else if (preWhiteSpaceTagsRegex.test(el.tagName.toLowerCase())) {
+                return "pre";
+            }
+            el = el.parentNode;
+        }
+        return "normal";
+    }
+
+    function getComputedStyleProperty(el, propName) {
+        if (!computedStyleAvailable) {
+            if (propName == "display") {
+                return getDefaultDisplay(el);
+            } else if (propName == "whiteSpace") {
+                return getDefaultWhiteSpace(el);
+            }
+        }
+        return getStyleProperty(el, propName);
     }
 
     function createTestElement(doc, html, contentEditable) {
@@ -436,11 +533,97 @@
         this.offset = offset;
     }
 
+    // Returns the boundary point immediately after or before the specified one in document order, or null if there is
+    // none. Every boundary point within the node's root is visited, including those within character data.
+    function getAdjacentBoundary(node, offset, forward) {
+        var parent = node.parentNode, child;
+        if (forward ? offset < getNodeLength(node) : offset > 0) {
+            if (isCharacterDataNode(node)) {
+                return new DomPosition(node, forward ? offset + 1 : offset - 1);
+            }
+            child = node.childNodes[forward ? offset : offset - 1];
+
+            // Boundary points cannot lie within a DocumentType node, so skip over it
+            if (child.nodeType === 10) {
+                return new DomPosition(node, forward ? offset + 1 : offset - 1);
+            }
+            return new DomPosition(child, forward ? 0 : getNodeLength(child));
+        }
+        return parent ? new DomPosition(parent, getNodeIndex(node) + (forward ? 1 : 0)) : null;
+    }
+
+    function getAdjacentMatchingBoundary(pos, forward, test) {
+        while ( (pos = getAdjacentBoundary(pos.node, pos.offset, forward)) && !test(pos.node) ) {}
+        return pos;
+    }
+
+    function isTextNode(node) {
+        return node.nodeType === 3;
+    }
+
+    function isLeafNode(node) {
+        return !node.firstChild;
+    }
+
     DomPosition.prototype = {
         equals: function(pos) {
             return !!pos && this.node === pos.node && this.offset === pos.offset;
         },
 
+        // Returns -1, 0 or 1 depending on whether this position is before, equal to or after the specified position
+        compareTo: function(pos) {
+            return comparePoints(this.node, this.offset, pos.node, pos.offset);
+        },
+
+        isBefore: function(pos) {
+            return this.compareTo(pos) === -1;
+        },
+
+        isAfter: function(pos) {
+            return this.compareTo(pos) === 1;
+        },
+
+        // Returns whether the position lies within the specified node, including directly within it
+        isInside: function(node) {
+            return isOrIsAncestorOf(node, this.node);
+        },
+
+        nextBoundary: function() {
+            return getAdjacentBoundary(this.node, this.offset, true);
+        },
+
+        previousBoundary: function() {
+            return getAdjacentBoundary(this.node, this.offset, false);
+        },
+
+        // The following return the nearest boundary point in the specified direction whose container is a text node
+        // or a leaf node (a node without children) respectively. The leaf node may be a text node.
+        nextTextPosition: function() {
+            return getAdjacentMatchingBoundary(this, true, isTextNode);
+        },
+
+        previousTextPosition: function() {
+            return getAdjacentMatchingBoundary(this, false, isTextNode);
+        },
+
+        nextLeafPosition: function() {
+            return getAdjacentMatchingBoundary(this, true, isLeafNode);
+        },
+
+        previousLeafPosition: function() {
+            return getAdjacentMatchingBoundary(this, false, isLeafNode);
+        },
+
+        getCanonical: function(preferFollowing) {
+            return getCanonicalPosition(this.node, this.offset, preferFollowing);
+        },
+
+        toRange: function() {
+            var range = api.createRange(getDocument(this.node));
+            range.collapseToPoint(this.node, this.offset);
+            return range;
+        },
+
         inspect: function() {
             return "[DomPosition(" + inspectNode(this.node) + ":" + this.offset + ")]";
         },
@@ -450,6 +633,100 @@
         }
     };
 
+    // Creates a position from the start of a range, or from its end if atEnd is true
+    DomPosition.fromRange = function(range, atEnd) {
+        return atEnd ?
+            new DomPosition(range.endContainer, range.endOffset) : new DomPosition(range.startContainer, range.startOffset);
+    };
+
+    /*----------------------------------------------------------------------------------------------------------------*/
+
+    // Canonical positions
+
+    // A single visual position in a document may be expressed as several boundary points. For example, in
+    // "<b>one</b>two", the points ("one", 3), (<b>, 1), (parent, 1) and ("two", 0) are all the same caret position.
+    // getCanonicalPosition() maps all of these to the same point without modifying the DOM. Since no layout
+    // information is used, elements are treated as inline unless their tag name is that of a standard block-level
+    // element. Block-level elements and elements whose contents are not text, such as images and form controls, are
+    // never entered or left.
+
+    var blockElementTagNameRegex = /^(address|article|aside|blockquote|body|caption|center|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|h[1-6]|header|hgroup|hr|html|legend|li|main|menu|nav|ol|p|pre|section|summary|table|tbody|td|tfoot|th|thead|tr|ul)$/i;
+    var atomicElementTagNameRegex = /^(area|audio|br|button|canvas|embed|head|iframe|img|input|math|meter|noscript|object|progress|script|select|style|svg|template|textarea|video)$/i;
+
+    function isPositionBarrier(node) {
+        return node.nodeType === 1 &&
+            (blockElementTagNameRegex.test(node.nodeName) || atomicElementTagNameRegex.test(node.nodeName));
+    }
+
+    function isTextPosition(pos) {
+        var type = pos.node.nodeType;
+        return type === 3 || type === 4;
+    }
+
+    // Returns the equivalent position immediately before or after the specified position in document order, or null
+    // if there is no such position
+    function getAdjacentEquivalentPosition(pos, forward) {
+        var node = pos.node, offset = pos.offset, parent = node.parentNode;
+
+        if (isCharacterDataNode(node)) {
+            if (offset !== (forward ? node.length : 0) || !parent) {
+                return null;
+            }
+            return new DomPosition(parent, getNodeIndex(node) + (forward ? 1 : 0));
+        }
+
+        var child = node.childNodes[forward ? offset : offset - 1];
+        if (child) {
+            switch (child.nodeType) {
+                case 3:
+                case 4:
+                    return new DomPosition(child, forward ? 0 : child.length);
+                case 1:
+                    return isPositionBarrier(child) ?
+                        null : new DomPosition(child, forward ? 0 : child.childNodes.length);
+                case 7:
+                case 8:
+                    // Comments and processing instructions are invisible, so skip past them
+                    return new DomPosition(node, forward ? offset + 1 : offset - 1);
+                default:
+                    return null;
+            }
+        }
+
+        // The position is at the start or end of the node, so move out of the node into its parent if possible
+        if (node.nodeType === 1 && !isPositionBarrier(node) && parent) {
+            return new DomPosition(parent, getNodeIndex(node) + (forward ? 1 : 0));
+        }
+        return null;
+    }
+
+    // Returns the canonical form of the specified boundary point, which is the deepest position within a text node
+    // that is equivalent to it, preferring the end of the preceding text (or, if preferFollowing is true, the start of
+    // the following text). If there is no equivalent text position, the canonical form is the first (or last)
+    // equivalent position in document order.
+    function getCanonicalPosition(node, offset, preferFollowing) {
+        var pos = new DomPosition(node, offset), adjacentPos;
+
+        // Move as far as possible in the preferred direction
+        while ( (adjacentPos = getAdjacentEquivalentPosition(pos, !!preferFollowing)) ) {
+            pos = adjacentPos;
+        }
+
+        // If that did not end up in a text node, look for an equivalent text position in the other direction
+        var textPos = pos;
+        while (!isTextPosition(textPos) && (adjacentPos = getAdjacentEquivalentPosition(textPos, !preferFollowing)) ) {
+            textPos = adjacentPos;
+        }
+
+        return isTextPosition(textPos) ? textPos : pos;
+    }
+
+    function positionsVisuallyEqual(node1, offset1, node2, offset2) {
+        return getCanonicalPosition(node1, offset1).equals( getCanonicalPosition(node2, offset2) );
+    }
+
+    /*----------------------------------------------------------------------------------------------------------------*/
+
     function DOMException(codeName) {
         this.code = this[codeName];
         this.codeName = codeName;
@@ -481,6 +758,8 @@
         isAncestorOf: isAncestorOf,
         isOrIsAncestorOf: isOrIsAncestorOf,
         getClosestAncestorIn: getClosestAncestorIn,
+        isShadowRoot: isShadowRoot,
+        getComposedParentNode: getComposedParentNode,
         isCharacterDataNode: isCharacterDataNode,
         isTextOrCommentNode: isTextOrCommentNode,
         insertAfter: insertAfter,
@@ -501,6 +780,8 @@
         removeNode: removeNode,
         fragmentFromNodeChildren: fragmentFromNodeChildren,
         createIterator: createIterator,
+        getCanonicalPosition: getCanonicalPosition,
+        positionsVisuallyEqual: positionsVisuallyEqual,
         DomPosition: DomPosition
     };
 
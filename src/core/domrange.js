@@ -320,6 +320,134 @@
 
     /*----------------------------------------------------------------------------------------------------------------*/
 
+    // Text segments
+
+    // A TextSegment is the part of a single text node that lies within a range
+    function TextSegment(node, startOffset, endOffset) {
+        this.node = node;
+        this.startOffset = startOffset;
+        this.endOffset = endOffset;
+    }
+
+    TextSegment.prototype = {
+        getText: function() {
+            return this.node.data.slice(this.startOffset, this.endOffset);
+        },
+
+        toRange: function() {
+            var range = api.createRange(this.node);
+            range.setStartAndEnd(this.node, this.startOffset, this.endOffset);
+            return range;
+        },
+
+        inspect: function() {
+            return "[TextSegment(" + dom.inspectNode(this.node) + ":" + this.startOffset + ", " + this.endOffset + ")]";
+        },
+
+        toString: function() {
+            return this.getText();
+        }
+    };
+
+    var defaultTextSegmentOptions = {
+        filter: null,
+        skipIgnored: false,
+        skipCollapsed: false
+    };
+
+    function getTextRangeNodeTest(name) {
+        var textRange = api.textRange;
+        if (!textRange || !textRange[name]) {
+            throw module.createError("The skipIgnored and skipCollapsed options require the TextRange module");
+        }
+        return textRange[name];
+    }
+
+    function createIgnoredTextNodeTest() {
+        var isIgnoredNode = getTextRangeNodeTest("isIgnoredNode");
+        var lastParent = null, lastParentIgnored = false;
+
+        // A text node is ignored if it or any of its ancestors is. Consecutive text nodes usually share a parent, so
+        // the result for the most recent parent is remembered.
+        return function(textNode) {
+            var parent = textNode.parentNode;
+            if (parent !== lastParent) {
+                lastParent = parent;
+                lastParentIgnored = false;
+                for (var node = parent; node; node = dom.getComposedParentNode(node)) {
+                    if (isIgnoredNode(node)) {
+                        lastParentIgnored = true;
+                        break;
+                    }
+                }
+            }
+            return lastParentIgnored || isIgnoredNode(textNode);
+        };
+    }
+
+    function getTextSegments(range, options) {
+        options = util.createOptions(options, defaultTextSegmentOptions);
+
+        var filter = options.filter;
+        var isIgnoredTextNode = options.skipIgnored ? createIgnoredTextNodeTest() : null;
+        var isCollapsedNode = options.skipCollapsed ? getTextRangeNodeTest("isCollapsedNode") : null;
+        var sc = range.startContainer, so = range.startOffset, ec = range.endContainer, eo = range.endOffset;
+        var segments = [], textNodes = getNodesInRange(range, [3]), startOffset, endOffset;
+
+        for (var i = 0, textNode; textNode = textNodes[i++]; ) {
+            startOffset = (textNode === sc) ? so : 0;
+            endOffset = (textNode === ec) ? eo : textNode.length;
+            if (startOffset < endOffset &&
+                    !(isIgnoredTextNode && isIgnoredTextNode(textNode)) &&
+                    !(isCollapsedNode && isCollapsedNode(textNode)) &&
+                    !(filter && !filter(textNode))) {
+                segments.push(new TextSegment(textNode, startOffset, endOffset));
+            }
+        }
+        return segments;
+    }
+
+    // Iterates over the non-empty text segments within a range in document order. The segments are determined when
+    // the iterator is created, so it is safe to modify the DOM (for example, to wrap each segment in an element)
+    // during iteration. Where the environment supports it, the iterator may also be used in a for...of loop.
+    function TextSegmentIterator(range, options) {
+        assertRangeValid(range);
+        this.segments = getTextSegments(range, options);
+        this.reset();
+    }
+
+    TextSegmentIterator.prototype = {
+        reset: function() {
+            this._index = 0;
+        },
+
+        hasNext: function() {
+            return !!this.segments && this._index < this.segments.length;
+        },
+
+        next: function() {
+            return this.hasNext() ? this.segments[this._index++] : null;
+        },
+
+        detach: function() {
+            this.segments = null;
+        }
+    };
+
+    if (typeof Symbol == "function" && Symbol.iterator) {
+        TextSegmentIterator.prototype[Symbol.iterator] = function() {
+            var iterator = this;
+            return {
+                next: function() {
+                    var segment = iterator.next();
+                    return segment ? { value: segment, done: false } : { value: undefined, done: true };
+                }
+            };
+        };
+    }
+
+    /*----------------------------------------------------------------------------------------------------------------*/
+
     var beforeAfterNodeTypes = [1, 3, 4, 5, 7, 8, 10];
     var rootContainerNodeTypes = [2, 9, 11];
     var readonlyNodeTypes = [5, 6, 10, 12];
@@ -402,7 +530,7 @@
     /*----------------------------------------------------------------------------------------------------------------*/
 
     // Test the browser's innerHTML support to decide how to implement createContextualFragment
-    var styleEl = document.createElement("style");
+    var styleEl = api.doc.createElement("style");
     var htmlParsingConforms = false;
     try {
         styleEl.innerHTML = "<b>x</b>";
@@ -514,7 +642,9 @@
 
     function rangeToHtml(range) {
         assertRangeValid(range);
-        var container = range.commonAncestorContainer.parentNode.cloneNode(false);
+        // The common ancestor may have no parent, as in the case of a shadow root
+        var parentNode = range.commonAncestorContainer.parentNode;
+        var container = parentNode ? parentNode.cloneNode(false) : getRangeDocument(range).createElement("div");
         container.appendChild( range.cloneContents() );
         return container.innerHTML;
     }
@@ -764,6 +894,54 @@
             }
         },
 
+        // Returns an array of zero, one or two ranges in document order covering the parts of this range that are
+        // not covered by the specified range. Sharing a boundary does not count as overlapping.
+        subtract: function(range) {
+            if (!this.intersectsRange(range)) {
+                return [this.cloneRange()];
+            }
+
+            var remainders = [], remainder;
+            if (comparePoints(this.startContainer, this.startOffset, range.startContainer, range.startOffset) === -1) {
+                remainder = this.cloneRange();
+                remainder.setEnd(range.startContainer, range.startOffset);
+                remainders.push(remainder);
+            }
+            if (comparePoints(this.endContainer, this.endOffset, range.endContainer, range.endOffset) === 1) {
+                remainder = this.cloneRange();
+                remainder.setStart(range.endContainer, range.endOffset);
+                remainders.push(remainder);
+            }
+            return remainders;
+        },
+
+        // Clamps the boundaries of this range to lie within the contents of the specified node and returns the range.
+        // If the range neither overlaps nor touches the node's contents, the range is left unchanged and null is
+        // returned, unless collapseIfOutside is true, in which case the range is collapsed to the nearer end of the
+        // node's contents.
+        restrict: function(node, collapseIfOutside) {
+            assertRangeValid(this);
+            var nodeLength = getNodeLength(node);
+            var sameRoot = (getRootContainer(node) === getRangeRoot(this));
+
+            if (sameRoot && comparePoints(this.endContainer, this.endOffset, node, 0) >= 0 &&
+                    comparePoints(this.startContainer, this.startOffset, node, nodeLength) <= 0) {
+                if (comparePoints(this.startContainer, this.startOffset, node, 0) === -1) {
+                    this.setStart(node, 0);
+                }
+                if (comparePoints(this.endContainer, this.endOffset, node, nodeLength) === 1) {
+                    this.setEnd(node, nodeLength);
+                }
+                return this;
+            } else if (collapseIfOutside) {
+                var offset = (sameRoot && comparePoints(this.startContainer, this.startOffset, node, 0) === 1) ?
+                    nodeLength : 0;
+                this.collapseToPoint(node, offset);
+                return this;
+            }
+            return null;
+        },
+
         containsNode: function(node, allowPartial) {
             if (allowPartial) {
                 return this.intersectsNode(node, false);
@@ -800,6 +978,15 @@
             return getNodesInRange(this, nodeTypes, filter);
         },
 
+        createTextSegmentIterator: function(options) {
+            return new TextSegmentIterator(this, options);
+        },
+
+        getTextSegments: function(options) {
+            assertRangeValid(this);
+            return getTextSegments(this, options);
+        },
+
         getDocument: function() {
             return getRangeDocument(this);
         },
@@ -872,6 +1059,23 @@
             return Range.rangesEqual(this, range);
         },
 
+        // Returns a copy of this range with both boundaries converted to their canonical forms, as returned by
+        // dom.getCanonicalPosition(). The range itself is not modified.
+        getCanonicalRange: function(preferFollowing) {
+            assertRangeValid(this);
+            var start = dom.getCanonicalPosition(this.startContainer, this.startOffset, preferFollowing);
+            var end = dom.getCanonicalPosition(this.endContainer, this.endOffset, preferFollowing);
+            var range = this.cloneRange();
+            range.setStartAndEnd(start.node, start.offset, end.node, end.offset);
+            return range;
+        },
+
+        // Unlike equals(), considers ranges whose boundaries are expressed differently but represent the same visual
+        // positions to be equal
+        visuallyEquals: function(range) {
+            return Range.rangesVisuallyEqual(this, range);
+        },
+
         isValid: function() {
             return isRangeValid(this);
         },
@@ -1204,12 +1408,23 @@
     }
 
     function updateBoundaries(range, startContainer, startOffset, endContainer, endOffset) {
+        var liveState = range._liveState;
+
+        // Bring a live range up to date with any pending DOM mutations before its boundaries are replaced
+        if (liveState) {
+            liveState.tracker.flush();
+        }
+
         range.startContainer = startContainer;
         range.startOffset = startOffset;
         range.endContainer = endContainer;
         range.endOffset = endOffset;
         range.document = dom.getDocument(startContainer);
         updateCollapsedAndCommonAncestor(range);
+
+        if (liveState) {
+            updateLiveRangeState(range);
+        }
     }
 
     function Range(doc) {
@@ -1218,9 +1433,343 @@
 
     createPrototypeRange(Range, updateBoundaries);
 
+    /*----------------------------------------------------------------------------------------------------------------*/
+
+    // Live ranges
+
+    // A DomRange is a static snapshot of its boundaries unless it is made live using setLive(true). A live range is
+    // registered with a MutationObserver on its root node and its boundaries are updated following DOM mutations
+    // according to the rules for live ranges in the DOM spec. Mutation records are delivered asynchronously, so any
+    // pending records are processed whenever a boundary property of a live range is read or its boundaries are set.
+    // Since the records only describe the outcome of each mutation, splitText() and normalize() are recognized from
+    // the pattern of records they produce.
+
+    api.features.liveRanges = util.isHostMethod(api.win, "MutationObserver") && util.isHostMethod(Object, "defineProperty");
+
+    var liveRangeTrackers = [];
+
+    function LiveRangeTracker(root) {
+        var tracker = this;
+        this.root = root;
+        this.ranges = [];
+        this.processing = false;
+        this.observer = new api.win.MutationObserver(function(records) {
+            tracker.processRecords(records);
+        });
+        this.observer.observe(root, {
+            childList: true,
+            characterData: true,
+            characterDataOldValue: true,
+            subtree: true
+        });
+    }
+
+    LiveRangeTracker.prototype = {
+        addRange: function(range) {
+            this.ranges.push(range);
+        },
+
+        removeRange: function(range) {
+            var ranges = this.ranges, i = ranges.length;
+            while (i--) {
+                if (ranges[i] === range) {
+                    ranges.splice(i, 1);
+                }
+            }
+
+            if (ranges.length == 0) {
+                this.observer.disconnect();
+                for (i = liveRangeTrackers.length; i--; ) {
+                    if (liveRangeTrackers[i] === this) {
+                        liveRangeTrackers.splice(i, 1);
+                    }
+                }
+            }
+        },
+
+        flush: function() {
+            if (!this.processing) {
+                var records = this.observer.takeRecords();
+                if (records.length) {
+                    this.processRecords(records);
+                }
+            }
+        },
+
+        processRecords: function(records) {
+            log.debug("Processing " + records.length + " mutation records for " + this.ranges.length + " live range(s)");
+            this.processing = true;
+
+            // Copy the array of ranges, since a range whose root node changes moves to a different tracker
+            var ranges = this.ranges.slice(0);
+            try {
+                for (var i = 0, len = ranges.length; i < len; ++i) {
+                    updateLiveRange(ranges[i], records);
+                }
+            } finally {
+                this.processing = false;
+            }
+        }
+    };
+
+    function getLiveRangeTracker(root) {
+        for (var i = 0, tracker; tracker = liveRangeTrackers[i++]; ) {
+            if (tracker.root === root) {
+                return tracker;
+            }
+        }
+        tracker = new LiveRangeTracker(root);
+        liveRangeTrackers.push(tracker);
+        return tracker;
+    }
+
+    // A boundary within a node that is not a character data node is tracked using the child node preceding it (or
+    // null for a boundary at the start of the node) rather than its offset, which is recalculated after mutations
+    function LiveBoundary(node, offset) {
+        this.node = node;
+        this.offset = offset;
+        this.precedingNode = (isCharacterDataNode(node) || offset == 0) ? null : node.childNodes[offset - 1];
+    }
+
+    // Returns the data of the target of the character data mutation record at the specified index immediately after
+    // the mutation, which is either the old value recorded for the next mutation of the same node or its current data
+    function getDataAfterMutation(records, index) {
+        var target = records[index].target, record;
+        for (var i = index + 1, len = records.length; i < len; ++i) {
+            record = records[i];
+            if (record.type == "characterData" && record.target === target) {
+                return record.oldValue;
+            }
+        }
+        return target.data;
+    }
+
+    // Looks for a node inserted immediately after the specified character data node whose data is the data removed
+    // from the end of the character data node, which is what splitText() (or dom.splitDataNode()) produces
+    function getSplitNode(records, node, removedData) {
+        for (var i = 0, record, addedNode; record = records[i++]; ) {
+            if (record.type == "childList" && record.previousSibling === node) {
+                addedNode = record.addedNodes[0];
+                if (addedNode && addedNode.nodeType == node.nodeType && addedNode.data === removedData) {
+                    return addedNode;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Checks whether a removed character data node had its data appended to its previous sibling beforehand, which is
+    // what normalize() produces. Returns the offset within the previous sibling at which the data was appended, or -1.
+    function getMergeOffset(records, index, removedNodeIndex, previousSibling) {
+        var removedNode = records[index].removedNodes[removedNodeIndex];
+        if (!previousSibling || !isCharacterDataNode(removedNode) || previousSibling.nodeType != removedNode.nodeType) {
+            return -1;
+        }
+
+        // Find the most recent mutation of the previous sibling's data
+        var i = index, record;
+        while (i--) {
+            record = records[i];
+            if (record.type == "characterData" && record.target === previousSibling) {
+                break;
+            }
+        }
+        if (i == -1) {
+            return -1;
+        }
+
+        // Skip the data of any other nodes merged into the previous sibling since then
+        var offset = record.oldValue.length, data = getDataAfterMutation(records, i), j, removedNodes, removedLength;
+        for (++i; i <= index; ++i) {
+            record = records[i];
+            if (record.type == "childList" && record.previousSibling === previousSibling) {
+                removedNodes = record.removedNodes;
+                removedLength = (i == index) ? removedNodeIndex : removedNodes.length;
+                for (j = 0; j < removedLength; ++j) {
+                    if (isCharacterDataNode(removedNodes[j])) {
+                        offset += removedNodes[j].length;
+                    }
+                }
+            }
+        }
+
+        return (data.substr(offset, removedNode.length) === removedNode.data) ? offset : -1;
+    }
+
+    function updateLiveBoundaryForDataMutation(boundary, records, index) {
+        var oldData = records[index].oldValue, newData = getDataAfterMutation(records, index);
+        var oldLength = oldData.length, newLength = newData.length, minLength = Math.min(oldLength, newLength);
+
+        // Work out the portion of the data that was replaced
+        var start = 0, end = 0;
+        while (start < minLength && oldData.charAt(start) === newData.charAt(start)) {
+            ++start;
+        }
+        while (end < minLength - start && oldData.charAt(oldLength - end - 1) === newData.charAt(newLength - end - 1)) {
+            ++end;
+        }
+        var removedCount = oldLength - start - end, insertedCount = newLength - start - end;
+
+        var offset = boundary.offset, splitNode;
+        if (offset > start) {
+            if (insertedCount == 0 && end == 0 &&
+                    (splitNode = getSplitNode(records, boundary.node, oldData.slice(start)))) {
+                boundary.node = splitNode;
+                boundary.offset = offset - start;
+            } else if (offset <= start + removedCount) {
+                boundary.offset = start;
+            } else {
+                boundary.offset = offset + insertedCount - removedCount;
+            }
+        }
+    }
+
+    function updateLiveBoundaryForChildListMutation(boundary, records, index) {
+        var record = records[index], parentNode = record.target, previousSibling = record.previousSibling;
+        var removedNodes = record.removedNodes, removedNode, mergeOffset;
+
+        for (var i = 0, len = removedNodes.length; i < len; ++i) {
+            removedNode = removedNodes[i];
+            if (boundary.node === parentNode && boundary.precedingNode === previousSibling && previousSibling) {
+                // A boundary immediately before a text node merged into its previous sibling moves into the sibling
+                mergeOffset = getMergeOffset(records, index, i, previousSibling);
+                if (mergeOffset != -1) {
+                    boundary.node = previousSibling;
+                    boundary.offset = mergeOffset;
+                    boundary.precedingNode = null;
+                }
+            } else if (boundary.node === parentNode && boundary.precedingNode === removedNode) {
+                boundary.precedingNode = previousSibling;
+            } else if (isOrIsAncestorOf(removedNode, boundary.node)) {
+                mergeOffset = (boundary.node === removedNode) ? getMergeOffset(records, index, i, previousSibling) : -1;
+                if (mergeOffset == -1) {
+                    boundary.node = parentNode;
+                    boundary.precedingNode = previousSibling;
+                } else {
+                    boundary.node = previousSibling;
+                    boundary.offset += mergeOffset;
+                }
+            }
+        }
+    }
+
+    function updateLiveBoundary(boundary, records) {
+        for (var i = 0, len = records.length, record; i < len; ++i) {
+            record = records[i];
+            if (record.type == "characterData") {
+                if (record.target === boundary.node) {
+                    updateLiveBoundaryForDataMutation(boundary, records, i);
+                }
+            } else if (record.type == "childList") {
+                updateLiveBoundaryForChildListMutation(boundary, records, i);
+            }
+        }
+
+        // Convert the boundary back into an offset
+        var node = boundary.node, precedingNode = boundary.precedingNode;
+        if (isCharacterDataNode(node)) {
+            boundary.offset = Math.min(boundary.offset, node.length);
+        } else if (!precedingNode) {
+            boundary.offset = 0;
+        } else if (precedingNode.parentNode === node) {
+            boundary.offset = getNodeIndex(precedingNode) + 1;
+        } else {
+            boundary.offset = Math.min(boundary.offset, node.childNodes.length);
+        }
+    }
+
+    function updateLiveRange(range, records) {
+        var liveState = range._liveState;
+        if (liveState) {
+            var start = liveState.start, end = liveState.end;
+            updateLiveBoundary(start, records);
+            updateLiveBoundary(end, records);
+
+            var sc = start.node, so = start.offset, ec = end.node, eo = end.offset;
+            if (getRootContainer(sc) !== getRootContainer(ec) || comparePoints(sc, so, ec, eo) == 1) {
+                ec = sc;
+                eo = so;
+            }
+            updateBoundaries(range, sc, so, ec, eo);
+        }
+    }
+
+    function updateLiveRangeState(range) {
+        var liveState = range._liveState, values = liveState.values;
+        var root = getRootContainer(values.startContainer);
+        if (liveState.tracker.root !== root) {
+            liveState.tracker.removeRange(range);
+            liveState.tracker = getLiveRangeTracker(root);
+            liveState.tracker.addRange(range);
+        }
+        liveState.start = new LiveBoundary(values.startContainer, values.startOffset);
+        liveState.end = new LiveBoundary(values.endContainer, values.endOffset);
+    }
+
+    function defineLiveRangeProperty(range, prop, liveState) {
+        Object.defineProperty(range, prop, {
+            get: function() {
+                liveState.tracker.flush();
+                return liveState.values[prop];
+            },
+            set: function(value) {
+                liveState.values[prop] = value;
+            },
+            enumerable: true,
+            configurable: true
+        });
+    }
+
+    function updateLiveRanges() {
+        for (var i = 0, tracker; tracker = liveRangeTrackers[i++]; ) {
+            tracker.flush();
+        }
+    }
+
+    util.extend(Range.prototype, {
+        /**
+         * Makes the range live or static. A live range's boundaries are kept up to date as the DOM is mutated. Clones
+         * of a live range are static.
+         */
+        setLive: function(live) {
+            var liveState = this._liveState, i, prop;
+            if (live && !liveState) {
+                if (!api.features.liveRanges) {
+                    throw new DOMException("NOT_SUPPORTED_ERR");
+                }
+                liveState = {
+                    values: {},
+                    tracker: getLiveRangeTracker(getRangeRoot(this))
+                };
+                liveState.tracker.addRange(this);
+                for (i = 0; prop = rangeProperties[i++]; ) {
+                    liveState.values[prop] = this[prop];
+                    defineLiveRangeProperty(this, prop, liveState);
+                }
+                this._liveState = liveState;
+                updateLiveRangeState(this);
+            } else if (!live && liveState) {
+                liveState.tracker.flush();
+                liveState.tracker.removeRange(this);
+                this._liveState = null;
+                for (i = 0; prop = rangeProperties[i++]; ) {
+                    delete this[prop];
+                    this[prop] = liveState.values[prop];
+                }
+            }
+        },
+
+        isLive: function() {
+            return !!this._liveState;
+        }
+    });
+
     util.extend(Range, {
+        updateLiveRanges: updateLiveRanges,
         rangeProperties: rangeProperties,
         RangeIterator: RangeIterator,
+        TextSegmentIterator: TextSegmentIterator,
+        TextSegment: TextSegment,
         copyComparisonConstants: copyComparisonConstants,
         createPrototypeRange: createPrototypeRange,
         inspect: inspect,
@@ -1231,8 +1780,179 @@
                 r1.startOffset === r2.startOffset &&
                 r1.endContainer === r2.endContainer &&
                 r1.endOffset === r2.endOffset;
+        },
+        rangesVisuallyEqual: function(r1, r2) {
+            return dom.positionsVisuallyEqual(r1.startContainer, r1.startOffset, r2.startContainer, r2.startOffset) &&
+                dom.positionsVisuallyEqual(r1.endContainer, r1.endOffset, r2.endContainer, r2.endOffset);
         }
     });
 
     api.DomRange = Range;
+
+    /*----------------------------------------------------------------------------------------------------------------*/
+
+    // Range sets
+
+    // A RangeSet is an immutable, normalized set of ranges: its ranges are held in document order, collapsed ranges
+    // are discarded and ranges that overlap or share a boundary are merged. The set operations all return a new
+    // RangeSet. Wherever a RangeSet is expected, a single range or an array of ranges may be supplied instead.
+
+    function compareRangeStarts(r1, r2) {
+        return comparePoints(r1.startContainer, r1.startOffset, r2.startContainer, r2.startOffset) ||
+            comparePoints(r1.endContainer, r1.endOffset, r2.endContainer, r2.endOffset);
+    }
+
+    function getRangeArray(ranges) {
+        if (ranges instanceof RangeSet) {
+            return ranges.getRanges();
+        } else if (ranges && typeof ranges.length == "number") {
+            return ranges;
+        }
+        return ranges ? [ranges] : [];
+    }
+
+    // Copies the range, which may be a native range without Rangy's methods, as a Rangy range
+    function cloneAsRangyRange(range) {
+        if (api.rangePrototype.isPrototypeOf(range)) {
+            return range.cloneRange();
+        }
+        var clone = new Range(getRangeDocument(range));
+        clone.setStartAndEnd(range.startContainer, range.startOffset, range.endContainer, range.endOffset);
+        return clone;
+    }
+
+    function normalizeRanges(ranges) {
+        var sorted = [], normalized = [], i, len, range, last;
+        for (i = 0, len = ranges.length; i < len; ++i) {
+            range = ranges[i];
+            assertRangeValid(range);
+            if (!range.collapsed) {
+                sorted.push(cloneAsRangyRange(range));
+            }
+        }
+        sorted.sort(compareRangeStarts);
+
+        for (i = 0, len = sorted.length; i < len; ++i) {
+            range = sorted[i];
+            if (last && last.intersectsOrTouchesRange(range)) {
+                last = normalized[normalized.length - 1] = last.union(range);
+            } else {
+                normalized.push(range);
+                last = range;
+            }
+        }
+        return normalized;
+    }
+
+    function RangeSet(ranges) {
+        this.ranges = normalizeRanges(getRangeArray(ranges));
+        this.rangeCount = this.ranges.length;
+    }
+
+    RangeSet.prototype = {
+        getRangeAt: function(index) {
+            if (index < 0 || index >= this.rangeCount) {
+                throw new DOMException("INDEX_SIZE_ERR");
+            }
+            return this.ranges[index].cloneRange();
+        },
+
+        // Returns copies of the ranges in document order
+        getRanges: function() {
+            var ranges = [];
+            for (var i = 0, range; range = this.ranges[i++]; ) {
+                ranges.push(range.cloneRange());
+            }
+            return ranges;
+        },
+
+        each: function(func) {
+            for (var i = 0, len = this.rangeCount; i < len; ++i) {
+                func(this.ranges[i].cloneRange(), i);
+            }
+        },
+
+        isEmpty: function() {
+            return this.rangeCount === 0;
+        },
+
+        union: function(ranges) {
+            return new RangeSet( this.ranges.concat(getRangeArray(ranges)) );
+        },
+
+        intersection: function(ranges) {
+            var otherRanges = new RangeSet(ranges).ranges, intersections = [], intersection;
+            for (var i = 0, range; range = this.ranges[i++]; ) {
+                for (var j = 0, otherRange; otherRange = otherRanges[j++]; ) {
+                    if ( (intersection = range.intersection(otherRange)) ) {
+                        intersections.push(intersection);
+                    }
+                }
+            }
+            return new RangeSet(intersections);
+        },
+
+        difference: function(ranges) {
+            var otherRanges = new RangeSet(ranges).ranges, remainders = [], pieces, subtracted, j, k;
+            for (var i = 0, range; range = this.ranges[i++]; ) {
+                pieces = [range];
+                for (j = 0; j < otherRanges.length && pieces.length; ++j) {
+                    subtracted = [];
+                    for (k = 0; k < pieces.length; ++k) {
+                        subtracted = subtracted.concat( pieces[k].subtract(otherRanges[j]) );
+                    }
+                    pieces = subtracted;
+                }
+                remainders = remainders.concat(pieces);
+            }
+            return new RangeSet(remainders);
+        },
+
+        containsRange: function(range) {
+            for (var i = 0, r; r = this.ranges[i++]; ) {
+                if (r.containsRange(range)) {
+                    return true;
+                }
+            }
+            return false;
+        },
+
+        equals: function(ranges) {
+            var otherRanges = new RangeSet(ranges).ranges;
+            if (otherRanges.length != this.rangeCount) {
+                return false;
+            }
+            for (var i = 0, len = this.rangeCount; i < len; ++i) {
+                if (!Range.rangesEqual(this.ranges[i], otherRanges[i])) {
+                    return false;
+                }
+            }
+            return true;
+        },
+
+        toString: function() {
+            var rangeTexts = [];
+            for (var i = 0, range; range = this.ranges[i++]; ) {
+                rangeTexts.push(range.toString());
+            }
+            return rangeTexts.join("");
+        },
+
+        inspect: function() {
+            var rangeInspections = [];
+            for (var i = 0, range; range = this.ranges[i++]; ) {
+                rangeInspections.push(inspect(range));
+            }
+            return "[RangeSet(" + rangeInspections.join(", ") + ")]";
+        }
+    };
+
+    RangeSet.getRangeArray = getRangeArray;
+    RangeSet.cloneAsRangyRange = cloneAsRangyRange;
+
+    api.RangeSet = RangeSet;
+
+    api.createRangeSet = function(ranges) {
+        return new RangeSet(ranges);
+    };
 });
@@ -94,9 +94,9 @@
 
             // Create test range and node for feature detection
 
-            var testTextNode = document.createTextNode("test");
-            getBody(document).appendChild(testTextNode);
-            var range = document.createRange();
+            var testTextNode = api.doc.createTextNode("test");
+            getBody(api.doc).appendChild(testTextNode);
+            var range = api.doc.createRange();
 
             /*--------------------------------------------------------------------------------------------------------*/
 
@@ -183,7 +183,7 @@
             range.selectNodeContents(testTextNode);
             range.setEnd(testTextNode, 3);
 
-            var range2 = document.createRange();
+            var range2 = api.doc.createRange();
             range2.selectNodeContents(testTextNode);
             range2.setEnd(testTextNode, 4);
             range2.setStart(testTextNode, 2);
@@ -212,10 +212,10 @@
 
             // Test for IE deleteContents() and extractContents() bug and correct it. See issue 107.
 
-            var el = document.createElement("div");
+            var el = api.doc.createElement("div");
             el.innerHTML = "123";
             var textNode = el.firstChild;
-            var body = getBody(document);
+            var body = getBody(api.doc);
             body.appendChild(el);
 
             range.setStart(textNode, 1);
@@ -254,7 +254,7 @@
             /*--------------------------------------------------------------------------------------------------------*/
 
             // Clean up
-            getBody(document).removeChild(testTextNode);
+            getBody(api.doc).removeChild(testTextNode);
 
             rangeProto.getName = function() {
                 return "WrappedRange";
@@ -521,7 +521,7 @@
             this.refresh();
         };
 
-        WrappedTextRange.prototype = new DomRange(document);
+        WrappedTextRange.prototype = new DomRange(api.doc);
 
         WrappedTextRange.prototype.refresh = function() {
             var start, end, startBoundary;
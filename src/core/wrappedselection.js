@@ -30,7 +30,7 @@
 
     function getWindow(win, methodName) {
         if (!win) {
-            return window;
+            return api.win;
         } else if (dom.isWindow(win)) {
             return win;
         } else if (win instanceof WrappedSelection) {
@@ -52,15 +52,15 @@
     function winSelectionIsBackward(sel) {
         var backward = false;
         if (sel.anchorNode) {
-            backward = (dom.comparePoints(sel.anchorNode, sel.anchorOffset, sel.focusNode, sel.focusOffset) === 1);
+            backward = (dom.comparePoints(sel.anchorNode, sel.anchorOffset, sel.focusNode, sel.focusOffset, true) === 1);
         }
         return backward;
     }
 
     // Test for the Range/TextRange and Selection features required
     // Test for ability to retrieve selection
-    var implementsWinGetSelection = isHostMethod(window, "getSelection"),
-        implementsDocSelection = util.isHostObject(document, "selection");
+    var implementsWinGetSelection = isHostMethod(api.win, "getSelection"),
+        implementsDocSelection = util.isHostObject(api.doc, "selection");
 
     features.implementsWinGetSelection = implementsWinGetSelection;
     features.implementsDocSelection = implementsDocSelection;
@@ -95,8 +95,8 @@
         return false;
     }
 
-    var testRange = api.createNativeRange(document);
-    var body = getBody(document);
+    var testRange = api.createNativeRange(api.doc);
+    var body = getBody(api.doc);
 
     // Obtaining a range from a selection
     var selectionHasAnchorAndFocus = util.areHostProperties(testSelection,
@@ -134,7 +134,7 @@
             // Note also that if a selection previously existed, it is wiped and later restored by these tests. This
             // will result in the selection direction begin reversed if the original selection was backwards and the
             // browser does not support setting backwards selections (Internet Explorer, I'm looking at you).
-            var sel = window.getSelection();
+            var sel = api.win.getSelection();
             if (sel) {
                 // Store the current selection
                 var originalSelectionRangeCount = sel.rangeCount;
@@ -146,11 +146,11 @@
                 }
 
                 // Create some test elements
-                var testEl = dom.createTestElement(document, "", false);
-                var textNode = testEl.appendChild( document.createTextNode("\u00a0\u00a0\u00a0") );
+                var testEl = dom.createTestElement(api.doc, "", false);
+                var textNode = testEl.appendChild( api.doc.createTextNode("\u00a0\u00a0\u00a0") );
 
                 // Test whether the native selection will allow a collapsed selection within a non-editable element
-                var r1 = document.createRange();
+                var r1 = api.doc.createRange();
 
                 r1.setStart(textNode, 1);
                 r1.collapse(true);
@@ -166,7 +166,7 @@
                     // nothing we can do about this while retaining the feature test so we have to resort to a browser
                     // sniff. I'm not happy about it. See
                     // https://code.google.com/p/chromium/issues/detail?id=399791
-                    var chromeMatch = window.navigator.appVersion.match(/Chrome\/(.*?) /);
+                    var chromeMatch = api.win.navigator.appVersion.match(/Chrome\/(.*?) /);
                     if (chromeMatch && parseInt(chromeMatch[1]) >= 36) {
                         selectionSupportsMultipleRanges = false;
                     } else {
@@ -376,18 +376,19 @@
         };
     }
 
-    function WrappedSelection(selection, docSelection, win) {
+    function WrappedSelection(selection, docSelection, win, shadowRoot) {
         this.nativeSelection = selection;
         this.docSelection = docSelection;
         this._ranges = [];
         this.win = win;
+        this.shadowRoot = shadowRoot || null;
         this.refresh();
     }
 
     WrappedSelection.prototype = api.selectionPrototype;
 
     function deleteProperties(sel) {
-        sel.win = sel.anchorNode = sel.focusNode = sel._ranges = null;
+        sel.win = sel.shadowRoot = sel.anchorNode = sel.focusNode = sel._ranges = null;
         sel.rangeCount = sel.anchorOffset = sel.focusOffset = 0;
         sel.detached = true;
     }
@@ -416,6 +417,13 @@
         return null;
     }
 
+    // Obtains the selection for a shadow root. Chrome provides a getSelection() method on shadow roots; in other
+    // browsers, the window's selection is used and its ranges are obtained using getComposedRanges(), if supported.
+    function getShadowRootNativeSelection(shadowRoot) {
+        return isHostMethod(shadowRoot, "getSelection") ?
+            shadowRoot.getSelection() : getNativeSelection(dom.getWindow(shadowRoot));
+    }
+
     var getSelection = function(win) {
         // Check if the parameter is a Rangy Selection object
         if (win && win instanceof WrappedSelection) {
@@ -423,17 +431,26 @@
             return win;
         }
 
-        win = getWindow(win, "getNativeSelection");
+        // Selections within a shadow root are cached separately from the selection of the window containing it
+        var shadowRoot = null;
+        if (dom.isShadowRoot(win)) {
+            shadowRoot = win;
+            win = dom.getWindow(shadowRoot);
+        } else {
+            win = getWindow(win, "getNativeSelection");
+        }
+        var cacheKey = shadowRoot || win;
 
-        var sel = actOnCachedSelection(win);
-        var nativeSel = getNativeSelection(win), docSel = implementsDocSelection ? getDocSelection(win) : null;
+        var sel = actOnCachedSelection(cacheKey);
+        var nativeSel = shadowRoot ? getShadowRootNativeSelection(shadowRoot) : getNativeSelection(win);
+        var docSel = implementsDocSelection ? getDocSelection(win) : null;
         if (sel) {
             sel.nativeSelection = nativeSel;
             sel.docSelection = docSel;
             sel.refresh();
         } else {
-            sel = new WrappedSelection(nativeSel, docSel, win);
-            cachedRangySelections.push( { win: win, selection: sel } );
+            sel = new WrappedSelection(nativeSel, docSel, win, shadowRoot);
+            cachedRangySelections.push( { win: cacheKey, selection: sel } );
         }
         return sel;
     };
@@ -478,6 +495,9 @@
             selProto.addRange = function(range, direction) {
                 if (implementsControlRange && implementsDocSelection && this.docSelection.type === CONTROL) {
                     addRangeToControlSelection(this, range);
+                } else if (this.shadowRoot && usesComposedRanges(this) &&
+                        isHostMethod(this.nativeSelection, "setBaseAndExtent")) {
+                    addRangeToComposedSelection(this, range, direction);
                 } else {
                     if (isDirectionBackward(direction) && selectionHasExtend) {
                         addRangeBackward(this, range);
@@ -536,6 +556,7 @@
         }
 
         selProto.setRanges = function(ranges) {
+            ranges = api.RangeSet.getRangeArray(ranges);
             if (implementsControlRange && implementsDocSelection && ranges.length > 1) {
                 createControlSelection(this, ranges);
             } else {
@@ -589,6 +610,7 @@
         };
 
         selProto.setRanges = function(ranges) {
+            ranges = api.RangeSet.getRangeArray(ranges);
             this.removeAllRanges();
             var rangeCount = ranges.length;
             if (rangeCount > 1) {
@@ -611,6 +633,49 @@
         }
     };
 
+    // The window's selection is retargeted to the shadow host for a shadow root that has no getSelection() method,
+    // in which case the real boundaries are obtained from the selection's getComposedRanges() method
+    function usesComposedRanges(sel) {
+        var nativeSel = sel.nativeSelection;
+        return !isHostMethod(sel.shadowRoot, "getSelection") && isHostMethod(nativeSel, "getComposedRanges");
+    }
+
+    function updateFromComposedRanges(sel) {
+        var nativeSel = sel.nativeSelection, shadowRoot = sel.shadowRoot, staticRanges;
+
+        // Early implementations of getComposedRanges() take shadow roots as parameters rather than an options object
+        try {
+            staticRanges = nativeSel.getComposedRanges( { shadowRoots: [shadowRoot] } );
+        } catch (ex) {
+            staticRanges = nativeSel.getComposedRanges(shadowRoot);
+        }
+
+        sel._ranges.length = sel.rangeCount = staticRanges.length;
+        if (sel.rangeCount) {
+            for (var i = 0, staticRange, range; i < sel.rangeCount; ++i) {
+                staticRange = staticRanges[i];
+                range = api.createRange(sel.win.document);
+                range.setStartAndEnd(staticRange.startContainer, staticRange.startOffset,
+                    staticRange.endContainer, staticRange.endOffset);
+                sel._ranges[i] = range;
+            }
+            updateAnchorAndFocusFromRange(sel, sel._ranges[sel.rangeCount - 1], nativeSel.direction === "backward");
+            sel.isCollapsed = selectionIsCollapsed(sel);
+        } else {
+            updateEmptySelection(sel);
+        }
+    }
+
+    // addRange() ignores ranges that are not in the document itself, whereas setBaseAndExtent() accepts boundaries
+    // within shadow trees
+    function addRangeToComposedSelection(sel, range, direction) {
+        var backward = isDirectionBackward(direction);
+        var anchorPrefix = backward ? "end" : "start", focusPrefix = backward ? "start" : "end";
+        sel.nativeSelection.setBaseAndExtent(range[anchorPrefix + "Container"], range[anchorPrefix + "Offset"],
+            range[focusPrefix + "Container"], range[focusPrefix + "Offset"]);
+        sel.refresh();
+    }
+
     var refreshSelection;
 
     if (useDocumentSelection) {
@@ -636,6 +701,8 @@
         refreshSelection = function(sel) {
             if (implementsControlRange && implementsDocSelection && sel.docSelection.type === CONTROL) {
                 updateControlSelection(sel);
+            } else if (sel.shadowRoot && usesComposedRanges(sel)) {
+                updateFromComposedRanges(sel);
             } else {
                 sel._ranges.length = sel.rangeCount = sel.nativeSelection.rangeCount;
                 if (sel.rangeCount) {
@@ -667,34 +734,39 @@
         return false;
     }
 
+    // Returns whether the selection differs from the specified previous ranges and anchor
+    function selectionHasChanged(sel, oldRanges, oldAnchorNode, oldAnchorOffset) {
+        // Check the range count first
+        var i = oldRanges.length;
+        if (i !== sel._ranges.length) {
+            log.debug("Selection.refresh: Range count has changed: was " + i + ", is now " + sel._ranges.length);
+            return true;
+        }
+
+        // Now check the direction. Checking the anchor position is the same is enough since we're checking all the
+        // ranges after this
+        if (sel.anchorNode !== oldAnchorNode || sel.anchorOffset !== oldAnchorOffset) {
+            log.debug("Selection.refresh: anchor different, so selection has changed");
+            return true;
+        }
+
+        // Finally, compare each range in turn
+        while (i--) {
+            if (!rangesEqual(oldRanges[i], sel._ranges[i])) {
+                log.debug("Selection.refresh: Range at index " + i + " has changed: was " + oldRanges[i].inspect() + ", is now " + sel._ranges[i].inspect());
+                return true;
+            }
+        }
+        return false;
+    }
+
     selProto.refresh = function(checkForChanges) {
         var oldRanges = checkForChanges ? this._ranges.slice(0) : null;
         var oldAnchorNode = this.anchorNode, oldAnchorOffset = this.anchorOffset;
 
         refreshSelection(this);
         if (checkForChanges) {
-            // Check the range count first
-            var i = oldRanges.length;
-            if (i !== this._ranges.length) {
-                log.debug("Selection.refresh: Range count has changed: was " + i + ", is now " + this._ranges.length);
-                return true;
-            }
-
-            // Now check the direction. Checking the anchor position is the same is enough since we're checking all the
-            // ranges after this
-            if (this.anchorNode !== oldAnchorNode || this.anchorOffset !== oldAnchorOffset) {
-                log.debug("Selection.refresh: anchor different, so selection has changed");
-                return true;
-            }
-
-            // Finally, compare each range in turn
-            while (i--) {
-                if (!rangesEqual(oldRanges[i], this._ranges[i])) {
-                    log.debug("Selection.refresh: Range at index " + i + " has changed: was " + oldRanges[i].inspect() + ", is now " + this._ranges[i].inspect());
-                    return true;
-                }
-            }
-            return false;
+            return selectionHasChanged(this, oldRanges, oldAnchorNode, oldAnchorOffset);
         }
     };
 
@@ -841,6 +913,25 @@
         }
     };
 
+    // Moves the focus to the specified point, leaving the anchor where it is. The selection becomes backward if the
+    // new focus precedes the anchor. Rangy's own method is always used so that the behaviour is the same in browsers
+    // that have no native extend() and for shadow root selections.
+    selProto.extend = function(node, offset) {
+        assertNodeInSameDocument(this, node);
+        if (!this.rangeCount) {
+            throw new DOMException("INVALID_STATE_ERR");
+        }
+        var range = api.createRange(node);
+        var anchorNode = this.anchorNode, anchorOffset = this.anchorOffset;
+        var backward = (dom.comparePoints(node, offset, anchorNode, anchorOffset) == -1);
+        if (backward) {
+            range.setStartAndEnd(node, offset, anchorNode, anchorOffset);
+        } else {
+            range.setStartAndEnd(anchorNode, anchorOffset, node, offset);
+        }
+        this.setSingleRange(range, backward);
+    };
+
     // The following are non-standard extensions
     selProto.eachRange = function(func, returnValue) {
         for (var i = 0, len = this._ranges.length; i < len; ++i) {
@@ -910,6 +1001,98 @@
         }
     };
 
+    // Clamps each of the selection's ranges to lie within the contents of the specified node, preserving the direction
+    // of the selection. Ranges that neither overlap nor touch the node's contents are removed, unless
+    // collapseIfOutside is true, in which case they are collapsed to the nearer end of the node's contents. Returns
+    // the selection, or null if no ranges remain.
+    selProto.restrict = function(node, collapseIfOutside) {
+        var ranges = [];
+        var backward = this.isBackward();
+
+        // Ranges added to the selection as native ranges are stored as they are, so lack Rangy's range methods
+        this.eachRange(function(range) {
+            range = api.RangeSet.cloneAsRangyRange(range);
+            if (range.restrict(node, collapseIfOutside)) {
+                ranges.push(range);
+            }
+        });
+
+        if (backward && ranges.length === 1) {
+            this.setSingleRange(ranges[0], "backward");
+        } else {
+            this.setRanges(ranges);
+        }
+        return ranges.length ? this : null;
+    };
+
+    function isRangeWithinNode(range, node) {
+        return dom.getRootContainer(node) === dom.getRootContainer(range.startContainer) &&
+            dom.comparePoints(range.startContainer, range.startOffset, node, 0) >= 0 &&
+            dom.comparePoints(range.endContainer, range.endOffset, node, dom.getNodeLength(node)) <= 0;
+    }
+
+    function createConstraintListener(sel, node, collapseIfOutside) {
+        return function() {
+            sel.refresh();
+            var ranges = sel.getAllRanges(), rangeOutside = false, overlaps = false;
+            for (var i = 0, range; range = ranges[i++]; ) {
+                if (!isRangeWithinNode(range, node)) {
+                    rangeOutside = true;
+                    overlaps = overlaps || !!api.RangeSet.cloneAsRangyRange(range).restrict(node);
+                } else {
+                    overlaps = true;
+                }
+            }
+
+            // A selection made entirely elsewhere in the document is left alone unless it is to be collapsed into the
+            // node, since otherwise the user could never select anything outside the node
+            if (rangeOutside && (overlaps || collapseIfOutside)) {
+                sel.restrict(node, collapseIfOutside);
+            }
+        };
+    }
+
+    // Browsers without the selectionchange event fall back to checking the selection after mouse and keyboard input
+    function getSelectionChangeEventTypes(doc) {
+        return util.isHostProperty(doc, "onselectionchange") ? ["selectionchange"] : ["mouseup", "keyup"];
+    }
+
+    // Keeps the selection within the specified node by re-clamping it after each change made by the user. The
+    // collapseIfOutside option specifies whether a selection made entirely outside the node is collapsed into it.
+    selProto.constrainTo = function(node, options) {
+        options = util.createOptions(options, {
+            collapseIfOutside: false
+        });
+
+        this.removeConstraint();
+
+        var doc = this.win.document;
+        var listener = createConstraintListener(this, node, options.collapseIfOutside);
+        util.forEach(getSelectionChangeEventTypes(doc), function(eventType) {
+            util.addListener(doc, eventType, listener);
+        });
+        this._constraint = {
+            node: node,
+            doc: doc,
+            listener: listener
+        };
+        listener();
+    };
+
+    selProto.removeConstraint = function() {
+        var constraint = this._constraint;
+        if (constraint) {
+            util.forEach(getSelectionChangeEventTypes(constraint.doc), function(eventType) {
+                util.removeListener(constraint.doc, eventType, constraint.listener);
+            });
+            this._constraint = null;
+        }
+    };
+
+    selProto.getConstraintNode = function() {
+        return this._constraint ? this._constraint.node : null;
+    };
+
     selProto.containsNode = function(node, allowPartial) {
         return this.eachRange( function(range) {
             return range.containsNode(node, allowPartial);
@@ -1001,10 +1184,176 @@
     };
 
     selProto.detach = function() {
-        actOnCachedSelection(this.win, "delete");
+        this.removeConstraint();
+        actOnCachedSelection(this.shadowRoot || this.win, "delete");
         deleteProperties(this);
     };
 
+    /*----------------------------------------------------------------------------------------------------------------*/
+
+    // Selection change notification
+
+    var selectionChangeSubscriptions = [];
+
+    // Creates a read-only copy of the current state of a selection. Only the non-mutating methods of the snapshot,
+    // such as getRangeAt(), isBackward() and toString(), may be used.
+    function createSelectionSnapshot(sel) {
+        var backward = sel.isBackward();
+        var snapshot = util.extend(new SelectionSnapshot(), {
+            win: sel.win,
+            shadowRoot: sel.shadowRoot,
+            anchorNode: sel.anchorNode,
+            anchorOffset: sel.anchorOffset,
+            focusNode: sel.focusNode,
+            focusOffset: sel.focusOffset,
+            isCollapsed: sel.isCollapsed,
+            rangeCount: sel.rangeCount,
+            isSnapshot: true,
+            isBackward: function() {
+                return backward;
+            }
+        });
+        snapshot._ranges = sel.getAllRanges();
+        return snapshot;
+    }
+
+    function SelectionSnapshot() {}
+    SelectionSnapshot.prototype = selProto;
+
+    function selectionIntersectsNode(sel, node) {
+        for (var i = 0, range; range = sel._ranges[i++]; ) {
+            if (range.intersectsNode(node, true)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function SelectionChangeSubscription(sel, callback, options) {
+        var subscription = this;
+        this.selection = sel;
+        this.callback = callback;
+        this.options = options;
+        this.doc = sel.win.document;
+        this.timer = null;
+        this.snapshot = createSelectionSnapshot(sel);
+        this.listener = function() {
+            if (options.debounce > 0) {
+                subscription.cancelCheck();
+                subscription.timer = sel.win.setTimeout(function() {
+                    subscription.timer = null;
+                    subscription.check();
+                }, options.debounce);
+            } else {
+                subscription.check();
+            }
+        };
+
+        util.forEach(getSelectionChangeEventTypes(this.doc), function(eventType) {
+            util.addListener(subscription.doc, eventType, subscription.listener);
+        });
+        selectionChangeSubscriptions.push(this);
+    }
+
+    SelectionChangeSubscription.prototype = {
+        check: function() {
+            var sel = this.selection, previous = this.snapshot, container = this.options.container;
+            if (sel.detached) {
+                return;
+            }
+
+            sel.refresh();
+            if (selectionHasChanged(sel, previous._ranges, previous.anchorNode, previous.anchorOffset)) {
+                this.snapshot = createSelectionSnapshot(sel);
+                if (!container || selectionIntersectsNode(sel, container) || selectionIntersectsNode(previous, container)) {
+                    this.callback(sel, previous, sel.isBackward() ? "backward" : "forward");
+                }
+            }
+        },
+
+        // Treats the current state of the selection as known, so that it is not reported as a change
+        acceptCurrent: function() {
+            var sel = this.selection;
+            if (!sel.detached) {
+                sel.refresh();
+                this.snapshot = createSelectionSnapshot(sel);
+            }
+        },
+
+        cancelCheck: function() {
+            if (this.timer) {
+                this.selection.win.clearTimeout(this.timer);
+                this.timer = null;
+            }
+        },
+
+        detach: function() {
+            var subscription = this;
+            this.cancelCheck();
+            util.forEach(getSelectionChangeEventTypes(this.doc), function(eventType) {
+                util.removeListener(subscription.doc, eventType, subscription.listener);
+            });
+            for (var i = selectionChangeSubscriptions.length; i--; ) {
+                if (selectionChangeSubscriptions[i] === this) {
+                    selectionChangeSubscriptions.splice(i, 1);
+                }
+            }
+        }
+    };
+
+    // Subscriptions that ignore changes made through Rangy have their record of the selection updated after each call
+    // to a method that changes the selection, so that the resulting selectionchange event reports no change
+    function updateSubscriptionsAfterRangyChange(sel) {
+        for (var i = 0, subscription; subscription = selectionChangeSubscriptions[i++]; ) {
+            if (subscription.options.ignoreRangyChanges && subscription.selection.win === sel.win) {
+                subscription.acceptCurrent();
+            }
+        }
+    }
+
+    // Methods such as setRanges() call other wrapped methods, so the subscriptions are only updated once the outermost
+    // call has finished
+    var rangyChangeDepth = 0;
+
+    util.forEach(["addRange", "removeAllRanges", "removeRange", "setRanges", "setSingleRange", "collapse",
+            "collapseToStart", "collapseToEnd", "selectAllChildren", "extend", "restrict", "deleteFromDocument"],
+            function(methodName) {
+        var method = selProto[methodName];
+        if (method) {
+            selProto[methodName] = function() {
+                var result;
+                ++rangyChangeDepth;
+                try {
+                    result = method.apply(this, arguments);
+                } finally {
+                    --rangyChangeDepth;
+                }
+                if (rangyChangeDepth === 0 && selectionChangeSubscriptions.length) {
+                    updateSubscriptionsAfterRangyChange(this);
+                }
+                return result;
+            };
+        }
+    });
+
+    // Calls the callback whenever the selection in the specified window, document, iframe or shadow root changes. The
+    // callback is passed the current selection, a read-only snapshot of the previous selection and the direction of
+    // the current selection ("forward" or "backward"). Returns an object whose detach() method ends the subscription.
+    //
+    // Options:
+    // - debounce: number of milliseconds to wait for changes to stop before checking the selection
+    // - container: if specified, only changes where either the previous or the current selection intersects or
+    //   touches this node are reported
+    // - ignoreRangyChanges: whether to ignore changes made through Rangy's own selection methods
+    api.onSelectionChange = function(win, callback, options) {
+        options = util.createOptions(options, {
+            debounce: 0,
+            container: null,
+            ignoreRangyChanges: true
+        });
+        return new SelectionChangeSubscription(getSelection(win), callback, options);
+    };
+
     WrappedSelection.detachAll = function() {
         actOnCachedSelection(null, "deleteAll");
     };
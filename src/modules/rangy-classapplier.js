@@ -1,6 +1,6 @@
 /**
  * Class Applier module for Rangy.
- * Adds, removes and toggles classes on Ranges and Selections
+ * Adds, removes and toggles classes and inline styles on Ranges and Selections
  *
  * Part of Rangy, a cross-browser JavaScript range and selection library
  * https://github.com/timdown/rangy
@@ -23,7 +23,7 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
     var log = log4javascript.getLogger("rangy.classapplier");
 
     var defaultTagName = "span";
-    var createElementNSSupported = util.isHostMethod(document, "createElementNS");
+    var createElementNSSupported = util.isHostMethod(api.doc, "createElementNS");
 
     function each(obj, func) {
         for (var i in obj) {
@@ -47,7 +47,7 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
     var hasClass, addClass, removeClass, getClass;
 
     // Is this a fully standards compliant browser environment? If so, provide the quick and easy functions, rather than the complicated stop-gap fixers further below:        
-    if (api.util.isHostObject(document.createElement("div"), "classList") && api.util.isHostObject(document.createElement("svg"), "classList") && typeof document.createElement("svg").className === "string") {
+    if (api.util.isHostObject(api.doc.createElement("div"), "classList") && api.util.isHostObject(api.doc.createElement("svg"), "classList") && typeof api.doc.createElement("svg").className === "string") {
         hasClass = function(el, className) {
             return el.classList.contains(className);
         };
@@ -145,9 +145,196 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
         return true;
     }
 
+    // Text that is a direct child of a shadow root can be wrapped in the same way as the child of an element
     function canTextBeStyled(textNode) {
         var parent = textNode.parentNode;
-        return (parent && parent.nodeType == 1 && !/^(textarea|style|script|select|iframe)$/i.test(parent.nodeName));
+        return !!parent && (parent.nodeType == 1 ?
+            !/^(textarea|style|script|select|iframe)$/i.test(parent.nodeName) : dom.isShadowRoot(parent));
+    }
+
+    // Restores the class attribute exactly, since removing a class and adding it again may change the order of classes
+    function restoreClassAttribute(el, className) {
+        if (className === null) {
+            el.removeAttribute("class");
+        } else if (typeof el.className == "string") {
+            el.className = className;
+        } else {
+            el.setAttribute("class", className);
+        }
+    }
+
+    function insertNodeAtIndex(node, parentNode, index) {
+        parentNode.insertBefore(node, parentNode.childNodes[index] || null);
+    }
+
+    function moveChildNodes(fromNode, toNode, index, count) {
+        while (count--) {
+            toNode.appendChild(fromNode.childNodes[index]);
+        }
+    }
+
+    // Functions that reverse each type of change, keyed by change type
+    var changeReverters = {
+        splitText: function(change) {
+            change.node.data += change.newNode.data;
+            dom.removeNode(change.newNode);
+        },
+
+        mergeText: function(change) {
+            var node = change.node;
+            change.mergedNode.data = node.data.slice(change.offset);
+            node.data = node.data.slice(0, change.offset);
+            insertNodeAtIndex(change.mergedNode, change.parentNode, change.index);
+        },
+
+        createElement: function(change) {
+            var el = change.element;
+            while (el.firstChild) {
+                el.parentNode.insertBefore(el.firstChild, el);
+            }
+            dom.removeNode(el);
+        },
+
+        splitElement: function(change) {
+            var newEl = change.newElement;
+            moveChildNodes(newEl, change.element, 0, newEl.childNodes.length);
+            dom.removeNode(newEl);
+        },
+
+        unwrapElement: function(change) {
+            var el = change.element, parentNode = change.parentNode;
+            insertNodeAtIndex(el, parentNode, change.index);
+            moveChildNodes(parentNode, el, change.index + 1, change.childNodeCount);
+        },
+
+        removeElement: function(change) {
+            insertNodeAtIndex(change.element, change.parentNode, change.index);
+        },
+
+        mergeElements: function(change) {
+            var el = change.element;
+            insertNodeAtIndex(change.mergedElement, change.parentNode, change.mergedIndex);
+            moveChildNodes(el, change.mergedElement, change.index, el.childNodes.length - change.index);
+        },
+
+        setAttribute: function(change) {
+            var el = change.element;
+            if (change.previousValue === null) {
+                el.removeAttribute(change.name);
+            } else {
+                el.setAttribute(change.name, change.previousValue);
+            }
+        },
+
+        addClass: function(change) {
+            restoreClassAttribute(change.element, change.previousClassName);
+        },
+
+        removeClass: function(change) {
+            restoreClassAttribute(change.element, change.previousClassName);
+        }
+    };
+
+    // Records the changes made to the DOM by an applier, in the order they were made. Each change is an object with a
+    // type property and further properties depending on the type:
+    // - "splitText": text node node was split at offset, creating text node newNode after it
+    // - "mergeText": text node mergedNode, previously child index of parentNode, was removed and its text appended to
+    //   text node node, starting at offset
+    // - "createElement": element was created, inserted at child index of parentNode and wrapped around the
+    //   childNodeCount nodes starting with wrappedNode
+    // - "splitElement": newElement was created as a shallow copy of element and inserted after it, and the child nodes
+    //   of element from child index onwards were moved into it
+    // - "unwrapElement": element, previously child index of parentNode, was replaced by its childNodeCount child nodes
+    // - "removeElement": element, previously child index of parentNode, was removed
+    // - "mergeElements": mergedElement, previously child mergedIndex of parentNode, was removed and its child nodes
+    //   appended to element, starting at child index
+    // - "addClass" and "removeClass": className was added to or removed from element, whose class attribute was
+    //   previously previousClassName, or null if it had none
+    // - "setAttribute": attribute name of element was changed from previousValue to value, either of which is null if
+    //   the attribute was absent
+    // Nodes are referenced directly. Indexes and offsets refer to the DOM at the point each change was made, so the
+    // changes can be replayed in order, or reversed in reverse order, elsewhere.
+    function ChangeRecord() {
+        this.changes = [];
+    }
+
+    ChangeRecord.prototype = {
+        add: function(type, properties) {
+            properties.type = type;
+            this.changes.push(properties);
+        },
+
+        getChanges: function(type) {
+            var changes = [];
+            forEach(this.changes, function(change) {
+                if (!type || change.type == type) {
+                    changes.push(change);
+                }
+            });
+            return changes;
+        },
+
+        isEmpty: function() {
+            return this.changes.length === 0;
+        },
+
+        // Reverses every change, provided that the DOM has not been changed since by anything else. Ranges within
+        // the affected nodes are not preserved.
+        revert: function() {
+            var i = this.changes.length;
+            while (i--) {
+                changeReverters[this.changes[i].type](this.changes[i]);
+            }
+            this.changes.length = 0;
+        },
+
+        toString: function() {
+            var types = [];
+            forEach(this.changes, function(change) {
+                types.push(change.type);
+            });
+            return "[ChangeRecord(" + types.join(", ") + ")]";
+        }
+    };
+
+    // Splits the range boundaries, recording any text nodes split
+    function splitRangeBoundaries(range, positionsToPreserve, changeRecord) {
+        var sc = range.startContainer, so = range.startOffset, ec = range.endContainer, eo = range.endOffset;
+        var startSplit = dom.isCharacterDataNode(sc) && so > 0 && so < sc.length;
+        var endSplit = dom.isCharacterDataNode(ec) && eo > 0 && eo < ec.length;
+
+        range.splitBoundariesPreservingPositions(positionsToPreserve);
+
+        // The end boundary is split first. Afterwards the range ends at the end of the text node preceding the new
+        // node from the end split and starts at the start of the new node from the start split.
+        if (changeRecord) {
+            if (endSplit) {
+                changeRecord.add("splitText", { node: ec, offset: eo, newNode: range.endContainer.nextSibling });
+            }
+            if (startSplit) {
+                changeRecord.add("splitText", { node: sc, offset: so, newNode: range.startContainer });
+            }
+        }
+    }
+
+    function addClassRecordingChange(el, className, changeRecord) {
+        if (!hasClass(el, className)) {
+            var previousClassName = el.getAttribute("class");
+            addClass(el, className);
+            if (changeRecord) {
+                changeRecord.add("addClass", { element: el, className: className, previousClassName: previousClassName });
+            }
+        }
+    }
+
+    function removeClassRecordingChange(el, className, changeRecord) {
+        if (hasClass(el, className)) {
+            var previousClassName = el.getAttribute("class");
+            removeClass(el, className);
+            if (changeRecord) {
+                changeRecord.add("removeClass", { element: el, className: className, previousClassName: previousClassName });
+            }
+        }
     }
 
     function movePosition(position, oldParent, oldIndex, newParent, newIndex) {
@@ -201,12 +388,16 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
         log.groupEnd();
     }
 
-    function removePreservingPositions(node, positionsToPreserve) {
+    function removePreservingPositions(node, positionsToPreserve, changeRecord) {
         log.group("removePreservingPositions " + dom.inspectNode(node), positionsToPreserve);
 
         var oldParent = node.parentNode;
         var oldIndex = dom.getNodeIndex(node);
 
+        if (changeRecord) {
+            changeRecord.add("removeElement", { element: node, parentNode: oldParent, index: oldIndex });
+        }
+
         forEach(positionsToPreserve, function(position) {
             movePositionWhenRemovingNode(position, oldParent, oldIndex);
         });
@@ -227,8 +418,17 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
         return children;
     }
 
-    function replaceWithOwnChildrenPreservingPositions(element, positionsToPreserve) {
-        return moveChildrenPreservingPositions(element, element.parentNode, dom.getNodeIndex(element), true, positionsToPreserve);
+    function replaceWithOwnChildrenPreservingPositions(element, positionsToPreserve, changeRecord) {
+        var parentNode = element.parentNode, index = dom.getNodeIndex(element);
+        if (changeRecord) {
+            changeRecord.add("unwrapElement", {
+                element: element,
+                parentNode: parentNode,
+                index: index,
+                childNodeCount: element.childNodes.length
+            });
+        }
+        return moveChildrenPreservingPositions(element, parentNode, index, true, positionsToPreserve);
     }
 
     function rangeSelectsAnyText(range, textNode) {
@@ -288,7 +488,7 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
 
     var getComputedStyleProperty = dom.getComputedStyleProperty;
     var isEditableElement = (function() {
-        var testEl = document.createElement("div");
+        var testEl = api.doc.createElement("div");
         return typeof testEl.isContentEditable === "boolean" ?
             function (node) {
                 return node && node.nodeType === 1 && node.isContentEditable;
@@ -312,6 +512,26 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
         return (isEditableElement(node) || (node.nodeType !== 1 && isEditableElement(node.parentNode))) && !isEditingHost(node);
     }
 
+    // Returns whether the node is within a non-editable island: an element with contenteditable set to "false" inside
+    // an editable region, such as a widget embedded in an editor. Text in an editable region nested inside an island
+    // is not within the island.
+    function isInNonEditableIsland(node) {
+        var isInIsland = false, value;
+        for ( ; node; node = node.parentNode) {
+            if (node.nodeType === 1) {
+                value = node.getAttribute("contenteditable");
+                if (value !== null && value.toLowerCase() === "false") {
+                    isInIsland = true;
+                } else if (value !== null) {
+                    return isInIsland;
+                }
+            } else if (node.nodeType === 9) {
+                return isInIsland && node.designMode === "on";
+            }
+        }
+        return false;
+    }
+
     var inlineDisplayRegex = /^inline(-block|-table)?$/i;
 
     function isNonInlineElement(node) {
@@ -345,6 +565,163 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
         return isNonInlineElement(node.previousSibling) || isNonInlineElement(node.nextSibling);
     }
 
+    // Block mode helpers
+
+    // Block mode never applies the class to the body, an editing host or anything outside them
+    function isBlockModeRoot(node) {
+        return node.nodeType == 9 || node.nodeType == 11 ||
+            (node.nodeType == 1 && (node.nodeName.toLowerCase() == "body" || isEditingHost(node)));
+    }
+
+    function hasNonInlineChild(el) {
+        for (var child = el.firstChild; child; child = child.nextSibling) {
+            if (isNonInlineElement(child)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function hasNonWhiteSpaceText(node) {
+        if (node.nodeType == 3) {
+            return htmlNonWhiteSpaceRegex.test(node.data);
+        }
+        for (var child = node.firstChild; child; child = child.nextSibling) {
+            if (hasNonWhiteSpaceText(child)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function isWhiteSpaceOrCommentNode(node) {
+        return node.nodeType == 8 || (node.nodeType == 3 && !htmlNonWhiteSpaceRegex.test(node.data));
+    }
+
+    // Returns the run of sibling nodes containing the node that are bounded by block elements or the edges of their
+    // parent, excluding white space at either end
+    function getInlineRun(node) {
+        var top = node, parent;
+        while ( (parent = top.parentNode) && !isNonInlineElement(parent) && !isBlockModeRoot(parent) ) {
+            top = parent;
+        }
+
+        var run = [top], sibling;
+        if (!isNonInlineElement(top)) {
+            sibling = top;
+            while ( (sibling = sibling.previousSibling) && !isNonInlineElement(sibling) ) {
+                run.unshift(sibling);
+            }
+            sibling = top;
+            while ( (sibling = sibling.nextSibling) && !isNonInlineElement(sibling) ) {
+                run.push(sibling);
+            }
+            while (run.length && isWhiteSpaceOrCommentNode(run[0])) {
+                run.shift();
+            }
+            while (run.length && isWhiteSpaceOrCommentNode(run[run.length - 1])) {
+                run.pop();
+            }
+        }
+        return run;
+    }
+
+    // Equivalence rules
+
+    // Creates a rule describing a form of an element that is equivalent to the applier's class. Each of the tagName,
+    // className and style properties of the rule is optional but a rule must have at least one. An element matches if
+    // it matches every property specified:
+    // - tagName: a tag name or array of tag names
+    // - className: a single class name
+    // - style: an object mapping CSS property names to a value, an array of values, a regular expression matched
+    //   against the value or true for any value. Values are compared with the element's inline style, which the
+    //   browser may have normalized: for example, "font-weight: 700" and "font-weight: bold" are not the same.
+    function createEquivalenceRule(options) {
+        var rule = { tagNames: null, className: options.className || null, style: null };
+        if (options.tagName) {
+            rule.tagNames = [];
+            forEach(typeof options.tagName == "string" ? [options.tagName] : options.tagName, function(tagName) {
+                rule.tagNames.push(tagName.toLowerCase());
+            });
+        }
+        if (options.style) {
+            rule.style = {};
+            each(options.style, function(propName, value) {
+                rule.style[toCamelCase(propName)] = value;
+            });
+        }
+        if (!rule.tagNames && !rule.className && !rule.style) {
+            throw module.createError("Equivalence rule must specify at least one of tagName, className and style");
+        }
+        return rule;
+    }
+
+    function styleValueMatches(value, expected) {
+        if (!value) {
+            return false;
+        } else if (expected === true) {
+            return true;
+        } else if (expected instanceof RegExp) {
+            return expected.test(value);
+        } else if (typeof expected == "string") {
+            return value === expected;
+        }
+        return contains(expected, value);
+    }
+
+    function elementMatchesRule(el, rule) {
+        return (!rule.tagNames || contains(rule.tagNames, el.tagName.toLowerCase())) &&
+            (!rule.className || hasClass(el, rule.className)) &&
+            (!rule.style || each(rule.style, function(propName, value) {
+                return !!el.style && styleValueMatches(el.style[propName], value);
+            }));
+    }
+
+    function removeStylePropertiesRecordingChange(el, properties, changeRecord) {
+        var previousValue = el.getAttribute("style");
+        each(properties, function(propName) {
+            el.style[propName] = "";
+        });
+        if (!el.style.cssText) {
+            el.removeAttribute("style");
+        }
+        if (changeRecord) {
+            changeRecord.add("setAttribute", {
+                element: el,
+                name: "style",
+                previousValue: previousValue,
+                value: el.getAttribute("style")
+            });
+        }
+    }
+
+    function setStylePropertyRecordingChange(el, propName, value, changeRecord) {
+        var previousValue = el.getAttribute("style");
+        el.style[propName] = value;
+        if (!el.style.cssText) {
+            el.removeAttribute("style");
+        }
+        if (changeRecord) {
+            changeRecord.add("setAttribute", {
+                element: el,
+                name: "style",
+                previousValue: previousValue,
+                value: el.getAttribute("style")
+            });
+        }
+    }
+
+    function runsContainNode(runs, node) {
+        for (var i = 0, run; run = runs[i++]; ) {
+            for (var j = 0, runNode; runNode = run[j++]; ) {
+                if (dom.isOrIsAncestorOf(runNode, node)) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
     function getRangeBoundaries(ranges) {
         var positions = [], i, range;
         for (i = 0; range = ranges[i++]; ) {
@@ -379,7 +756,7 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
         return offset > 0 && offset < node.childNodes.length;
     }
 
-    function splitNodeAt(node, descendantNode, descendantOffset, positionsToPreserve) {
+    function splitNodeAt(node, descendantNode, descendantOffset, positionsToPreserve, changeRecord) {
         var newNode, parentNode;
         var splitAtStart = (descendantOffset === 0);
 
@@ -414,7 +791,15 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
                 movePreservingPositions(child, newNode, newChildIndex++, positionsToPreserve);
             }
             movePreservingPositions(newNode, parentNode, dom.getNodeIndex(descendantNode) + 1, positionsToPreserve);
-            return (descendantNode == node) ? newNode : splitNodeAt(node, parentNode, dom.getNodeIndex(newNode), positionsToPreserve);
+            if (changeRecord) {
+                changeRecord.add("splitElement", {
+                    element: descendantNode,
+                    newElement: newNode,
+                    index: descendantOffset
+                });
+            }
+            return (descendantNode == node) ? newNode :
+                splitNodeAt(node, parentNode, dom.getNodeIndex(newNode), positionsToPreserve, changeRecord);
         } else if (node !== descendantNode) {
             newNode = descendantNode.parentNode;
 
@@ -424,7 +809,7 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
             if (!splitAtStart) {
                 newNodeIndex++;
             }
-            return splitNodeAt(node, newNode, newNodeIndex, positionsToPreserve);
+            return splitNodeAt(node, newNode, newNodeIndex, positionsToPreserve, changeRecord);
         }
         return node;
     }
@@ -478,7 +863,7 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
     }
 
     Merge.prototype = {
-        doMerge: function(positionsToPreserve) {
+        doMerge: function(positionsToPreserve, changeRecord) {
             var textNodes = this.textNodes;
             var firstTextNode = textNodes[0];
             if (textNodes.length > 1) {
@@ -487,8 +872,24 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
                 forEach(textNodes, function(textNode, i) {
                     parent = textNode.parentNode;
                     if (i > 0) {
+                        if (changeRecord) {
+                            changeRecord.add("mergeText", {
+                                node: firstTextNode,
+                                offset: combinedTextLength,
+                                mergedNode: textNode,
+                                parentNode: parent,
+                                index: dom.getNodeIndex(textNode)
+                            });
+                        }
                         parent.removeChild(textNode);
                         if (!parent.hasChildNodes()) {
+                            if (changeRecord) {
+                                changeRecord.add("removeElement", {
+                                    element: parent,
+                                    parentNode: parent.parentNode,
+                                    index: dom.getNodeIndex(parent)
+                                });
+                            }
                             dom.removeNode(parent);
                         }
                         if (positionsToPreserve) {
@@ -501,9 +902,9 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
                                 // Handle case where both text nodes precede the position within the same parent node
                                 if (position.node == parent && position.offset > firstTextNodeIndex) {
                                     --position.offset;
-                                    if (position.offset === firstTextNodeIndex + 1 && i < len - 1) {
+                                    if (position.offset === firstTextNodeIndex + 1 && i < textNodes.length - 1) {
                                         position.node = firstTextNode;
-                                        position.offset = combinedTextLength;
+                                        position.offset = combinedTextLength + textNode.length;
                                     }
                                 }
                             });
@@ -535,13 +936,35 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
     };
 
     var optionProperties = ["elementTagName", "ignoreWhiteSpace", "applyToEditableOnly", "useExistingElements",
-        "removeEmptyElements", "onElementCreate"];
+        "removeEmptyElements", "onElementCreate", "blockMode", "blockTagName", "equivalents", "filter",
+        "skipNonEditableIslands"];
 
     // TODO: Populate this with every attribute name that corresponds to a property with a different name. Really??
     var attrNamesForProperties = {};
 
+    // Sets the applier's tagNames and applyToAnyTagName properties from tag names supplied either as a comma-separated
+    // string or as an array, in which "*" means any tag name. Returns false if no tag names were supplied.
+    function initTagNames(applier, tagNames) {
+        var i, len;
+        applier.applyToAnyTagName = false;
+        applier.tagNames = [];
+        if (typeof tagNames === "string") {
+            tagNames = trim(tagNames.toLowerCase()).split(/\s*,\s*/);
+        } else if (!tagNames || typeof tagNames !== "object" || typeof tagNames.length !== "number") {
+            return false;
+        }
+        for (i = 0, len = tagNames.length; i < len; ++i) {
+            if (tagNames[i] === "*") {
+                applier.applyToAnyTagName = true;
+            } else {
+                applier.tagNames.push(tagNames[i].toLowerCase());
+            }
+        }
+        return true;
+    }
+
     function ClassApplier(className, options, tagNames) {
-        var normalize, i, len, propName, applier = this;
+        var normalize, i, propName, applier = this;
         applier.cssClass = applier.className = className; // cssClass property is for backward compatibility
 
         var elementPropertiesFromOptions = null, elementAttributes = {};
@@ -551,6 +974,9 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
             if (typeof options.elementTagName !== "undefined") {
                 options.elementTagName = options.elementTagName.toLowerCase();
             }
+            if (typeof options.blockTagName !== "undefined") {
+                options.blockTagName = options.blockTagName.toLowerCase();
+            }
             tagNames = options.tagNames;
             elementPropertiesFromOptions = options.elementProperties;
             elementAttributes = options.elementAttributes;
@@ -568,9 +994,15 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
         // Backward compatibility: the second parameter can also be a Boolean indicating to normalize after unapplying
         applier.normalize = (typeof normalize === "undefined") ? true : normalize;
 
+        var equivalents = applier.equivalents;
+        applier.equivalents = [];
+        forEach(equivalents, function(ruleOptions) {
+            applier.equivalents.push(createEquivalenceRule(ruleOptions));
+        });
+
         // Initialize element properties and attribute exceptions
         applier.attrExceptions = [];
-        var el = document.createElement(applier.elementTagName);
+        var el = api.doc.createElement(applier.getContainerTagName());
         applier.elementProperties = applier.copyPropertiesToElement(elementPropertiesFromOptions, el, true);
         each(elementAttributes, function(attrName, attrValue) {
             applier.attrExceptions.push(attrName);
@@ -583,26 +1015,48 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
             sortClassName(applier.elementProperties.className + " " + className) : className;
 
         // Initialize tag names
-        applier.applyToAnyTagName = false;
-        var type = typeof tagNames;
-        if (type === "string") {
-            if (tagNames === "*") {
+        if (!initTagNames(applier, tagNames)) {
+            if (applier.blockMode) {
+                // In block mode, the class may be applied to any block element by default
                 applier.applyToAnyTagName = true;
             } else {
-                applier.tagNames = trim(tagNames.toLowerCase()).split(/\s*,\s*/);
-            }
-        } else if (type === "object" && typeof tagNames.length === "number") {
-            applier.tagNames = [];
-            for (i = 0, len = tagNames.length; i < len; ++i) {
-                if (tagNames[i] === "*") {
-                    applier.applyToAnyTagName = true;
-                } else {
-                    applier.tagNames.push(tagNames[i].toLowerCase());
-                }
+                applier.tagNames = [applier.elementTagName];
             }
+        }
+
+        // Blocks created to wrap runs of inline content must be recognized
+        if (applier.blockMode && !applier.applyToAnyTagName && !contains(applier.tagNames, applier.blockTagName)) {
+            applier.tagNames.push(applier.blockTagName);
+        }
+    }
+
+    // States reported by the application state queries
+    ClassApplier.APPLIED = "applied";
+    ClassApplier.NOT_APPLIED = "notApplied";
+    ClassApplier.PARTIALLY_APPLIED = "partiallyApplied";
+
+    function getStateForCoverage(coveredCharacterCount, characterCount) {
+        if (coveredCharacterCount === 0) {
+            return ClassApplier.NOT_APPLIED;
+        }
+        return (coveredCharacterCount == characterCount) ? ClassApplier.APPLIED : ClassApplier.PARTIALLY_APPLIED;
+    }
+
+    function createApplicationState(state, characterCount, coveredCharacterCount, coveredRanges) {
+        var coverage;
+        if (characterCount) {
+            coverage = coveredCharacterCount / characterCount;
         } else {
-            applier.tagNames = [applier.elementTagName];
+            coverage = (state == ClassApplier.APPLIED) ? 1 : 0;
         }
+
+        return {
+            state: state,
+            characterCount: characterCount,
+            coveredCharacterCount: coveredCharacterCount,
+            coverage: coverage,
+            coveredRanges: coveredRanges
+        };
     }
 
     ClassApplier.prototype = {
@@ -615,6 +1069,30 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
         removeEmptyElements: true,
         onElementCreate: null,
 
+        // Function called with a node and each of its ancestors before the applier changes or counts the node. If it
+        // returns false for any of them, the node is left alone, so that text in code spans or mentions, for example,
+        // is never wrapped.
+        filter: null,
+
+        // Whether to leave alone nodes within contenteditable="false" elements inside an editable region
+        skipNonEditableIslands: false,
+
+        // In block mode, the class is added to block elements rather than to inline elements wrapping text. Runs of
+        // inline content with no block are wrapped in a new element with tag name blockTagName. Undoing removes such
+        // elements when they have no other classes or attributes, including ones the applier did not create.
+        blockMode: false,
+        blockTagName: "div",
+
+        // Rules describing other forms of element treated as equivalent to the class, such as <b>, <strong> and
+        // font-weight styles for a bold class. Text within an equivalent element counts as having the class, so it is
+        // not wrapped again, and undoing removes the equivalent formatting. See createEquivalenceRule().
+        equivalents: [],
+
+        // Returns the tag name of the elements the applier creates
+        getContainerTagName: function() {
+            return this.blockMode ? this.blockTagName : this.elementTagName;
+        },
+
         copyPropertiesToElement: function(props, el, createCopy) {
             var s, elStyle, elProps = {}, elPropsStyle, propValue, elPropValue, attrName;
 
@@ -688,15 +1166,34 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
             });
         },
 
+        // In block mode, only block elements count as having the class
         hasClass: function(node) {
             return node.nodeType === 1 &&
                 (this.applyToAnyTagName || this.appliesToElement(node)) &&
+                (!this.blockMode || isNonInlineElement(node)) &&
                 hasClass(node, this.className);
         },
 
+        // Returns the equivalence rules matched by the element
+        getMatchingEquivalents: function(node) {
+            var rules = [];
+            if (node.nodeType === 1 && (!this.blockMode || isNonInlineElement(node))) {
+                forEach(this.equivalents, function(rule) {
+                    if (elementMatchesRule(node, rule)) {
+                        rules.push(rule);
+                    }
+                });
+            }
+            return rules;
+        },
+
+        hasClassOrEquivalent: function(node) {
+            return this.hasClass(node) || this.getMatchingEquivalents(node).length > 0;
+        },
+
         getSelfOrAncestorWithClass: function(node) {
             while (node) {
-                if (this.hasClass(node)) {
+                if (this.hasClassOrEquivalent(node)) {
                     return node;
                 }
                 node = node.parentNode;
@@ -704,8 +1201,31 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
             return null;
         },
 
+        getOutermostAncestorWithClass: function(node) {
+            var outermost = null;
+            while ( (node = this.getSelfOrAncestorWithClass(node)) ) {
+                outermost = node;
+                node = node.parentNode;
+            }
+            return outermost;
+        },
+
         isModifiable: function(node) {
-            return !this.applyToEditableOnly || isEditable(node);
+            return (!this.applyToEditableOnly || isEditable(node)) &&
+                !(this.skipNonEditableIslands && isInNonEditableIsland(node)) &&
+                !this.isFiltered(node);
+        },
+
+        // Returns whether the filter excludes the node or any of its ancestors
+        isFiltered: function(node) {
+            if (this.filter) {
+                for ( ; node; node = node.parentNode) {
+                    if (this.filter(node) === false) {
+                        return true;
+                    }
+                }
+            }
+            return false;
         },
 
         // White space adjacent to an unwrappable node can be ignored for wrapping
@@ -714,7 +1234,7 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
         },
 
         // Normalizes nodes after applying a class to a Range.
-        postApply: function(textNodes, range, positionsToPreserve, isUndo) {
+        postApply: function(textNodes, range, positionsToPreserve, isUndo, changeRecord) {
             log.group("postApply " + range.toHtml());
             var firstNode = textNodes[0], lastNode = textNodes[textNodes.length - 1];
             var merges = [], currentMerge;
@@ -760,7 +1280,7 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
             if (merges.length) {
                 log.info("Merging. Merges:", merges);
                 for (var i = 0, len = merges.length; i < len; ++i) {
-                    merges[i].doMerge(positionsToPreserve);
+                    merges[i].doMerge(positionsToPreserve, changeRecord);
                 }
                 log.info(rangeStartNode.nodeValue, rangeStartOffset, rangeEndNode.nodeValue, rangeEndOffset);
 
@@ -775,9 +1295,10 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
             log.debug("createContainer with namespace " + parentNode.namespaceURI);
             var doc = dom.getDocument(parentNode);
             var namespace;
+            var tagName = this.getContainerTagName();
             var el = createElementNSSupported && !dom.isHtmlNamespace(parentNode) && (namespace = parentNode.namespaceURI) ?
-                doc.createElementNS(parentNode.namespaceURI, this.elementTagName) :
-                doc.createElement(this.elementTagName);
+                doc.createElementNS(parentNode.namespaceURI, tagName) :
+                doc.createElement(tagName);
 
             this.copyPropertiesToElement(this.elementProperties, el, false);
             this.copyAttributesToElement(this.elementAttributes, el);
@@ -815,7 +1336,7 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
             });
         },
 
-        applyToTextNode: function(textNode, positionsToPreserve) {
+        applyToTextNode: function(textNode, positionsToPreserve, changeRecord) {
             log.group("Apply class '" + this.className + "'. textNode: " + textNode.data);
             log.info("Apply class  '" + this.className + "'. textNode: " + textNode.data);
 
@@ -829,10 +1350,19 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
                     this.elementHasProperties(parent, this.elementProperties) &&
                     this.elementHasAttributes(parent, this.elementAttributes)) {
 
-                    addClass(parent, this.className);
+                    addClassRecordingChange(parent, this.className, changeRecord);
                 } else {
                     var textNodeParent = textNode.parentNode;
                     var el = this.createContainer(textNodeParent);
+                    if (changeRecord) {
+                        changeRecord.add("createElement", {
+                            element: el,
+                            parentNode: textNodeParent,
+                            index: dom.getNodeIndex(textNode),
+                            wrappedNode: textNode,
+                            childNodeCount: 1
+                        });
+                    }
                     textNodeParent.insertBefore(el, textNode);
                     el.appendChild(textNode);
                 }
@@ -842,7 +1372,7 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
         },
 
         isRemovable: function(el) {
-            return el.tagName.toLowerCase() === this.elementTagName &&
+            return el.tagName.toLowerCase() === this.getContainerTagName() &&
                 getSortedClassName(el) === this.elementSortedClassName &&
                 this.elementHasProperties(el, this.elementProperties) &&
                 !elementHasNonClassAttributes(el, this.attrExceptions) &&
@@ -857,7 +1387,7 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
                 (childNodeCount === 0 || (childNodeCount === 1 && this.isEmptyContainer(el.firstChild)));
         },
 
-        removeEmptyContainers: function(range) {
+        removeEmptyContainers: function(range, changeRecord) {
             var applier = this;
             var nodesToRemove = range.getNodes([1], function(el) {
                 return applier.isEmptyContainer(el);
@@ -868,14 +1398,14 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
 
             forEach(nodesToRemove, function(node) {
                 log.debug("Removing empty container " + dom.inspectNode(node));
-                removePreservingPositions(node, positionsToPreserve);
+                removePreservingPositions(node, positionsToPreserve, changeRecord);
             });
 
             // Update the range from the preserved boundary positions
             updateRangesFromBoundaries(rangesToPreserve, positionsToPreserve);
         },
 
-        undoToTextNode: function(textNode, range, ancestorWithClass, positionsToPreserve) {
+        undoToTextNode: function(textNode, range, ancestorWithClass, positionsToPreserve, changeRecord) {
             log.info("undoToTextNode", dom.inspectNode(textNode), range.inspect(), dom.inspectNode(ancestorWithClass), range.containsNode(ancestorWithClass));
             if (!range.containsNode(ancestorWithClass)) {
                 // Split out the portion of the ancestor from which we can remove the class
@@ -884,87 +1414,274 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
                 ancestorRange.selectNode(ancestorWithClass);
                 log.info("range end in ancestor " + ancestorRange.isPointInRange(range.endContainer, range.endOffset) + ", isSplitPoint " + isSplitPoint(range.endContainer, range.endOffset));
                 if (ancestorRange.isPointInRange(range.endContainer, range.endOffset)) {
-                    splitNodeAt(ancestorWithClass, range.endContainer, range.endOffset, positionsToPreserve);
+                    splitNodeAt(ancestorWithClass, range.endContainer, range.endOffset, positionsToPreserve,
+                        changeRecord);
                     range.setEndAfter(ancestorWithClass);
                 }
                 if (ancestorRange.isPointInRange(range.startContainer, range.startOffset)) {
-                    ancestorWithClass = splitNodeAt(ancestorWithClass, range.startContainer, range.startOffset, positionsToPreserve);
+                    ancestorWithClass = splitNodeAt(ancestorWithClass, range.startContainer, range.startOffset,
+                        positionsToPreserve, changeRecord);
                 }
             }
 
-            log.info("isRemovable", this.isRemovable(ancestorWithClass), dom.inspectNode(ancestorWithClass), "'" + ancestorWithClass.innerHTML + "'", "'" + ancestorWithClass.parentNode.innerHTML + "'");
-            if (this.isRemovable(ancestorWithClass)) {
-                replaceWithOwnChildrenPreservingPositions(ancestorWithClass, positionsToPreserve);
-            } else {
-                removeClass(ancestorWithClass, this.className);
-            }
+            this.undoToAncestor(ancestorWithClass, positionsToPreserve, changeRecord);
         },
 
-        splitAncestorWithClass: function(container, offset, positionsToPreserve) {
-            var ancestorWithClass = this.getSelfOrAncestorWithClass(container);
+        // Splits the outermost ancestor with the class or an equivalent so that undoing can remove every ancestor
+        splitAncestorWithClass: function(container, offset, positionsToPreserve, changeRecord) {
+            var ancestorWithClass = this.getOutermostAncestorWithClass(container);
             if (ancestorWithClass) {
                 log.info("splitAncestorWithClass", dom.inspectNode(ancestorWithClass), dom.inspectNode(container), offset);
-                splitNodeAt(ancestorWithClass, container, offset, positionsToPreserve);
+                splitNodeAt(ancestorWithClass, container, offset, positionsToPreserve, changeRecord);
             }
         },
 
-        undoToAncestor: function(ancestorWithClass, positionsToPreserve) {
-            log.info("isRemovable", this.isRemovable(ancestorWithClass), dom.inspectNode(ancestorWithClass), "'" + ancestorWithClass.innerHTML + "'", "'" + ancestorWithClass.parentNode.innerHTML + "'");
-            if (this.isRemovable(ancestorWithClass)) {
-                replaceWithOwnChildrenPreservingPositions(ancestorWithClass, positionsToPreserve);
-            } else {
-                removeClass(ancestorWithClass, this.className);
+        // Removes the class and equivalents from every ancestor of the node, stopping if an ancestor cannot be changed
+        undoToAncestorsOfNode: function(node, positionsToPreserve, changeRecord) {
+            var ancestorWithClass, changeCount;
+            while ( this.isModifiable(node) && (ancestorWithClass = this.getSelfOrAncestorWithClass(node)) ) {
+                changeCount = changeRecord.changes.length;
+                this.undoToAncestor(ancestorWithClass, positionsToPreserve, changeRecord);
+                if (changeRecord.changes.length == changeCount) {
+                    break;
+                }
             }
         },
 
-        applyToRange: function(range, rangesToPreserve) {
-            var applier = this;
-            rangesToPreserve = rangesToPreserve || [];
-
-            // Create an array of range boundaries to preserve
-            var positionsToPreserve = getRangeBoundaries(rangesToPreserve || []);
+        // Removes the formatting of every equivalence rule the element matches. The element is removed if its tag name
+        // is part of the formatting, or if it is left as a span or applier element with no attributes. If the tag name
+        // is part of the formatting but other attributes remain, its contents are wrapped in a span with them instead.
+        undoEquivalentsToElement: function(el, positionsToPreserve, changeRecord) {
+            var isFormattingElement = false;
+            forEach(this.getMatchingEquivalents(el), function(rule) {
+                if (rule.className) {
+                    removeClassRecordingChange(el, rule.className, changeRecord);
+                }
+                if (rule.style) {
+                    removeStylePropertiesRecordingChange(el, rule.style, changeRecord);
+                }
+                if (rule.tagNames) {
+                    isFormattingElement = true;
+                }
+            });
 
-            range.splitBoundariesPreservingPositions(positionsToPreserve);
+            var tagName = el.tagName.toLowerCase();
+            var hasAttributes = !!getClass(el) || elementHasNonClassAttributes(el);
+            if (isFormattingElement || (!hasAttributes && (tagName == "span" || tagName == this.elementTagName))) {
+                var parentNode = el.parentNode, index = dom.getNodeIndex(el);
+                var children = replaceWithOwnChildrenPreservingPositions(el, positionsToPreserve, changeRecord);
+                if (hasAttributes && children.length) {
+                    var span = dom.getDocument(el).createElement("span");
+                    for (var i = 0, attr; attr = el.attributes[i++]; ) {
+                        if (attr.specified && attr.value !== "") {
+                            span.setAttribute(attr.name, attr.value);
+                        }
+                    }
+                    if (changeRecord) {
+                        changeRecord.add("createElement", {
+                            element: span,
+                            parentNode: parentNode,
+                            index: index,
+                            wrappedNode: children[0],
+                            childNodeCount: children.length
+                        });
+                    }
+                    movePreservingPositions(span, parentNode, index, positionsToPreserve);
+                    for (i = 0; i < children.length; ++i) {
+                        movePreservingPositions(children[i], span, i, positionsToPreserve);
+                    }
+                }
+            }
+        },
 
-            // Tidy up the DOM by removing empty containers
-            if (applier.removeEmptyElements) {
-                applier.removeEmptyContainers(range);
+        undoToAncestor: function(ancestorWithClass, positionsToPreserve, changeRecord) {
+            if (!this.hasClass(ancestorWithClass)) {
+                this.undoEquivalentsToElement(ancestorWithClass, positionsToPreserve, changeRecord);
+                return;
+            }
+            log.info("isRemovable", this.isRemovable(ancestorWithClass), dom.inspectNode(ancestorWithClass), "'" + ancestorWithClass.innerHTML + "'", "'" + ancestorWithClass.parentNode.innerHTML + "'");
+            if (this.isRemovable(ancestorWithClass)) {
+                replaceWithOwnChildrenPreservingPositions(ancestorWithClass, positionsToPreserve, changeRecord);
+            } else {
+                removeClassRecordingChange(ancestorWithClass, this.className, changeRecord);
             }
+        },
 
-            var textNodes = getEffectiveTextNodes(range);
+        // Returns the block element to which block mode applies the class for the node, which is the nearest block
+        // containing it, or null if the node is part of a run of inline content with no such block. A block that
+        // contains other blocks or is not one of the applier's tag names does not count.
+        getBlockForNode: function(node) {
+            while (node && !isBlockModeRoot(node)) {
+                if (isNonInlineElement(node)) {
+                    return ((this.applyToAnyTagName || this.appliesToElement(node)) && !hasNonInlineChild(node)) ?
+                        node : null;
+                }
+                node = node.parentNode;
+            }
+            return null;
+        },
 
-            if (textNodes.length) {
-                forEach(textNodes, function(textNode) {
-                    log.info("textnode " + textNode.data + " is ignorable: " + applier.isIgnorableWhiteSpaceNode(textNode));
-                    if (!applier.isIgnorableWhiteSpaceNode(textNode) && !applier.getSelfOrAncestorWithClass(textNode) &&
-                            applier.isModifiable(textNode)) {
-                        applier.applyToTextNode(textNode, positionsToPreserve);
+        // Returns the nodes whose blocks block mode applies to: the text nodes in the range, any blocks in the range
+        // containing no text, such as a paragraph containing only a <br>, or the node at a collapsed range
+        getBlockModeNodes: function(range) {
+            var applier = this, nodes = [], node;
+            if (range.collapsed) {
+                node = range.startContainer;
+                if (!dom.isCharacterDataNode(node)) {
+                    node = node.childNodes[range.startOffset] || node.lastChild || node;
+                }
+                if (!isBlockModeRoot(node) && applier.isModifiable(node)) {
+                    nodes.push(node);
+                }
+            } else {
+                forEach(getEffectiveTextNodes(range), function(textNode) {
+                    if (!applier.isIgnorableWhiteSpaceNode(textNode) && applier.isModifiable(textNode)) {
+                        nodes.push(textNode);
                     }
                 });
-                var lastTextNode = textNodes[textNodes.length - 1];
-                range.setStartAndEnd(textNodes[0], 0, lastTextNode, lastTextNode.length);
-                if (applier.normalize) {
-                    applier.postApply(textNodes, range, positionsToPreserve, false);
-                }
-
-                // Update the ranges from the preserved boundary positions
-                updateRangesFromBoundaries(rangesToPreserve, positionsToPreserve);
+                nodes = nodes.concat( range.getNodes([1], function(el) {
+                    return isNonInlineElement(el) && el.hasChildNodes() && !hasNonInlineChild(el) &&
+                        !hasNonWhiteSpaceText(el) && applier.isModifiable(el);
+                }) );
             }
+            return nodes;
+        },
 
-            // Apply classes to any appropriate empty elements
-            var emptyElements = applier.getEmptyElements(range);
-
-            forEach(emptyElements, function(el) {
-                addClass(el, applier.className);
+        wrapInlineRun: function(run, positionsToPreserve, changeRecord) {
+            var parentNode = run[0].parentNode, index = dom.getNodeIndex(run[0]);
+            var el = this.createContainer(parentNode);
+            changeRecord.add("createElement", {
+                element: el,
+                parentNode: parentNode,
+                index: index,
+                wrappedNode: run[0],
+                childNodeCount: run.length
             });
+            movePreservingPositions(el, parentNode, index, positionsToPreserve);
+            for (var i = 0, len = run.length; i < len; ++i) {
+                movePreservingPositions(run[i], el, i, positionsToPreserve);
+            }
         },
 
-        applyToRanges: function(ranges) {
-            log.group("applyToRanges");
+        // Adds the class to each block intersecting the range, wrapping runs of inline content that have no block
+        applyToBlocksInRange: function(range, rangesToPreserve, changeRecord) {
+            var applier = this, blocks = [], runs = [];
+            rangesToPreserve = contains(rangesToPreserve, range) ? rangesToPreserve : rangesToPreserve.concat([range]);
+            var positionsToPreserve = getRangeBoundaries(rangesToPreserve);
+
+            forEach(applier.getBlockModeNodes(range), function(node) {
+                var block;
+                if (!applier.getSelfOrAncestorWithClass(node)) {
+                    if ( (block = applier.getBlockForNode(node)) ) {
+                        if (!contains(blocks, block)) {
+                            blocks.push(block);
+                        }
+                    } else if (!runsContainNode(runs, node)) {
+                        runs.push(getInlineRun(node));
+                    }
+                }
+            });
+
+            forEach(blocks, function(block) {
+                addClassRecordingChange(block, applier.className, changeRecord);
+            });
+            forEach(runs, function(run) {
+                if (run.length) {
+                    applier.wrapInlineRun(run, positionsToPreserve, changeRecord);
+                }
+            });
+
+            updateRangesFromBoundaries(rangesToPreserve, positionsToPreserve);
+            return changeRecord;
+        },
+
+        // Removes the class from each block intersecting the range and from blocks containing them. Blocks the applier
+        // would have created to wrap inline content are removed.
+        undoToBlocksInRange: function(range, rangesToPreserve, changeRecord) {
+            var applier = this, blocks = [];
+            rangesToPreserve = contains(rangesToPreserve, range) ? rangesToPreserve : rangesToPreserve.concat([range]);
+            var positionsToPreserve = getRangeBoundaries(rangesToPreserve);
+
+            forEach(applier.getBlockModeNodes(range), function(node) {
+                var block = node;
+                while ( (block = applier.getSelfOrAncestorWithClass(block)) ) {
+                    if (!contains(blocks, block)) {
+                        blocks.push(block);
+                    }
+                    block = block.parentNode;
+                }
+            });
+
+            forEach(blocks, function(block) {
+                if (applier.isModifiable(block)) {
+                    applier.undoToAncestor(block, positionsToPreserve, changeRecord);
+                }
+            });
+
+            updateRangesFromBoundaries(rangesToPreserve, positionsToPreserve);
+            return changeRecord;
+        },
+
+        // Applies the class to the range and returns a ChangeRecord describing the changes made to the DOM. If a
+        // ChangeRecord is supplied, the changes are added to it.
+        applyToRange: function(range, rangesToPreserve, changeRecord) {
+            var applier = this;
+            rangesToPreserve = rangesToPreserve || [];
+            changeRecord = changeRecord || new ChangeRecord();
+
+            if (applier.blockMode) {
+                return applier.applyToBlocksInRange(range, rangesToPreserve, changeRecord);
+            }
+
+            // Create an array of range boundaries to preserve
+            var positionsToPreserve = getRangeBoundaries(rangesToPreserve || []);
+
+            splitRangeBoundaries(range, positionsToPreserve, changeRecord);
+
+            // Tidy up the DOM by removing empty containers
+            if (applier.removeEmptyElements) {
+                applier.removeEmptyContainers(range, changeRecord);
+            }
+
+            var textNodes = getEffectiveTextNodes(range);
+
+            if (textNodes.length) {
+                forEach(textNodes, function(textNode) {
+                    log.info("textnode " + textNode.data + " is ignorable: " + applier.isIgnorableWhiteSpaceNode(textNode));
+                    if (!applier.isIgnorableWhiteSpaceNode(textNode) && !applier.getSelfOrAncestorWithClass(textNode) &&
+                            applier.isModifiable(textNode)) {
+                        applier.applyToTextNode(textNode, positionsToPreserve, changeRecord);
+                    }
+                });
+                var lastTextNode = textNodes[textNodes.length - 1];
+                range.setStartAndEnd(textNodes[0], 0, lastTextNode, lastTextNode.length);
+                if (applier.normalize) {
+                    applier.postApply(textNodes, range, positionsToPreserve, false, changeRecord);
+                }
+
+                // Update the ranges from the preserved boundary positions
+                updateRangesFromBoundaries(rangesToPreserve, positionsToPreserve);
+            }
+
+            // Apply classes to any appropriate empty elements
+            var emptyElements = applier.getEmptyElements(range);
+
+            forEach(emptyElements, function(el) {
+                addClassRecordingChange(el, applier.className, changeRecord);
+            });
+
+            return changeRecord;
+        },
+
+        // Returns the ranges, for backward compatibility. To find out what changed, pass in a ChangeRecord.
+        applyToRanges: function(ranges, changeRecord) {
+            log.group("applyToRanges");
+            ranges = api.RangeSet.getRangeArray(ranges);
+            changeRecord = changeRecord || new ChangeRecord();
 
             var i = ranges.length;
             while (i--) {
-                this.applyToRange(ranges[i], ranges);
+                this.applyToRange(ranges[i], ranges, changeRecord);
             }
 
             log.groupEnd();
@@ -975,39 +1692,47 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
         applyToSelection: function(win) {
             log.group("applyToSelection");
             var sel = api.getSelection(win);
+            var changeRecord = new ChangeRecord();
             log.info("applyToSelection " + sel.inspect());
-            sel.setRanges( this.applyToRanges(sel.getAllRanges()) );
+            sel.setRanges( this.applyToRanges(sel.getAllRanges(), changeRecord) );
             log.groupEnd();
+            return changeRecord;
         },
 
-        undoToRange: function(range, rangesToPreserve) {
+        // Removes the class from the range and returns a ChangeRecord describing the changes made to the DOM. If a
+        // ChangeRecord is supplied, the changes are added to it.
+        undoToRange: function(range, rangesToPreserve, changeRecord) {
             var applier = this;
             // Create an array of range boundaries to preserve
             rangesToPreserve = rangesToPreserve || [];
+            changeRecord = changeRecord || new ChangeRecord();
+
+            if (applier.blockMode) {
+                return applier.undoToBlocksInRange(range, rangesToPreserve, changeRecord);
+            }
+
             var positionsToPreserve = getRangeBoundaries(rangesToPreserve);
 
             log.info("undoToRange " + range.inspect(), positionsToPreserve);
 
-            range.splitBoundariesPreservingPositions(positionsToPreserve);
+            splitRangeBoundaries(range, positionsToPreserve, changeRecord);
 
             // Tidy up the DOM by removing empty containers
             if (applier.removeEmptyElements) {
-                applier.removeEmptyContainers(range, positionsToPreserve);
+                applier.removeEmptyContainers(range, changeRecord);
             }
 
             var textNodes = getEffectiveTextNodes(range);
-            var textNode, ancestorWithClass;
+            var textNode;
             var lastTextNode = textNodes[textNodes.length - 1];
 
             if (textNodes.length) {
-                applier.splitAncestorWithClass(range.endContainer, range.endOffset, positionsToPreserve);
-                applier.splitAncestorWithClass(range.startContainer, range.startOffset, positionsToPreserve);
+                applier.splitAncestorWithClass(range.endContainer, range.endOffset, positionsToPreserve, changeRecord);
+                applier.splitAncestorWithClass(range.startContainer, range.startOffset, positionsToPreserve,
+                    changeRecord);
                 for (var i = 0, len = textNodes.length; i < len; ++i) {
                     textNode = textNodes[i];
-                    ancestorWithClass = applier.getSelfOrAncestorWithClass(textNode);
-                    if (ancestorWithClass && applier.isModifiable(textNode)) {
-                        applier.undoToAncestor(ancestorWithClass, positionsToPreserve);
-                    }
+                    applier.undoToAncestorsOfNode(textNode, positionsToPreserve, changeRecord);
                 }
                 // Ensure the range is still valid
                 range.setStartAndEnd(textNodes[0], 0, lastTextNode, lastTextNode.length);
@@ -1015,7 +1740,7 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
                 log.info("Undo set range to '" + textNodes[0].data + "', '" + textNode.data + "'");
 
                 if (applier.normalize) {
-                    applier.postApply(textNodes, range, positionsToPreserve, true);
+                    applier.postApply(textNodes, range, positionsToPreserve, true, changeRecord);
                 }
 
                 // Update the ranges from the preserved boundary positions
@@ -1026,16 +1751,21 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
             var emptyElements = applier.getEmptyElements(range);
 
             forEach(emptyElements, function(el) {
-                removeClass(el, applier.className);
+                removeClassRecordingChange(el, applier.className, changeRecord);
             });
+
+            return changeRecord;
         },
 
-        undoToRanges: function(ranges) {
+        // Returns the ranges, for backward compatibility. To find out what changed, pass in a ChangeRecord.
+        undoToRanges: function(ranges, changeRecord) {
+            ranges = api.RangeSet.getRangeArray(ranges);
+            changeRecord = changeRecord || new ChangeRecord();
             // Get ranges returned in document order
             var i = ranges.length;
 
             while (i--) {
-                this.undoToRange(ranges[i], ranges);
+                this.undoToRange(ranges[i], ranges, changeRecord);
             }
             log.groupEnd();
 
@@ -1045,8 +1775,10 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
         undoToSelection: function(win) {
             var sel = api.getSelection(win);
             var ranges = api.getSelection(win).getAllRanges();
-            this.undoToRanges(ranges);
+            var changeRecord = new ChangeRecord();
+            this.undoToRanges(ranges, changeRecord);
             sel.setRanges(ranges);
+            return changeRecord;
         },
 
         isAppliedToRange: function(range) {
@@ -1083,20 +1815,93 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
             return this.isAppliedToRanges(sel.getAllRanges());
         },
 
-        toggleRange: function(range) {
-            if (this.isAppliedToRange(range)) {
-                this.undoToRange(range);
+        // Returns an object describing how much of the text in the range has the class. Its properties are:
+        // - state: one of ClassApplier.APPLIED, ClassApplier.NOT_APPLIED and ClassApplier.PARTIALLY_APPLIED
+        // - characterCount: the number of characters in the range that the applier could apply the class to
+        // - coveredCharacterCount: the number of those characters that have the class
+        // - coverage: the proportion of characters that have the class, from 0 to 1
+        // - coveredRanges: ranges covering each run of text within the range that has the class
+        // Text in ignorable white space nodes and text the applier cannot modify, such as text excluded by the filter,
+        // is not counted. A range containing no such text, such as a collapsed range, is either applied or not applied
+        // according to whether its common ancestor has the class.
+        getStateForRange: function(range) {
+            var characterCount = 0, coveredCharacterCount = 0, coveredRanges = [], currentCoveredRange = null;
+            var textNodes = getEffectiveTextNodes(range);
+
+            for (var i = 0, textNode, startOffset, endOffset; textNode = textNodes[i++]; ) {
+                if (!this.isIgnorableWhiteSpaceNode(textNode) && this.isModifiable(textNode)) {
+                    startOffset = (textNode == range.startContainer) ? range.startOffset : 0;
+                    endOffset = (textNode == range.endContainer) ? range.endOffset : textNode.length;
+                    characterCount += endOffset - startOffset;
+
+                    if (this.getSelfOrAncestorWithClass(textNode)) {
+                        coveredCharacterCount += endOffset - startOffset;
+
+                        // Extend the current covered range if the previous counted text node was also covered
+                        if (currentCoveredRange) {
+                            currentCoveredRange.setEnd(textNode, endOffset);
+                        } else {
+                            currentCoveredRange = api.createRange(textNode);
+                            currentCoveredRange.setStartAndEnd(textNode, startOffset, endOffset);
+                            coveredRanges.push(currentCoveredRange);
+                        }
+                    } else {
+                        currentCoveredRange = null;
+                    }
+                }
+            }
+
+            var state;
+            if (characterCount === 0) {
+                state = this.getSelfOrAncestorWithClass(range.commonAncestorContainer) ?
+                    ClassApplier.APPLIED : ClassApplier.NOT_APPLIED;
             } else {
-                this.applyToRange(range);
+                state = getStateForCoverage(coveredCharacterCount, characterCount);
             }
+
+            return createApplicationState(state, characterCount, coveredCharacterCount, coveredRanges);
         },
 
-        toggleSelection: function(win) {
-            if (this.isAppliedToSelection(win)) {
-                this.undoToSelection(win);
+        // Returns the combined state for the ranges, in the same form as getStateForRange(). Character counts are
+        // summed across the ranges; ranges containing no countable text contribute only their state.
+        getStateForRanges: function(ranges) {
+            var characterCount = 0, coveredCharacterCount = 0, coveredRanges = [];
+            var appliedCount = 0, notAppliedCount = 0;
+
+            for (var i = 0, len = ranges.length, rangeState; i < len; ++i) {
+                rangeState = this.getStateForRange(ranges[i]);
+                characterCount += rangeState.characterCount;
+                coveredCharacterCount += rangeState.coveredCharacterCount;
+                coveredRanges = coveredRanges.concat(rangeState.coveredRanges);
+                if (rangeState.state == ClassApplier.APPLIED) {
+                    ++appliedCount;
+                } else if (rangeState.state == ClassApplier.NOT_APPLIED) {
+                    ++notAppliedCount;
+                }
+            }
+
+            var state;
+            if (appliedCount == len && len > 0) {
+                state = ClassApplier.APPLIED;
+            } else if (notAppliedCount == len) {
+                state = ClassApplier.NOT_APPLIED;
             } else {
-                this.applyToSelection(win);
+                state = ClassApplier.PARTIALLY_APPLIED;
             }
+
+            return createApplicationState(state, characterCount, coveredCharacterCount, coveredRanges);
+        },
+
+        getStateForSelection: function(win) {
+            return this.getStateForRanges(api.getSelection(win).getAllRanges());
+        },
+
+        toggleRange: function(range) {
+            return this.isAppliedToRange(range) ? this.undoToRange(range) : this.applyToRange(range);
+        },
+
+        toggleSelection: function(win) {
+            return this.isAppliedToSelection(win) ? this.undoToSelection(win) : this.applyToSelection(win);
         },
 
         getElementsWithClassIntersectingRange: function(range) {
@@ -1118,6 +1923,8 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
         return new ClassApplier(className, options, tagNames);
     }
 
+    ClassApplier.ChangeRecord = ChangeRecord;
+
     ClassApplier.util = {
         hasClass: hasClass,
         addClass: addClass,
@@ -1131,11 +1938,725 @@ rangy.createModule("ClassApplier", ["WrappedSelection"], function(api, module) {
         splitNodeAt: splitNodeAt,
         isEditableElement: isEditableElement,
         isEditingHost: isEditingHost,
-        isEditable: isEditable
+        isEditable: isEditable,
+        isInNonEditableIsland: isInNonEditableIsland
     };
 
     api.CssClassApplier = api.ClassApplier = ClassApplier;
     api.createClassApplier = createClassApplier;
     util.createAliasForDeprecatedMethod(api, "createCssClassApplier", "createClassApplier", module);
+
+    /*----------------------------------------------------------------------------------------------------------------*/
+
+    // Class applier groups
+
+    // A set of class appliers of which at most one may apply to any character, such as a palette of highlight colours.
+    // Members may be supplied as class appliers or class names, in which case appliers are created using the options.
+    function ClassApplierGroup(appliers, options) {
+        var group = this;
+        group.appliers = [];
+        forEach(appliers, function(applier) {
+            if (typeof applier == "string") {
+                applier = new ClassApplier(applier, options);
+            }
+            if (applier.blockMode) {
+                throw module.createError("ClassApplierGroup: block mode appliers are not supported");
+            }
+            group.appliers.push(applier);
+        });
+    }
+
+    ClassApplierGroup.prototype = {
+        // Returns the member applier for the specified applier or class name, throwing an error if there is none
+        getApplier: function(applier) {
+            for (var i = 0, member; member = this.appliers[i++]; ) {
+                if (member === applier || member.className === applier) {
+                    return member;
+                }
+            }
+            throw module.createError("ClassApplierGroup: " + applier + " is not a member of the group");
+        },
+
+        // Removes every member except the applier (if any) from the range and then applies the applier, using a single
+        // set of boundary splits and a single merge pass. Returns a ChangeRecord.
+        replaceInRange: function(applier, range, rangesToPreserve, changeRecord) {
+            var otherAppliers = [];
+            forEach(this.appliers, function(member) {
+                if (member !== applier) {
+                    otherAppliers.push(member);
+                }
+            });
+
+            rangesToPreserve = rangesToPreserve || [];
+            changeRecord = changeRecord || new ChangeRecord();
+            var positionsToPreserve = getRangeBoundaries(rangesToPreserve);
+
+            splitRangeBoundaries(range, positionsToPreserve, changeRecord);
+
+            forEach(this.appliers, function(member) {
+                if (member.removeEmptyElements) {
+                    member.removeEmptyContainers(range, changeRecord);
+                }
+            });
+
+            var textNodes = getEffectiveTextNodes(range);
+            if (textNodes.length) {
+                // Split elements from other members that extend beyond the range so that only the part within the
+                // range is affected
+                forEach(otherAppliers, function(other) {
+                    other.splitAncestorWithClass(range.endContainer, range.endOffset, positionsToPreserve, changeRecord);
+                    other.splitAncestorWithClass(range.startContainer, range.startOffset, positionsToPreserve,
+                        changeRecord);
+                });
+
+                forEach(textNodes, function(textNode) {
+                    forEach(otherAppliers, function(other) {
+                        other.undoToAncestorsOfNode(textNode, positionsToPreserve, changeRecord);
+                    });
+                    if (applier && !applier.isIgnorableWhiteSpaceNode(textNode) &&
+                            !applier.getSelfOrAncestorWithClass(textNode) && applier.isModifiable(textNode)) {
+                        applier.applyToTextNode(textNode, positionsToPreserve, changeRecord);
+                    }
+                });
+
+                // Merge using the applier, or any member when removing all members
+                var lastTextNode = textNodes[textNodes.length - 1];
+                var normalizingApplier = applier || this.appliers[0];
+                range.setStartAndEnd(textNodes[0], 0, lastTextNode, lastTextNode.length);
+                if (normalizingApplier && normalizingApplier.normalize) {
+                    normalizingApplier.postApply(textNodes, range, positionsToPreserve, !applier, changeRecord);
+                }
+                updateRangesFromBoundaries(rangesToPreserve, positionsToPreserve);
+            }
+
+            // Update the classes of any appropriate empty elements
+            forEach(otherAppliers, function(other) {
+                forEach(other.getEmptyElements(range), function(el) {
+                    removeClassRecordingChange(el, other.className, changeRecord);
+                });
+            });
+            if (applier) {
+                forEach(applier.getEmptyElements(range), function(el) {
+                    addClassRecordingChange(el, applier.className, changeRecord);
+                });
+            }
+
+            return changeRecord;
+        },
+
+        replaceInRanges: function(applier, ranges, changeRecord) {
+            ranges = api.RangeSet.getRangeArray(ranges);
+            var i = ranges.length;
+            while (i--) {
+                this.replaceInRange(applier, ranges[i], ranges, changeRecord);
+            }
+            return ranges;
+        },
+
+        replaceInSelection: function(applier, win) {
+            var sel = api.getSelection(win);
+            var changeRecord = new ChangeRecord();
+            sel.setRanges( this.replaceInRanges(applier, sel.getAllRanges(), changeRecord) );
+            return changeRecord;
+        },
+
+        // Applies the specified member, which may be an applier or a class name, to the range, removing every other
+        // member. Returns a ChangeRecord.
+        applyToRange: function(applier, range, rangesToPreserve, changeRecord) {
+            return this.replaceInRange(this.getApplier(applier), range, rangesToPreserve, changeRecord);
+        },
+
+        applyToRanges: function(applier, ranges, changeRecord) {
+            return this.replaceInRanges(this.getApplier(applier), ranges, changeRecord || new ChangeRecord());
+        },
+
+        applyToSelection: function(applier, win) {
+            return this.replaceInSelection(this.getApplier(applier), win);
+        },
+
+        // Removes every member from the range. Returns a ChangeRecord.
+        undoToRange: function(range, rangesToPreserve, changeRecord) {
+            return this.replaceInRange(null, range, rangesToPreserve, changeRecord);
+        },
+
+        undoToRanges: function(ranges, changeRecord) {
+            return this.replaceInRanges(null, ranges, changeRecord || new ChangeRecord());
+        },
+
+        undoToSelection: function(win) {
+            return this.replaceInSelection(null, win);
+        },
+
+        // Returns the member that applies across the whole of the range, or null if there is none
+        getAppliedApplierForRange: function(range) {
+            for (var i = 0, applier; applier = this.appliers[i++]; ) {
+                if (applier.isAppliedToRange(range)) {
+                    return applier;
+                }
+            }
+            return null;
+        },
+
+        getAppliedApplierForRanges: function(ranges) {
+            for (var i = 0, applier; applier = this.appliers[i++]; ) {
+                if (applier.isAppliedToRanges(ranges)) {
+                    return applier;
+                }
+            }
+            return null;
+        },
+
+        getAppliedApplierForSelection: function(win) {
+            return this.getAppliedApplierForRanges(api.getSelection(win).getAllRanges());
+        },
+
+        // Removes every member from the range if the specified member applies across the range, and otherwise applies
+        // the specified member. Returns a ChangeRecord.
+        toggleRange: function(applier, range) {
+            applier = this.getApplier(applier);
+            return (this.getAppliedApplierForRange(range) === applier) ?
+                this.undoToRange(range) : this.applyToRange(applier, range);
+        },
+
+        toggleSelection: function(applier, win) {
+            applier = this.getApplier(applier);
+            return (this.getAppliedApplierForSelection(win) === applier) ?
+                this.undoToSelection(win) : this.applyToSelection(applier, win);
+        }
+    };
+
+    api.ClassApplierGroup = ClassApplierGroup;
+
+    api.createClassApplierGroup = function(appliers, options) {
+        return new ClassApplierGroup(appliers, options);
+    };
+
+    /*----------------------------------------------------------------------------------------------------------------*/
+
+    // Formatting normalization
+
+    function getNormalizationAppliers(appliers) {
+        var result = [];
+        if (appliers) {
+            forEach((appliers instanceof ClassApplier || appliers instanceof ClassApplierGroup) ? [appliers] : appliers,
+                function(applier) {
+                    if (applier instanceof ClassApplierGroup) {
+                        result.push.apply(result, applier.appliers);
+                    } else {
+                        result.push(applier);
+                    }
+                }
+            );
+        }
+        return result;
+    }
+
+    function someApplier(appliers, test) {
+        for (var i = 0, applier; applier = appliers[i++]; ) {
+            if (test(applier)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function getNodesInContainer(container, nodeTypes) {
+        var range = api.createRange(container);
+        range.selectNodeContents(container);
+        return range.getNodes(nodeTypes);
+    }
+
+    function mergeElementsPreservingPositions(el, nextEl, positionsToPreserve, changeRecord) {
+        var index = el.childNodes.length;
+        if (changeRecord) {
+            changeRecord.add("mergeElements", {
+                element: el,
+                mergedElement: nextEl,
+                index: index,
+                parentNode: nextEl.parentNode,
+                mergedIndex: dom.getNodeIndex(nextEl)
+            });
+        }
+        moveChildrenPreservingPositions(nextEl, el, index, true, positionsToPreserve);
+    }
+
+    var normalizers = {
+        // Removes elements that an applier would remove if they had no content. Elements are visited innermost first
+        // so that a container left empty by removing its children is removed too.
+        removeEmptyContainers: function(container, appliers, positionsToPreserve, changeRecord) {
+            var elements = getNodesInContainer(container, [1]), el, i = elements.length;
+            while (i--) {
+                el = elements[i];
+                if (someApplier(appliers, function(applier) { return applier.isEmptyContainer(el); })) {
+                    log.debug("Removing empty container " + dom.inspectNode(el));
+                    removePreservingPositions(el, positionsToPreserve, changeRecord);
+                }
+            }
+        },
+
+        // Removes the class and equivalents of an applier from elements with an ancestor within the container that
+        // already has them
+        flattenNestedElements: function(container, appliers, positionsToPreserve, changeRecord) {
+            forEach(getNodesInContainer(container, [1]), function(el) {
+                forEach(appliers, function(applier) {
+                    var changeCount, ancestorWithClass;
+                    while ( dom.isAncestorOf(container, el) && applier.isModifiable(el) &&
+                            applier.hasClassOrEquivalent(el) &&
+                            (ancestorWithClass = applier.getSelfOrAncestorWithClass(el.parentNode)) &&
+                            dom.isOrIsAncestorOf(container, ancestorWithClass) ) {
+                        log.debug("Flattening " + dom.inspectNode(el) + " in " + dom.inspectNode(ancestorWithClass));
+                        changeCount = changeRecord.changes.length;
+                        applier.undoToAncestor(el, positionsToPreserve, changeRecord);
+                        if (changeRecord.changes.length == changeCount) {
+                            break;
+                        }
+                    }
+                });
+            });
+        },
+
+        // Merges each formatting element with following siblings that are mergeable with it
+        mergeAdjacentElements: function(container, appliers, positionsToPreserve, changeRecord) {
+            forEach(getNodesInContainer(container, [1]), function(el) {
+                var nextEl, isFormattingElement = function(applier) {
+                    return applier.isModifiable(el) && applier.hasClassOrEquivalent(el);
+                };
+                if (dom.isAncestorOf(container, el) && someApplier(appliers, isFormattingElement)) {
+                    while ( (nextEl = el.nextSibling) && nextEl.nodeType === 1 && areElementsMergeable(el, nextEl) ) {
+                        log.debug("Merging " + dom.inspectNode(nextEl) + " into " + dom.inspectNode(el));
+                        mergeElementsPreservingPositions(el, nextEl, positionsToPreserve, changeRecord);
+                    }
+                }
+            });
+        },
+
+        mergeAdjacentTextNodes: function(container, appliers, positionsToPreserve, changeRecord) {
+            var merges = [], currentMerge = null, lastTextNode = null;
+            forEach(getNodesInContainer(container, [3]), function(textNode) {
+                if (currentMerge && textNode.previousSibling === lastTextNode) {
+                    currentMerge.textNodes.push(textNode);
+                } else {
+                    currentMerge = new Merge(textNode);
+                    merges.push(currentMerge);
+                }
+                lastTextNode = textNode;
+            });
+
+            forEach(merges, function(merge) {
+                merge.doMerge(positionsToPreserve, changeRecord);
+            });
+        }
+    };
+
+    // Normalizes formatting throughout the container after content has been imported or pasted: empty formatting
+    // elements are removed, elements nested inside an ancestor with the same class or an equivalent are flattened, and
+    // adjacent mergeable formatting elements and adjacent text nodes are merged. The appliers may be class appliers or
+    // class applier groups, or an array of these. toPreserve is an optional array of ranges and DomPositions, which are
+    // updated to remain at the same points in the content. Returns a ChangeRecord.
+    api.normalizeFormatting = function(container, appliers, toPreserve) {
+        var changeRecord = new ChangeRecord();
+        var rangesToPreserve = [], positionsToPreserve = [];
+        appliers = getNormalizationAppliers(appliers);
+
+        forEach(toPreserve || [], function(item) {
+            if (item instanceof DomPosition) {
+                positionsToPreserve.push(item);
+            } else {
+                rangesToPreserve.push(item);
+            }
+        });
+        var rangeBoundaries = getRangeBoundaries(rangesToPreserve);
+        positionsToPreserve.push.apply(positionsToPreserve, rangeBoundaries);
+
+        forEach(["removeEmptyContainers", "flattenNestedElements", "mergeAdjacentElements", "mergeAdjacentTextNodes"],
+            function(name) {
+                normalizers[name](container, appliers, positionsToPreserve, changeRecord);
+            }
+        );
+
+        updateRangesFromBoundaries(rangesToPreserve, rangeBoundaries);
+        return changeRecord;
+    };
+
+    /*----------------------------------------------------------------------------------------------------------------*/
+
+    // Style applier
+
+    function toCamelCase(cssPropertyName) {
+        return cssPropertyName.replace(/-([a-z])/g, function(matched, letter) {
+            return letter.toUpperCase();
+        });
+    }
+
+    var styleApplierOptionProperties = ["elementTagName", "ignoreWhiteSpace", "applyToEditableOnly",
+        "useExistingElements", "removeEmptyElements", "onElementCreate", "normalize", "filter",
+        "skipNonEditableIslands"];
+
+    // Applies, removes and queries a single CSS property as an inline style. Unlike a ClassApplier with a style in its
+    // element properties, a StyleApplier treats the property as having a value: applying a value replaces any value
+    // previously applied by an element within the range rather than nesting another element inside it, removing the
+    // property leaves the element's other styles and attributes alone and adjacent elements with the same styles are
+    // merged. The handling of white space, editability and normalization is shared with ClassApplier.
+    function StyleApplier(propertyName, options, tagNames) {
+        var i, optionName, applier = this;
+        applier.propertyName = toCamelCase(propertyName);
+        applier.attrExceptions = ["style"];
+
+        if (typeof options === "object" && options !== null) {
+            if (typeof options.elementTagName !== "undefined") {
+                options.elementTagName = options.elementTagName.toLowerCase();
+            }
+            tagNames = options.tagNames;
+            for (i = 0; optionName = styleApplierOptionProperties[i++]; ) {
+                if (options.hasOwnProperty(optionName)) {
+                    applier[optionName] = options[optionName];
+                }
+            }
+        }
+
+        if (!initTagNames(applier, tagNames)) {
+            applier.tagNames = [applier.elementTagName];
+        }
+    }
+
+    // Value returned by the computed value queries when the text in the range has more than one value for the property
+    StyleApplier.MIXED = "mixed";
+
+    // Only the option defaults and the helpers that do not depend on a class are shared with ClassApplier. Its other
+    // methods assume that there is a class to apply and no value.
+    StyleApplier.prototype = {};
+
+    forEach(styleApplierOptionProperties.concat(["isModifiable", "isFiltered", "isIgnorableWhiteSpaceNode",
+            "isEmptyContainer", "removeEmptyContainers", "postApply"]), function(propName) {
+        StyleApplier.prototype[propName] = ClassApplier.prototype[propName];
+    });
+
+    util.extend(StyleApplier.prototype, {
+        constructor: StyleApplier,
+        normalize: true,
+
+        appliesToElement: function(el) {
+            return this.applyToAnyTagName || contains(this.tagNames, el.tagName.toLowerCase());
+        },
+
+        // Returns the value in the form the browser uses for inline styles, which is used to compare values
+        normalizeValue: function(doc, value) {
+            var el = doc.createElement(this.elementTagName);
+            el.style[this.propertyName] = value;
+            var normalizedValue = el.style[this.propertyName];
+            if (!normalizedValue) {
+                throw module.createError("StyleApplier: '" + value + "' is not a valid value for CSS property " +
+                    this.propertyName);
+            }
+            return normalizedValue;
+        },
+
+        hasStyle: function(node) {
+            return node.nodeType === 1 && this.appliesToElement(node) && !!node.style && !!node.style[this.propertyName];
+        },
+
+        getSelfOrAncestorWithStyle: function(node) {
+            while (node) {
+                if (this.hasStyle(node)) {
+                    return node;
+                }
+                node = node.parentNode;
+            }
+            return null;
+        },
+
+        getOutermostAncestorWithStyle: function(node) {
+            var outermost = null;
+            while ( (node = this.getSelfOrAncestorWithStyle(node)) ) {
+                outermost = node;
+                node = node.parentNode;
+            }
+            return outermost;
+        },
+
+        // An element is only removed once it has no attributes left other than an empty style attribute
+        isRemovable: function(el) {
+            return el.tagName.toLowerCase() === this.elementTagName &&
+                !getClass(el) &&
+                !el.style.cssText &&
+                !elementHasNonClassAttributes(el, this.attrExceptions) &&
+                this.isModifiable(el);
+        },
+
+        createContainer: function(parentNode, value) {
+            var doc = dom.getDocument(parentNode);
+            var el = createElementNSSupported && !dom.isHtmlNamespace(parentNode) && parentNode.namespaceURI ?
+                doc.createElementNS(parentNode.namespaceURI, this.elementTagName) :
+                doc.createElement(this.elementTagName);
+
+            el.style[this.propertyName] = value;
+            if (this.onElementCreate) {
+                this.onElementCreate(el, this);
+            }
+            return el;
+        },
+
+        applyToTextNode: function(textNode, value, changeRecord) {
+            if (canTextBeStyled(textNode)) {
+                var parent = textNode.parentNode;
+                if (parent.childNodes.length == 1 &&
+                        this.useExistingElements &&
+                        parent.nodeType == 1 &&
+                        this.appliesToElement(parent)) {
+
+                    setStylePropertyRecordingChange(parent, this.propertyName, value, changeRecord);
+                } else {
+                    var el = this.createContainer(parent, value);
+                    if (changeRecord) {
+                        changeRecord.add("createElement", {
+                            element: el,
+                            parentNode: parent,
+                            index: dom.getNodeIndex(textNode),
+                            wrappedNode: textNode,
+                            childNodeCount: 1
+                        });
+                    }
+                    parent.insertBefore(el, textNode);
+                    el.appendChild(textNode);
+                }
+            }
+        },
+
+        removeFromElement: function(el, positionsToPreserve, changeRecord) {
+            setStylePropertyRecordingChange(el, this.propertyName, "", changeRecord);
+            if (this.isRemovable(el)) {
+                replaceWithOwnChildrenPreservingPositions(el, positionsToPreserve, changeRecord);
+            }
+        },
+
+        // Applies the value to the range, replacing any value for the property set by elements within the range, and
+        // returns a ChangeRecord describing the changes made to the DOM. If a ChangeRecord is supplied, the changes are
+        // added to it.
+        applyToRange: function(range, value, rangesToPreserve, changeRecord) {
+            var applier = this;
+            rangesToPreserve = rangesToPreserve || [];
+            changeRecord = changeRecord || new ChangeRecord();
+            value = this.normalizeValue(range.getDocument(), value);
+
+            this.undoToRange(range, rangesToPreserve, changeRecord);
+
+            var positionsToPreserve = getRangeBoundaries(rangesToPreserve);
+            splitRangeBoundaries(range, positionsToPreserve, changeRecord);
+
+            if (applier.removeEmptyElements) {
+                applier.removeEmptyContainers(range, changeRecord);
+            }
+
+            var textNodes = getEffectiveTextNodes(range);
+
+            if (textNodes.length) {
+                forEach(textNodes, function(textNode) {
+                    if (!applier.isIgnorableWhiteSpaceNode(textNode) && applier.isModifiable(textNode)) {
+                        applier.applyToTextNode(textNode, value, changeRecord);
+                    }
+                });
+                var lastTextNode = textNodes[textNodes.length - 1];
+                range.setStartAndEnd(textNodes[0], 0, lastTextNode, lastTextNode.length);
+                if (applier.normalize) {
+                    applier.postApply(textNodes, range, positionsToPreserve, false, changeRecord);
+                }
+                updateRangesFromBoundaries(rangesToPreserve, positionsToPreserve);
+            }
+
+            return changeRecord;
+        },
+
+        // Returns the ranges. To find out what changed, pass in a ChangeRecord.
+        applyToRanges: function(ranges, value, changeRecord) {
+            ranges = api.RangeSet.getRangeArray(ranges);
+            changeRecord = changeRecord || new ChangeRecord();
+            var i = ranges.length;
+            while (i--) {
+                this.applyToRange(ranges[i], value, ranges, changeRecord);
+            }
+            return ranges;
+        },
+
+        applyToSelection: function(value, win) {
+            var sel = api.getSelection(win);
+            var changeRecord = new ChangeRecord();
+            sel.setRanges( this.applyToRanges(sel.getAllRanges(), value, changeRecord) );
+            return changeRecord;
+        },
+
+        // Removes the property from elements within the range, splitting elements that extend beyond the range, and
+        // returns a ChangeRecord describing the changes made to the DOM. If a ChangeRecord is supplied, the changes are
+        // added to it.
+        undoToRange: function(range, rangesToPreserve, changeRecord) {
+            var applier = this;
+            rangesToPreserve = rangesToPreserve || [];
+            changeRecord = changeRecord || new ChangeRecord();
+            var positionsToPreserve = getRangeBoundaries(rangesToPreserve);
+
+            splitRangeBoundaries(range, positionsToPreserve, changeRecord);
+
+            if (applier.removeEmptyElements) {
+                applier.removeEmptyContainers(range, changeRecord);
+            }
+
+            var textNodes = getEffectiveTextNodes(range);
+
+            if (textNodes.length) {
+                forEach([[range.endContainer, range.endOffset], [range.startContainer, range.startOffset]], function(point) {
+                    var ancestorWithStyle = applier.getOutermostAncestorWithStyle(point[0]);
+                    if (ancestorWithStyle) {
+                        splitNodeAt(ancestorWithStyle, point[0], point[1], positionsToPreserve, changeRecord);
+                    }
+                });
+
+                forEach(textNodes, function(textNode) {
+                    var ancestorWithStyle;
+                    while ( (ancestorWithStyle = applier.getSelfOrAncestorWithStyle(textNode)) &&
+                            applier.isModifiable(ancestorWithStyle)) {
+                        applier.removeFromElement(ancestorWithStyle, positionsToPreserve, changeRecord);
+                    }
+                });
+
+                var lastTextNode = textNodes[textNodes.length - 1];
+                range.setStartAndEnd(textNodes[0], 0, lastTextNode, lastTextNode.length);
+                if (applier.normalize) {
+                    applier.postApply(textNodes, range, positionsToPreserve, true, changeRecord);
+                }
+                updateRangesFromBoundaries(rangesToPreserve, positionsToPreserve);
+            }
+
+            return changeRecord;
+        },
+
+        // Returns the ranges. To find out what changed, pass in a ChangeRecord.
+        undoToRanges: function(ranges, changeRecord) {
+            ranges = api.RangeSet.getRangeArray(ranges);
+            changeRecord = changeRecord || new ChangeRecord();
+            var i = ranges.length;
+            while (i--) {
+                this.undoToRange(ranges[i], ranges, changeRecord);
+            }
+            return ranges;
+        },
+
+        undoToSelection: function(win) {
+            var sel = api.getSelection(win);
+            var changeRecord = new ChangeRecord();
+            sel.setRanges( this.undoToRanges(sel.getAllRanges(), changeRecord) );
+            return changeRecord;
+        },
+
+        // Returns whether all the text in the range has the value applied by an element within which it is contained
+        isAppliedToRange: function(range, value) {
+            var applier = this;
+            value = this.normalizeValue(range.getDocument(), value);
+            var textNodes = getEffectiveTextNodes(range), textNode, el;
+            if (!textNodes.length) {
+                el = applier.getSelfOrAncestorWithStyle(range.startContainer);
+                return !!el && el.style[applier.propertyName] === value;
+            }
+            for (var i = 0; textNode = textNodes[i++]; ) {
+                if (!applier.isIgnorableWhiteSpaceNode(textNode) && applier.isModifiable(textNode)) {
+                    el = applier.getSelfOrAncestorWithStyle(textNode);
+                    if (!el || el.style[applier.propertyName] !== value) {
+                        return false;
+                    }
+                }
+            }
+            return true;
+        },
+
+        isAppliedToRanges: function(ranges, value) {
+            var i = ranges.length;
+            if (i === 0) {
+                return false;
+            }
+            while (i--) {
+                if (!this.isAppliedToRange(ranges[i], value)) {
+                    return false;
+                }
+            }
+            return true;
+        },
+
+        isAppliedToSelection: function(value, win) {
+            return this.isAppliedToRanges(api.getSelection(win).getAllRanges(), value);
+        },
+
+        // Removes the property from the range if all its text already has the value, otherwise applies the value
+        toggleRange: function(range, value) {
+            return this.isAppliedToRange(range, value) ? this.undoToRange(range) : this.applyToRange(range, value);
+        },
+
+        toggleSelection: function(value, win) {
+            return this.isAppliedToSelection(value, win) ?
+                this.undoToSelection(win) : this.applyToSelection(value, win);
+        },
+
+        getComputedValuesForRange: function(range) {
+            var applier = this, values = [];
+            var addValue = function(node) {
+                var el = (node.nodeType === 1) ? node : node.parentNode;
+                if (el && el.nodeType === 1) {
+                    var value = getComputedStyleProperty(el, applier.propertyName);
+                    if (!contains(values, value)) {
+                        values.push(value);
+                    }
+                }
+            };
+
+            var textNodes = getEffectiveTextNodes(range);
+            if (textNodes.length) {
+                forEach(textNodes, function(textNode) {
+                    if (!applier.isIgnorableWhiteSpaceNode(textNode)) {
+                        addValue(textNode);
+                    }
+                });
+            } else {
+                addValue(range.startContainer);
+            }
+            return values;
+        },
+
+        // Returns the computed value of the property for the text in the ranges, StyleApplier.MIXED if the text has
+        // more than one value or null if there is no text
+        getComputedValueForRanges: function(ranges) {
+            var values = [], applier = this;
+            forEach(api.RangeSet.getRangeArray(ranges), function(range) {
+                forEach(applier.getComputedValuesForRange(range), function(value) {
+                    if (!contains(values, value)) {
+                        values.push(value);
+                    }
+                });
+            });
+            return (values.length > 1) ? StyleApplier.MIXED : (values.length ? values[0] : null);
+        },
+
+        getComputedValueForRange: function(range) {
+            return this.getComputedValueForRanges([range]);
+        },
+
+        getComputedValueForSelection: function(win) {
+            return this.getComputedValueForRanges(api.getSelection(win).getAllRanges());
+        },
+
+        getElementsWithStyleIntersectingRange: function(range) {
+            var elements = [];
+            var applier = this;
+            range.getNodes([3], function(textNode) {
+                var el = applier.getSelfOrAncestorWithStyle(textNode);
+                if (el && !contains(elements, el)) {
+                    elements.push(el);
+                }
+            });
+            return elements;
+        }
+    });
+
+    api.StyleApplier = StyleApplier;
+
+    api.createStyleApplier = function(propertyName, options, tagNames) {
+        return new StyleApplier(propertyName, options, tagNames);
+    };
 });
 /* build:modularizeEnd */
@@ -2,7 +2,7 @@
  * Highlighter module for Rangy, a cross-browser JavaScript range and selection library
  * https://github.com/timdown/rangy
  *
- * Depends on Rangy core, ClassApplier and optionally TextRange modules.
+ * Depends on Rangy core, ClassApplier and optionally TextRange and Serializer modules.
  *
  * Copyright %%build:year%%, Tim Down
  * Licensed under the MIT license.
@@ -23,10 +23,50 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
         return h1.characterRange.start - h2.characterRange.start;
     }
 
+    // The doc parameter may be a shadow root, in which case the shadow root is the default container
     function getContainerElement(doc, id) {
-        return id ? doc.getElementById(id) : getBody(doc);
+        return id ? doc.getElementById(id) : (dom.isShadowRoot(doc) ? doc : getBody(doc));
     }
 
+    function hasData(data) {
+        for (var name in data) {
+            if (data.hasOwnProperty(name)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function copyData(data) {
+        return api.util.extend({}, data);
+    }
+
+    // Combines the data of highlights merged into one. Properties are copied from each highlight in document order, so
+    // later highlights take precedence, and then from the data supplied for the new highlight, if any.
+    function mergeData(highlights, data) {
+        var mergedData = {};
+        forEach(highlights.slice(0).sort(compareHighlights), function(highlight) {
+            api.util.extend(mergedData, highlight.data);
+        });
+        return data ? api.util.extend(mergedData, data) : mergedData;
+    }
+
+    function getDefaultContainerNode(range) {
+        var root = dom.getRootContainer(range.startContainer);
+        return dom.isShadowRoot(root) ? root : getBody(range.getDocument());
+    }
+
+    // Highlighter event types, each mapped to the DOM event type that triggers it for interaction events or to null
+    var eventTypes = {
+        create: null,
+        remove: null,
+        merge: null,
+        split: null,
+        click: "click",
+        hover: "mouseover",
+        focus: "focusin"
+    };
+
     /*----------------------------------------------------------------------------------------------------------------*/
 
     var highlighterTypes = {};
@@ -125,6 +165,13 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
             return range;
         },
 
+        // Returns the text of the container node in which character offsets are counted
+        getText: function(containerNode) {
+            var range = api.createRange(containerNode);
+            range.selectNodeContents(containerNode);
+            return range.toString();
+        },
+
         serializeSelection: function(selection, containerNode) {
             var ranges = selection.getAllRanges(), rangeCount = ranges.length;
             var rangeInfos = [];
@@ -184,6 +231,10 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
                         return range;
                     },
 
+                    getText: function(containerNode) {
+                        return api.innerText(containerNode);
+                    },
+
                     serializeSelection: function(selection, containerNode) {
                         return selection.saveCharacterRanges(containerNode);
                     },
@@ -200,7 +251,9 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
 
     /*----------------------------------------------------------------------------------------------------------------*/
 
-    function Highlight(doc, characterRange, classApplier, converter, id, containerElementId) {
+    // data is an arbitrary object of information about the highlight, such as a note or author, which is serialized
+    // with it. It must be serializable as JSON.
+    function Highlight(doc, characterRange, classApplier, converter, id, containerElementId, data) {
         if (id) {
             this.id = id;
             nextHighlightId = Math.max(nextHighlightId, id + 1);
@@ -212,6 +265,8 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
         this.classApplier = classApplier;
         this.converter = converter;
         this.containerElementId = containerElementId || null;
+        this.data = data || {};
+        this.dataAttributes = [];
         this.applied = false;
     }
 
@@ -237,6 +292,8 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
         },
 
         unapply: function() {
+            // The attributes are removed first so that the class applier can remove the elements
+            this.removeDataAttributes();
             this.classApplier.undoToRange(this.getRange());
             this.applied = false;
         },
@@ -244,12 +301,42 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
         apply: function() {
             this.classApplier.applyToRange(this.getRange());
             this.applied = true;
+            this.updateDataAttributes();
         },
 
         getHighlightElements: function() {
             return this.classApplier.getElementsWithClassIntersectingRange(this.getRange());
         },
 
+        // Sets a "data-" attribute on each of the highlight's elements for each of the data properties named in the
+        // highlighter's dataAttributes option. Call this after changing the data of an applied highlight.
+        updateDataAttributes: function() {
+            var highlight = this;
+            if (highlight.dataAttributes.length) {
+                forEach(highlight.getHighlightElements(), function(el) {
+                    forEach(highlight.dataAttributes, function(name) {
+                        var value = highlight.data[name];
+                        if (value === null || typeof value == "undefined") {
+                            el.removeAttribute("data-" + name);
+                        } else {
+                            el.setAttribute("data-" + name, "" + value);
+                        }
+                    });
+                });
+            }
+        },
+
+        removeDataAttributes: function() {
+            var highlight = this;
+            if (highlight.dataAttributes.length) {
+                forEach(highlight.getHighlightElements(), function(el) {
+                    forEach(highlight.dataAttributes, function(name) {
+                        el.removeAttribute("data-" + name);
+                    });
+                });
+            }
+        },
+
         toString: function() {
             return "[Highlight(ID: " + this.id + ", class: " + this.classApplier.className + ", character range: " +
                 this.characterRange.start + " - " + this.characterRange.end + ")]";
@@ -258,12 +345,290 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
 
     /*----------------------------------------------------------------------------------------------------------------*/
 
-    function Highlighter(doc, type) {
+    // Serialization
+
+    var serializationFormatName = "rangy-highlights";
+    var serializationVersion = 1;
+
+    // Returns an eight digit hexadecimal FNV-1a hash of the text, used to detect changes to the text of a highlight
+    function getChecksum(text) {
+        var hash = 0x811c9dc5;
+        for (var i = 0, len = text.length; i < len; ++i) {
+            hash ^= text.charCodeAt(i);
+            hash = (hash + (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24)) >>> 0;
+        }
+        return ("0000000" + hash.toString(16)).slice(-8);
+    }
+
+    // Converts the original string format, "type:<type>|<start>$<end>$<id>$<class>$<container ID>[$<text>[$<data>]]",
+    // into the structured format. The text is not needed to restore a highlight and may contain the separators, so
+    // everything after the container ID other than the data is ignored, as is data that cannot be parsed.
+    function migrateLegacySerializedHighlights(serialized) {
+        var serializedHighlights = serialized.split("|");
+        var regexResult = /^type:(\w+)$/.exec(serializedHighlights.shift());
+        if (!regexResult) {
+            throw new Error("Serialized highlights are invalid.");
+        }
+
+        var highlights = [];
+        forEach(serializedHighlights, function(serializedHighlight) {
+            var parts = serializedHighlight.split("$");
+            var highlight = {
+                start: +parts[0],
+                end: +parts[1],
+                id: parseInt(parts[2]),
+                className: parts[3],
+                containerElementId: parts[4] || null
+            };
+            // The data is always the last part, following the text or an empty part in its place. The text may contain
+            // the separators, so the data is only recognized by the encoded opening brace of its JSON.
+            var lastPart = parts[parts.length - 1];
+            if (parts.length > 6 && /^%7B/.test(lastPart)) {
+                try {
+                    highlight.data = JSON.parse( decodeURIComponent(lastPart) );
+                } catch (ex) {
+                    // The last part is text that happens to look like encoded data
+                }
+            }
+            highlights.push(highlight);
+        });
+
+        return {
+            format: serializationFormatName,
+            version: serializationVersion,
+            type: regexResult[1],
+            highlights: highlights
+        };
+    }
+
+    // Returns the serialized highlights in the structured format, which is an object with the following properties:
+    // - format: "rangy-highlights"
+    // - version: the version of the format, currently 1
+    // - type: the type of the highlighter's character range converter, such as "textContent"
+    // - highlights: an array of objects with start, end, id, className and containerElementId properties, a checksum
+    //   of the highlight's text and optionally the text itself, a quote of the text with its context and the
+    //   highlight's data. The quote is an object with exact, prefix and suffix properties.
+    // The serialized highlights may be a JSON string or object in the structured format or a string in the original
+    // format, which is migrated.
+    function parseSerializedHighlights(serialized) {
+        if (typeof serialized == "string") {
+            if (/^type:/.test(serialized)) {
+                return migrateLegacySerializedHighlights(serialized);
+            }
+            try {
+                serialized = JSON.parse(serialized);
+            } catch (ex) {
+                throw new Error("Serialized highlights are invalid.");
+            }
+        }
+        if (!serialized || serialized.format != serializationFormatName || !serialized.highlights) {
+            throw new Error("Serialized highlights are invalid.");
+        } else if (serialized.version > serializationVersion) {
+            throw new Error("Serialized highlights version " + serialized.version + " is not supported");
+        }
+        return serialized;
+    }
+
+    /*----------------------------------------------------------------------------------------------------------------*/
+
+    // Re-anchoring
+
+    // Highlights serialized with a quote of their text and some text either side of it can be restored after the text
+    // has changed. Each one is anchored at its original position if the quote is still there, moved to the occurrence
+    // of the quote that best matches its context if not, moved to an approximate match of the quote if there is no
+    // exact one, and otherwise orphaned.
+
+    var anchorStatuses = {
+        ANCHORED: "anchored",
+        MOVED: "moved",
+        ORPHANED: "orphaned"
+    };
+
+    // Converters registered without a getText() method are assumed to count characters in the text content
+    function getContainerText(converter, containerNode) {
+        return converter.getText ? converter.getText(containerNode) : textContentConverter.getText(containerNode);
+    }
+
+    // Returns the substring of the text with the fewest insertions, deletions and substitutions needed to make it the
+    // same as the quote's exact text, or null if there is none within maxErrors. Ties are broken by the distance from
+    // the expected position and then by the difference in length from the quote. Uses Sellers' algorithm, keeping only
+    // the current column of the edit distance matrix along with the start in the text of the match that each cell
+    // belongs to, so this takes time proportional to the lengths of the text and the quote multiplied together.
+    function findApproximateQuote(text, quote, expectedStart, maxErrors) {
+        var exact = quote.exact, exactLength = exact.length, best = null;
+        var costs = [], starts = [], diagonalCost, diagonalStart, cost, start, i, j, textChar, distance, lengthDiff;
+
+        for (i = 0; i <= exactLength; ++i) {
+            costs[i] = i;
+            starts[i] = 0;
+        }
+
+        for (j = 1; j <= text.length; ++j) {
+            textChar = text.charAt(j - 1);
+
+            // A match may start anywhere in the text, so the first row costs nothing
+            diagonalCost = 0;
+            diagonalStart = j - 1;
+            costs[0] = 0;
+            starts[0] = j;
+
+            for (i = 1; i <= exactLength; ++i) {
+                // Substitution or match
+                cost = diagonalCost + (exact.charAt(i - 1) == textChar ? 0 : 1);
+                start = diagonalStart;
+
+                // Extra character in the text
+                if (costs[i] + 1 < cost) {
+                    cost = costs[i] + 1;
+                    start = starts[i];
+                }
+
+                // Missing character in the text
+                if (costs[i - 1] + 1 < cost) {
+                    cost = costs[i - 1] + 1;
+                    start = starts[i - 1];
+                }
+
+                diagonalCost = costs[i];
+                diagonalStart = starts[i];
+                costs[i] = cost;
+                starts[i] = start;
+            }
+
+            cost = costs[exactLength];
+            start = starts[exactLength];
+            if (cost <= maxErrors && start < j) {
+                distance = Math.abs(start - expectedStart);
+                lengthDiff = Math.abs(j - start - exactLength);
+                if (!best || cost < best.errors || (cost == best.errors && (distance < best.distance ||
+                        (distance == best.distance && lengthDiff < best.lengthDiff)))) {
+                    best = { start: start, end: j, errors: cost, distance: distance, lengthDiff: lengthDiff };
+                }
+            }
+        }
+        return best;
+    }
+
+    // Number of lengths of the quote either side of its expected position searched for an approximate match before the
+    // rest of the text
+    var approximateQuoteSearchMargin = 4;
+
+    // Searches for an approximate match near the expected position first, since the time taken grows with the length
+    // of the text searched, and only searches the whole text if there is none there
+    function findApproximateQuoteNear(text, quote, expectedStart, maxErrors) {
+        var margin = quote.exact.length * approximateQuoteSearchMargin;
+        var searchStart = Math.max(0, expectedStart - margin);
+        var searchEnd = Math.min(text.length, expectedStart + quote.exact.length + margin);
+        var match = findApproximateQuote(text.slice(searchStart, searchEnd), quote, expectedStart - searchStart,
+            maxErrors);
+        if (match) {
+            match.start += searchStart;
+            match.end += searchStart;
+            return match;
+        }
+        return (searchStart > 0 || searchEnd < text.length) ?
+            findApproximateQuote(text, quote, expectedStart, maxErrors) : null;
+    }
+
+    // Returns the status of the quoted text originally at the character range and the character range where it is now,
+    // which is null if it is orphaned. errorBudget is the maximum number of differences allowed in an approximate match
+    // as a proportion of the length of the quote.
+    function anchorQuote(text, characterRange, quote, errorBudget) {
+        var exact = quote.exact, match;
+        if (!exact) {
+            return { status: anchorStatuses.ORPHANED, characterRange: null };
+        }
+
+        if (text.slice(characterRange.start, characterRange.end) == exact) {
+            return { status: anchorStatuses.ANCHORED, characterRange: characterRange };
+        }
+
+        match = api.util.findTextQuote(text, quote, characterRange.start) ||
+            findApproximateQuoteNear(text, quote, characterRange.start, Math.floor(exact.length * errorBudget));
+
+        return match ?
+            { status: anchorStatuses.MOVED, characterRange: new CharacterRange(match.start, match.end) } :
+            { status: anchorStatuses.ORPHANED, characterRange: null };
+    }
+
+    /*----------------------------------------------------------------------------------------------------------------*/
+
+    // W3C Web Annotations (https://www.w3.org/TR/annotation-model/)
+
+    var annotationContext = "http://www.w3.org/ns/anno.jsonld";
+    var defaultAnnotationSelectorTypes = ["TextQuoteSelector", "TextPositionSelector", "RangeSelector"];
+    var containerSelectorRegex = /^#([\w-]+)$/;
+
+    // Selectors are converted by the Serializer module, which is only required for annotations
+    function checkSerializerModule() {
+        var serializerModule = api.modules.Serializer;
+        if (!serializerModule) {
+            throw new Error("Serializer module is missing.");
+        } else if (!serializerModule.supported) {
+            throw new Error("Serializer module is present but not supported.");
+        }
+    }
+
+    function isTextSelector(selector) {
+        return selector.type == "TextQuoteSelector" || selector.type == "TextPositionSelector";
+    }
+
+    // Annotation properties may have a single value or an array of values
+    function getValues(value) {
+        return (value === null || typeof value == "undefined") ? [] :
+            (typeof value == "object" && typeof value.length == "number") ? value : [value];
+    }
+
+    // Returns the annotations in an annotation, an array of annotations, an AnnotationPage or an AnnotationCollection
+    // with its first page embedded
+    function getAnnotationItems(annotations) {
+        if (annotations.type == "AnnotationCollection") {
+            annotations = annotations.first || [];
+        }
+        if (annotations.type == "AnnotationPage") {
+            annotations = annotations.items || [];
+        }
+        return getValues(annotations);
+    }
+
+    // Returns the first of the annotation's targets that has a selector, or null if there is none
+    function getAnnotationTarget(annotation) {
+        var targets = getValues(annotation.target);
+        for (var i = 0, target; target = targets[i++]; ) {
+            if (typeof target == "object" && target.selector) {
+                return target;
+            }
+        }
+        return null;
+    }
+
+    // Highlight data is exported as a JSON TextualBody. Other bodies are ignored.
+    function getAnnotationData(annotation) {
+        var bodies = getValues(annotation.body);
+        for (var i = 0, body; body = bodies[i++]; ) {
+            if (body.type == "TextualBody" && body.format == "application/json") {
+                return JSON.parse(body.value);
+            }
+        }
+        return null;
+    }
+
+    /*----------------------------------------------------------------------------------------------------------------*/
+
+    // Options:
+    // - dataAttributes: names of properties of each highlight's data to expose as "data-" attributes on its elements
+    function Highlighter(doc, type, options) {
         type = type || "textContent";
-        this.doc = doc || document;
+        options = createOptions(options, {
+            dataAttributes: []
+        });
+        this.doc = doc || api.doc;
+        this.dataAttributes = options.dataAttributes;
         this.classAppliers = {};
         this.highlights = [];
         this.converter = getConverter(type);
+        this.listenersByType = {};
+        this.domListenersByType = {};
     }
 
     Highlighter.prototype = {
@@ -271,6 +636,13 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
             this.classAppliers[classApplier.className] = classApplier;
         },
 
+        createHighlight: function(characterRange, classApplier, id, containerElementId, data) {
+            var highlight = new Highlight(this.doc, characterRange, classApplier, this.converter, id,
+                containerElementId, data);
+            highlight.dataAttributes = this.dataAttributes;
+            return highlight;
+        },
+
         getHighlightForElement: function(el) {
             var highlights = this.highlights;
             for (var i = 0, len = highlights.length; i < len; ++i) {
@@ -281,14 +653,130 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
             return null;
         },
 
+        // Returns the innermost highlight containing the node, or null if there is none
+        getHighlightForNode: function(node) {
+            for ( ; node && node != this.doc; node = node.parentNode) {
+                if (node.nodeType == 1 && this.hasHighlightClass(node)) {
+                    return this.getHighlightForElement(node);
+                }
+            }
+            return null;
+        },
+
+        hasHighlightClass: function(el) {
+            for (var className in this.classAppliers) {
+                if (this.classAppliers.hasOwnProperty(className) && this.classAppliers[className].hasClass(el)) {
+                    return true;
+                }
+            }
+            return false;
+        },
+
+        // Adds a listener for one of the following event types. The listener is called with an event object whose
+        // type, highlighter and highlight properties are set, along with others depending on the type:
+        // - "create": highlight was created
+        // - "remove": highlight was removed
+        // - "merge": highlight was created to replace the highlights in mergedHighlights, which were merged into it
+        // - "split": highlight was partly removed or replaced and the highlights in highlights replace what is left
+        // - "click", "hover" and "focus": the user clicked, moved the pointer onto or focused an element within
+        //   highlight. domEvent is the DOM event and element is its target.
+        // Each change to the highlights is reported by exactly one of the first four types, after the DOM is updated.
+        addListener: function(eventType, listener) {
+            if (!eventTypes.hasOwnProperty(eventType)) {
+                throw new Error("Highlighter event type '" + eventType + "' is not valid");
+            }
+            var listenersByType = this.listenersByType;
+            if (!listenersByType.hasOwnProperty(eventType)) {
+                listenersByType[eventType] = [];
+            }
+            listenersByType[eventType].push(listener);
+            if (eventTypes[eventType]) {
+                this.addDomListener(eventType);
+            }
+        },
+
+        removeListener: function(eventType, listener) {
+            var listeners = this.listenersByType[eventType];
+            if (listeners) {
+                for (var i = 0, len = listeners.length; i < len; ++i) {
+                    if (listeners[i] === listener) {
+                        listeners.splice(i, 1);
+                        break;
+                    }
+                }
+                if (listeners.length == 0) {
+                    delete this.listenersByType[eventType];
+                    this.removeDomListener(eventType);
+                }
+            }
+        },
+
+        dispatchEvent: function(eventType, properties) {
+            var listeners = this.listenersByType[eventType];
+            if (listeners) {
+                var event = api.util.extend({ type: eventType, highlighter: this }, properties);
+
+                // Copy the listeners so that a listener may remove itself
+                forEach(listeners.slice(0), function(listener) {
+                    listener(event);
+                });
+            }
+        },
+
+        // Interaction events are delegated from a single DOM listener on the document or shadow root
+        addDomListener: function(eventType) {
+            var highlighter = this;
+            if (!this.domListenersByType[eventType]) {
+                var listener = this.domListenersByType[eventType] = function(domEvent) {
+                    highlighter.handleDomEvent(eventType, domEvent);
+                };
+                api.util.addListener(this.doc, eventTypes[eventType], listener);
+            }
+        },
+
+        removeDomListener: function(eventType) {
+            var listener = this.domListenersByType[eventType];
+            if (listener) {
+                api.util.removeListener(this.doc, eventTypes[eventType], listener);
+                delete this.domListenersByType[eventType];
+            }
+        },
+
+        handleDomEvent: function(eventType, domEvent) {
+            var target = domEvent.target || domEvent.srcElement;
+            var highlight = this.getHighlightForNode(target);
+
+            // Moving the pointer between elements of the same highlight does not count as hovering over it again
+            if (highlight && (eventType != "hover" || highlight !== this.getHighlightForNode(domEvent.relatedTarget))) {
+                this.dispatchEvent(eventType, { highlight: highlight, domEvent: domEvent, element: target });
+            }
+        },
+
+        // Removes all listeners
+        detach: function() {
+            for (var eventType in this.domListenersByType) {
+                if (this.domListenersByType.hasOwnProperty(eventType)) {
+                    this.removeDomListener(eventType);
+                }
+            }
+            this.listenersByType = {};
+        },
+
         removeHighlights: function(highlights) {
+            var removedHighlights = [];
             for (var i = 0, len = this.highlights.length, highlight; i < len; ++i) {
                 highlight = this.highlights[i];
                 if (contains(highlights, highlight)) {
                     highlight.unapply();
                     this.highlights.splice(i--, 1);
+                    removedHighlights.push(highlight);
                 }
             }
+
+            var highlighter = this;
+            forEach(removedHighlights, function(highlight) {
+                highlighter.dispatchEvent("remove", { highlight: highlight });
+            });
         },
 
         removeAllHighlights: function() {
@@ -296,12 +784,15 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
         },
 
         getIntersectingHighlights: function(ranges) {
-            // Test each range against each of the highlighted ranges to see whether they overlap
+            // Test each range against each of the highlighted ranges to see whether they overlap. Canonical ranges are
+            // compared so that a range that merely touches a highlight is not considered to overlap it.
             var intersectingHighlights = [], highlights = this.highlights;
             forEach(ranges, function(range) {
                 //var selCharRange = converter.rangeToCharacterRange(range);
+                var canonicalRange = range.getCanonicalRange();
                 forEach(highlights, function(highlight) {
-                    if (range.intersectsRange( highlight.getRange() ) && !contains(intersectingHighlights, highlight)) {
+                    if (canonicalRange.intersectsRange( highlight.getRange().getCanonicalRange() ) &&
+                            !contains(intersectingHighlights, highlight)) {
                         intersectingHighlights.push(highlight);
                     }
                 });
@@ -318,13 +809,18 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
             var highlightsToRemove = [];
             var classApplier = className ? this.classAppliers[className] : null;
 
+            // Records the highlights replacing each highlight removed by this call, keyed by highlight ID
+            var replacements = {};
+
             options = createOptions(options, {
                 containerElementId: null,
-                exclusive: true
+                exclusive: true,
+                data: null
             });
 
             var containerElementId = options.containerElementId;
             var exclusive = options.exclusive;
+            var highlighter = this;
 
             var containerElement, containerElementRange, containerElementCharRange;
             if (containerElementId) {
@@ -337,10 +833,12 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
             }
 
             var charRange, highlightCharRange, removeHighlight, isSameClassApplier, highlightsToKeep, splitHighlight;
+            var mergedHighlights, splitHighlights, newHighlight;
 
             for (i = 0, len = charRanges.length; i < len; ++i) {
                 charRange = charRanges[i];
                 highlightsToKeep = [];
+                mergedHighlights = [];
 
                 // Restrict character range to container element, if it exists
                 if (containerElementCharRange) {
@@ -371,14 +869,20 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
 
                             // Remove existing highlights, keeping the unselected parts
                             if (splitHighlight) {
+                                splitHighlights = [];
                                 forEach(highlightCharRange.getComplements(charRange), function(rangeToAdd) {
-                                    highlightsToKeep.push( new Highlight(doc, rangeToAdd, highlights[j].classApplier, converter, null, containerElementId) );
+                                    splitHighlights.push( highlighter.createHighlight(rangeToAdd,
+                                        highlights[j].classApplier, null, containerElementId,
+                                        copyData(highlights[j].data)) );
                                 });
+                                highlightsToKeep.push.apply(highlightsToKeep, splitHighlights);
+                                replacements[highlights[j].id] = { type: "split", highlights: splitHighlights };
                             }
 
                             removeHighlight = true;
                             if (isSameClassApplier) {
                                 charRange = highlightCharRange.union(charRange);
+                                mergedHighlights.push(highlights[j]);
                             }
                         }
                     }
@@ -393,11 +897,24 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
 
                 // Add new range
                 if (classApplier) {
-                    highlightsToKeep.push(new Highlight(doc, charRange, classApplier, converter, null, containerElementId));
+                    newHighlight = this.createHighlight(charRange, classApplier, null, containerElementId,
+                        mergeData(mergedHighlights, options.data));
+                    highlightsToKeep.push(newHighlight);
+                    forEach(mergedHighlights, function(mergedHighlight) {
+                        replacements[mergedHighlight.id] = { type: "merge", highlights: [newHighlight] };
+                    });
                 }
                 this.highlights = highlights = highlightsToKeep;
             }
 
+            // Highlights created and then removed by this call do not need to be reported
+            var removedHighlights = [];
+            forEach(highlightsToRemove, function(highlightToRemove) {
+                if (highlightToRemove.applied) {
+                    removedHighlights.push(highlightToRemove);
+                }
+            });
+
             // Remove the old highlights
             forEach(highlightsToRemove, function(highlightToRemove) {
                 highlightToRemove.unapply();
@@ -412,34 +929,81 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
                 }
             });
 
+            this.dispatchChangeEvents(removedHighlights, newHighlights, replacements);
+
             return newHighlights;
         },
 
+        // Reports each removed highlight as removed, split or merged into a new highlight, and reports the remaining
+        // new highlights as created
+        dispatchChangeEvents: function(removedHighlights, newHighlights, replacements) {
+            var highlighter = this, highlights = this.highlights;
+            var merges = [], mergesByHighlightId = {}, replacingHighlights = [];
+
+            // Follows the chain of replacements for a highlight to the highlights that remain
+            function getRemainingReplacements(highlight) {
+                var replacement = replacements[highlight.id], remaining = [];
+                if (!replacement) {
+                    return contains(highlights, highlight) ? [highlight] : [];
+                }
+                forEach(replacement.highlights, function(replacingHighlight) {
+                    remaining.push.apply(remaining, getRemainingReplacements(replacingHighlight));
+                });
+                return remaining;
+            }
+
+            forEach(removedHighlights, function(highlight) {
+                var remaining = getRemainingReplacements(highlight), mergedInto, merge;
+                if (remaining.length == 0) {
+                    highlighter.dispatchEvent("remove", { highlight: highlight });
+                } else if (replacements[highlight.id].type == "merge") {
+                    mergedInto = remaining[0];
+                    merge = mergesByHighlightId[mergedInto.id];
+                    if (!merge) {
+                        merge = mergesByHighlightId[mergedInto.id] = { highlight: mergedInto, mergedHighlights: [] };
+                        merges.push(merge);
+                        replacingHighlights.push(mergedInto);
+                    }
+                    merge.mergedHighlights.push(highlight);
+                } else {
+                    highlighter.dispatchEvent("split", { highlight: highlight, highlights: remaining });
+                    replacingHighlights.push.apply(replacingHighlights, remaining);
+                }
+            });
+
+            forEach(merges, function(merge) {
+                highlighter.dispatchEvent("merge", merge);
+            });
+
+            forEach(newHighlights, function(highlight) {
+                if (!contains(replacingHighlights, highlight)) {
+                    highlighter.dispatchEvent("create", { highlight: highlight });
+                }
+            });
+        },
+
         highlightRanges: function(className, ranges, options) {
             var selCharRanges = [];
             var converter = this.converter;
 
             options = createOptions(options, {
                 containerElement: null,
-                exclusive: true
+                exclusive: true,
+                data: null
             });
 
             var containerElement = options.containerElement;
             var containerElementId = containerElement ? containerElement.id : null;
-            var containerElementRange;
-            if (containerElement) {
-                containerElementRange = api.createRange(containerElement);
-                containerElementRange.selectNodeContents(containerElement);
-            }
 
             forEach(ranges, function(range) {
-                var scopedRange = containerElement ? containerElementRange.intersection(range) : range;
-                selCharRanges.push( converter.rangeToCharacterRange(scopedRange, containerElement || getBody(range.getDocument())) );
+                var scopedRange = containerElement ? range.cloneRange().restrict(containerElement) : range;
+                selCharRanges.push( converter.rangeToCharacterRange(scopedRange, containerElement || getDefaultContainerNode(range)) );
             });
 
             return this.highlightCharacterRanges(className, selCharRanges, {
                 containerElementId: containerElementId,
-                exclusive: options.exclusive
+                exclusive: options.exclusive,
+                data: options.data
             });
         },
 
@@ -449,13 +1013,14 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
 
             options = createOptions(options, {
                 containerElementId: null,
-                exclusive: true
+                exclusive: true,
+                data: null
             });
 
             var containerElementId = options.containerElementId;
             var exclusive = options.exclusive;
             var selection = options.selection || api.getSelection(this.doc);
-            var doc = selection.win.document;
+            var doc = selection.shadowRoot || selection.win.document;
             var containerElement = getContainerElement(doc, containerElementId);
 
             if (!classApplier && className !== false) {
@@ -473,7 +1038,8 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
 
             var newHighlights = this.highlightCharacterRanges(className, selCharRanges, {
                 containerElementId: containerElementId,
-                exclusive: exclusive
+                exclusive: exclusive,
+                data: options.data
             });
 
             // Restore selection
@@ -499,17 +1065,34 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
             return this.getHighlightsInSelection(selection).length > 0;
         },
 
+        // Serializes the highlights. The format option is either "string", the default, for the original compact
+        // string format, or "json" for the structured format described by parseSerializedHighlights(). Only the
+        // JSON format can safely include the text of highlights, since the text may contain the separators used by the
+        // string format. Likewise, only the JSON format can include the quotes that allow highlights to be re-anchored
+        // after the text has changed, which are included if the serializeQuote option is true. The quoteContextLength
+        // option is the maximum number of characters of context either side of each quote. Quotes are not included by
+        // default, in which case deserialize() cannot re-anchor the highlights and, unless told otherwise by its
+        // onChecksumMismatch option, throws an error if the text of any of them has changed.
         serialize: function(options) {
             var highlighter = this;
             var highlights = highlighter.highlights;
-            var serializedType, serializedHighlights, convertType, serializationConverter;
+            var serializedType, serializedHighlights, convertType, serializationConverter, isJson;
+            var containerTexts = {};
 
             highlights.sort(compareHighlights);
             options = createOptions(options, {
                 serializeHighlightText: false,
-                type: highlighter.converter.type
+                serializeQuote: false,
+                quoteContextLength: 32,
+                type: highlighter.converter.type,
+                format: "string"
             });
 
+            if (options.format != "string" && options.format != "json") {
+                throw new Error("Highlighter serialization format '" + options.format + "' is not valid");
+            }
+            isJson = (options.format == "json");
+
             serializedType = options.type;
             convertType = (serializedType != highlighter.converter.type);
 
@@ -517,7 +1100,7 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
                 serializationConverter = getConverter(serializedType);
             }
 
-            serializedHighlights = ["type:" + serializedType];
+            serializedHighlights = isJson ? [] : ["type:" + serializedType];
 
             forEach(highlights, function(highlight) {
                 var characterRange = highlight.characterRange;
@@ -532,6 +1115,37 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
                     );
                 }
 
+                if (isJson) {
+                    var text = highlight.getText();
+                    var serializedHighlight = {
+                        start: characterRange.start,
+                        end: characterRange.end,
+                        id: highlight.id,
+                        className: highlight.classApplier.className,
+                        containerElementId: highlight.containerElementId,
+                        checksum: getChecksum(text)
+                    };
+                    if (options.serializeHighlightText) {
+                        serializedHighlight.text = text;
+                    }
+                    if (options.serializeQuote) {
+                        // The quote is taken from the text in which the serialized character range is counted
+                        containerElement = highlight.getContainerElement();
+                        var containerId = highlight.containerElementId || "";
+                        if (!containerTexts.hasOwnProperty(containerId)) {
+                            containerTexts[containerId] = getContainerText(serializationConverter ||
+                                highlighter.converter, containerElement);
+                        }
+                        serializedHighlight.quote = api.util.createTextQuote(containerTexts[containerId],
+                            characterRange.start, characterRange.end, options.quoteContextLength);
+                    }
+                    if (hasData(highlight.data)) {
+                        serializedHighlight.data = highlight.data;
+                    }
+                    serializedHighlights.push(serializedHighlight);
+                    return;
+                }
+
                 var parts = [
                     characterRange.start,
                     characterRange.end,
@@ -543,64 +1157,279 @@ rangy.createModule("Highlighter", ["ClassApplier"], function(api, module) {
                 if (options.serializeHighlightText) {
                     parts.push(highlight.getText());
                 }
+
+                // The data is always the last part and follows the text, which is left empty if it is not serialized.
+                // It is encoded so that it cannot contain the separators.
+                if (hasData(highlight.data)) {
+                    if (!options.serializeHighlightText) {
+                        parts.push("");
+                    }
+                    parts.push( encodeURIComponent(JSON.stringify(highlight.data)) );
+                }
                 serializedHighlights.push( parts.join("$") );
             });
 
+            if (isJson) {
+                return JSON.stringify({
+                    format: serializationFormatName,
+                    version: serializationVersion,
+                    type: serializedType,
+                    highlights: serializedHighlights
+                });
+            }
             return serializedHighlights.join("|");
         },
 
-        deserialize: function(serialized) {
-            var serializedHighlights = serialized.split("|");
-            var highlights = [];
+        // Restores highlights serialized in either format, replacing the current highlights. Highlights serialized
+        // with a quote are re-anchored if their text has changed rather than being checked against their checksums.
+        // Returns an array with an object for each serialized highlight, with properties id, status and highlight, the
+        // restored highlight or null. The status is "anchored" if the highlight is restored where it was, "moved" if
+        // its quote or text similar to it is found elsewhere and "orphaned" if it is not restored. Options:
+        // - onChecksumMismatch: what to do with a highlight with no quote whose text no longer matches the checksum
+        //   serialized with it: "error" to throw an error, "skip" to leave out the highlight or "ignore" to restore it
+        //   anyway. The string format has no checksums.
+        // - errorBudget: the maximum number of characters inserted, deleted or substituted in text that approximately
+        //   matches a quote, as a proportion of the length of the quote
+        deserialize: function(serialized, options) {
+            var serializedHighlights = parseSerializedHighlights(serialized);
+            var highlights = [], results = [], containerTexts = {};
 
-            var firstHighlight = serializedHighlights[0];
-            var regexResult;
-            var serializationType, serializationConverter, convertType = false;
-            if ( firstHighlight && (regexResult = /^type:(\w+)$/.exec(firstHighlight)) ) {
-                serializationType = regexResult[1];
-                if (serializationType != this.converter.type) {
-                    serializationConverter = getConverter(serializationType);
-                    convertType = true;
-                }
-                serializedHighlights.shift();
-            } else {
-                throw new Error("Serialized highlights are invalid.");
+            options = createOptions(options, {
+                onChecksumMismatch: "error",
+                errorBudget: 0.2
+            });
+
+            var serializationType = serializedHighlights.type, serializationConverter, convertType = false;
+            if (serializationType != this.converter.type) {
+                serializationConverter = getConverter(serializationType);
+                convertType = true;
             }
 
-            var classApplier, highlight, characterRange, containerElementId, containerElement;
+            var classApplier, highlight, characterRange, containerElementId, containerElement, serializedHighlight;
+            var anchor, status, containerId;
+
+            for (var i = serializedHighlights.highlights.length; i-- > 0; ) {
+                serializedHighlight = serializedHighlights.highlights[i];
+                characterRange = new CharacterRange(serializedHighlight.start, serializedHighlight.end);
+                containerElementId = serializedHighlight.containerElementId || null;
+                containerElement = getContainerElement(this.doc, containerElementId);
+                status = anchorStatuses.ANCHORED;
+
+                classApplier = this.classAppliers[serializedHighlight.className];
 
-            for (var i = serializedHighlights.length, parts; i-- > 0; ) {
-                parts = serializedHighlights[i].split("$");
-                characterRange = new CharacterRange(+parts[0], +parts[1]);
-                containerElementId = parts[4] || null;
+                if (!classApplier) {
+                    throw new Error("No class applier found for class '" + serializedHighlight.className + "'");
+                }
+
+                // Find the quote in the text in which the serialized character range is counted
+                if (serializedHighlight.quote) {
+                    anchor = { status: anchorStatuses.ORPHANED, characterRange: null };
+                    if (containerElement) {
+                        containerId = containerElementId || "";
+                        if (!containerTexts.hasOwnProperty(containerId)) {
+                            containerTexts[containerId] = getContainerText(serializationConverter || this.converter,
+                                containerElement);
+                        }
+                        anchor = anchorQuote(containerTexts[containerId], characterRange,
+                            serializedHighlight.quote, options.errorBudget);
+                    }
+                    status = anchor.status;
+                    if (!anchor.characterRange) {
+                        results.unshift({ id: serializedHighlight.id, status: status, highlight: null });
+                        continue;
+                    }
+                    characterRange = anchor.characterRange;
+                }
 
                 // Convert to the current Highlighter's type, if different from the serialization type
                 if (convertType) {
-                    containerElement = getContainerElement(this.doc, containerElementId);
                     characterRange = this.converter.rangeToCharacterRange(
                         serializationConverter.characterRangeToRange(this.doc, characterRange, containerElement),
                         containerElement
                     );
                 }
 
-                classApplier = this.classAppliers[ parts[3] ];
-
-                if (!classApplier) {
-                    throw new Error("No class applier found for class '" + parts[3] + "'");
+                if (!serializedHighlight.quote && serializedHighlight.checksum &&
+                        options.onChecksumMismatch != "ignore" &&
+                        serializedHighlight.checksum != getChecksum(this.converter.characterRangeToRange(this.doc,
+                            characterRange, containerElement).toString())) {
+                    if (options.onChecksumMismatch == "skip") {
+                        results.unshift({
+                            id: serializedHighlight.id,
+                            status: anchorStatuses.ORPHANED,
+                            highlight: null
+                        });
+                        continue;
+                    }
+                    throw new Error("Text of serialized highlight " + serializedHighlight.id + " has changed");
                 }
 
-                highlight = new Highlight(this.doc, characterRange, classApplier, this.converter, parseInt(parts[2]), containerElementId);
+                highlight = this.createHighlight(characterRange, classApplier, serializedHighlight.id,
+                    containerElementId, serializedHighlight.data);
                 highlight.apply();
                 highlights.push(highlight);
+                results.unshift({ id: serializedHighlight.id, status: status, highlight: highlight });
             }
+
+            // The previous highlights are discarded without being unapplied
+            var highlighter = this, previousHighlights = this.highlights;
             this.highlights = highlights;
+            forEach(previousHighlights, function(highlight) {
+                highlighter.dispatchEvent("remove", { highlight: highlight });
+            });
+            forEach(highlights, function(highlight) {
+                highlighter.dispatchEvent("create", { highlight: highlight });
+            });
+
+            return results;
+        },
+
+        // Returns an array of W3C Web Annotations, one for each highlight. Each annotation's target has the highlight's
+        // class as its styleClass and a selector of each type in the selectorTypes option. Text selectors for a
+        // highlight with a container element refine a CssSelector for the container. The highlight's data, if any, is
+        // the body, as a JSON TextualBody. Requires the Serializer module. Options:
+        // - source: the IRI of the highlighted document, which defaults to the document's URL
+        // - selectorTypes: the types of selector to include in each target
+        // - idPrefix: the start of each annotation's id, which ends with the highlight ID
+        exportAnnotations: function(options) {
+            checkSerializerModule();
+            var highlighter = this, annotations = [];
+
+            options = createOptions(options, {
+                source: dom.getDocument(this.doc).URL,
+                selectorTypes: defaultAnnotationSelectorTypes,
+                idPrefix: "urn:x-rangy-highlight:"
+            });
+
+            this.highlights.sort(compareHighlights);
+            forEach(this.highlights, function(highlight) {
+                var range = highlight.getRange(), containerElement = highlight.getContainerElement(), selectors = [];
+
+                forEach(options.selectorTypes, function(selectorType) {
+                    var isText = isTextSelector({ type: selectorType });
+
+                    // XPath expressions are absolute unless the highlights are within a shadow root
+                    var selector = api.rangeToSelector(range, selectorType, {
+                        rootNode: (isText || dom.isShadowRoot(containerElement)) ? containerElement : null,
+                        type: highlighter.converter.type
+                    });
+                    if (isText && highlight.containerElementId) {
+                        selector = {
+                            type: "CssSelector",
+                            value: "#" + highlight.containerElementId,
+                            refinedBy: selector
+                        };
+                    }
+                    selectors.push(selector);
+                });
+
+                var annotation = {
+                    "@context": annotationContext,
+                    id: options.idPrefix + highlight.id,
+                    type: "Annotation",
+                    target: {
+                        source: options.source,
+                        styleClass: highlight.classApplier.className,
+                        selector: selectors
+                    }
+                };
+                if (hasData(highlight.data)) {
+                    annotation.body = {
+                        type: "TextualBody",
+                        value: JSON.stringify(highlight.data),
+                        format: "application/json"
+                    };
+                }
+                annotations.push(annotation);
+            });
+
+            return annotations;
+        },
+
+        // Returns the range selected by the selectors and the container element it is restricted to, which is null for
+        // the default container, or null if no selector matches. Positional selectors are tried first, in order, and
+        // are only accepted if they select the exact text of the TextQuoteSelector, if there is one. The
+        // TextQuoteSelector is tried last.
+        resolveAnnotationSelectors: function(selectors) {
+            var highlighter = this, candidates = [], quote = null, result;
+
+            forEach(selectors, function(selector) {
+                var containerElement = null;
+                if (selector.type == "CssSelector" && selector.refinedBy && isTextSelector(selector.refinedBy) &&
+                        (result = containerSelectorRegex.exec(selector.value))) {
+                    containerElement = highlighter.doc.getElementById(result[1]);
+                    if (!containerElement) {
+                        return;
+                    }
+                    selector = selector.refinedBy;
+                }
+                if (selector.type == "TextQuoteSelector") {
+                    quote = quote || { selector: selector, containerElement: containerElement };
+                } else {
+                    candidates.push({ selector: selector, containerElement: containerElement });
+                }
+            });
+            if (quote) {
+                candidates.push(quote);
+            }
+
+            var converterType = this.converter.type;
+            for (var i = 0, candidate, range; candidate = candidates[i++]; ) {
+                range = api.selectorToRange(candidate.selector, {
+                    rootNode: candidate.containerElement || getContainerElement(this.doc),
+                    type: converterType
+                });
+                if (range && (candidate === quote || !quote ||
+                        (converterType == "TextRange" ? range.text() : range.toString()) == quote.selector.exact)) {
+                    return { range: range, containerElement: candidate.containerElement };
+                }
+            }
+            return null;
+        },
+
+        // Creates highlights from W3C Web Annotations such as those created by exportAnnotations(). The annotations may
+        // be a single annotation, an array, an AnnotationPage or an AnnotationCollection with its first page embedded.
+        // The class of each highlight is the target's styleClass, or the className option if it has none, and its data
+        // comes from a JSON TextualBody. Annotations whose selectors do not match the document are skipped. Requires
+        // the Serializer module. Returns the new highlights. Options:
+        // - className: the class for annotations whose target has no styleClass
+        // - exclusive: as for highlightRanges()
+        importAnnotations: function(annotations, options) {
+            checkSerializerModule();
+            var highlighter = this, newHighlights = [];
+
+            options = createOptions(options, {
+                className: null,
+                exclusive: true
+            });
+
+            forEach(getAnnotationItems(annotations), function(annotation) {
+                var target = getAnnotationTarget(annotation), className, resolved, highlights;
+                if (target) {
+                    className = target.styleClass || options.className;
+                    if (!highlighter.classAppliers[className]) {
+                        throw new Error("No class applier found for class '" + className + "'");
+                    }
+                    resolved = highlighter.resolveAnnotationSelectors(getValues(target.selector));
+                    if (resolved) {
+                        highlights = highlighter.highlightRanges(className, [resolved.range], {
+                            containerElement: resolved.containerElement,
+                            exclusive: options.exclusive,
+                            data: getAnnotationData(annotation)
+                        });
+                        newHighlights.push.apply(newHighlights, highlights);
+                    }
+                }
+            });
+
+            return newHighlights;
         }
     };
 
     api.Highlighter = Highlighter;
 
-    api.createHighlighter = function(doc, rangeCharacterOffsetConverterType) {
-        return new Highlighter(doc, rangeCharacterOffsetConverterType);
+    api.createHighlighter = function(doc, rangeCharacterOffsetConverterType, options) {
+        return new Highlighter(doc, rangeCharacterOffsetConverterType, options);
     };
 });
 /* build:modularizeEnd */
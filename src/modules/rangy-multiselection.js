@@ -0,0 +1,401 @@
+/**
+ * Multiple selection module for Rangy.
+ * Emulates selections containing multiple ranges in browsers whose native selection can only hold a single range.
+ *
+ * Part of Rangy, a cross-browser JavaScript range and selection library
+ * https://github.com/timdown/rangy
+ *
+ * Depends on Rangy core and ClassApplier module.
+ *
+ * Copyright %%build:year%%, Tim Down
+ * Licensed under the MIT license.
+ * Version: %%build:version%%
+ * Build date: %%build:date%%
+ */
+/* build:modularizeWithRangyDependency */
+rangy.createModule("MultiSelection", ["ClassApplier"], function(api, module) {
+    var util = api.util;
+    var forEach = util.forEach;
+    var DomRange = api.DomRange;
+
+    var log = log4javascript.getLogger("rangy.MultiSelection");
+
+    var defaultOptions = {
+        className: "rangy-secondary-selection",
+        trackInteraction: true,
+        clearOnEscape: true,
+        isAddRangeEvent: function(evt) {
+            return evt.ctrlKey || evt.metaKey;
+        }
+    };
+
+    function compareRangeStarts(range1, range2) {
+        return range1.compareBoundaryPoints(range2.START_TO_START, range2);
+    }
+
+    /*----------------------------------------------------------------------------------------------------------------*/
+
+    // A selection made up of a primary range, which is the range held by the native selection and which the user
+    // interacts with using the keyboard and mouse, and any number of secondary ranges, which are rendered by applying
+    // a class to their contents. All ranges are held in the same way in every browser, even in those whose native
+    // selection supports multiple ranges, so that behaviour is consistent.
+    function MultiSelection(selection, options) {
+        this.selection = selection;
+        this.win = selection.win;
+        this.options = options;
+        this.secondaryRanges = [];
+        this.pendingRange = null;
+        this.applier = api.createClassApplier(options.className, { normalize: true });
+        this.rangeCount = 0;
+        if (options.trackInteraction) {
+            this.addInteractionListeners();
+        }
+        this.refresh();
+    }
+
+    MultiSelection.prototype = {
+        // Drops any secondary ranges that are no longer valid because of DOM changes, or that overlap the primary
+        // range, and updates the range count
+        refresh: function() {
+            var sel = this.selection;
+            sel.refresh();
+            var primaryRange = this.getPrimaryRange();
+            var multiSel = this;
+
+            this.secondaryRanges = filterRanges(this.secondaryRanges, function(range) {
+                return range.isValid();
+            });
+
+            if (primaryRange) {
+                var overlapping = filterRanges(this.secondaryRanges, function(range) {
+                    return range.intersectsRange(primaryRange);
+                });
+                if (overlapping.length) {
+                    forEach(overlapping, function(range) {
+                        multiSel.removeSecondaryRange(range);
+                    });
+                }
+            }
+            this.rangeCount = this.secondaryRanges.length + (primaryRange ? 1 : 0);
+        },
+
+        getPrimaryRange: function() {
+            var sel = this.selection;
+            return sel.rangeCount ? sel.getRangeAt(sel.rangeCount - 1) : null;
+        },
+
+        // Returns copies of the secondary ranges. Ranges that refresh() would drop are left out, without changing the
+        // DOM.
+        getSecondaryRanges: function() {
+            var ranges = [], primaryRange = this.getPrimaryRange();
+            forEach(this.secondaryRanges, function(range) {
+                if (range.isValid() && !(primaryRange && range.intersectsRange(primaryRange))) {
+                    ranges.push(range.cloneRange());
+                }
+            });
+            return ranges;
+        },
+
+        // Returns copies of all the ranges in document order
+        getAllRanges: function() {
+            var ranges = this.getSecondaryRanges();
+            var primaryRange = this.getPrimaryRange();
+            if (primaryRange) {
+                ranges.push(primaryRange);
+            }
+            ranges.sort(compareRangeStarts);
+            return ranges;
+        },
+
+        getRangeAt: function(index) {
+            var ranges = this.getAllRanges();
+            if (index < 0 || index >= ranges.length) {
+                throw new api.DOMException("INDEX_SIZE_ERR");
+            }
+            return ranges[index];
+        },
+
+        isPrimaryRange: function(range) {
+            var primaryRange = this.getPrimaryRange();
+            return !!primaryRange && primaryRange.equals(range);
+        },
+
+        // Adds a range as the new primary range. The existing primary range becomes a secondary range.
+        addRange: function(range, direction) {
+            var primaryRange = this.getPrimaryRange();
+            if (primaryRange && !primaryRange.collapsed && !primaryRange.intersectsRange(range)) {
+                this.addSecondaryRange(primaryRange, [range]);
+            }
+            this.selectPrimaryRange(range, direction);
+            this.refresh();
+        },
+
+        // Replaces all the ranges. The range at primaryIndex, which defaults to the last range, becomes the primary
+        // range.
+        setRanges: function(ranges, primaryIndex) {
+            var rangesToAdd = [];
+            forEach(api.RangeSet.getRangeArray(ranges), function(range) {
+                rangesToAdd.push(range.cloneRange());
+            });
+            this.removeSecondaryRanges();
+            if (rangesToAdd.length) {
+                if (typeof primaryIndex != "number") {
+                    primaryIndex = rangesToAdd.length - 1;
+                }
+                for (var i = 0, len = rangesToAdd.length; i < len; ++i) {
+                    if (i != primaryIndex) {
+                        this.addSecondaryRange(rangesToAdd[i], rangesToAdd);
+                    }
+                }
+                this.selectPrimaryRange(rangesToAdd[primaryIndex]);
+            } else {
+                this.selection.removeAllRanges();
+            }
+            this.refresh();
+        },
+
+        // Removes the range matching the specified range. If this is the primary range, the last secondary range in
+        // the document is promoted to be the primary range.
+        removeRange: function(range) {
+            if (this.isPrimaryRange(range)) {
+                var secondaryRanges = this.getSecondaryRanges().sort(compareRangeStarts);
+                if (secondaryRanges.length) {
+                    // Removing the rendering of the secondary range keeps the range itself valid
+                    var newPrimaryRange = this.findSecondaryRange(secondaryRanges[secondaryRanges.length - 1]);
+                    this.removeSecondaryRange(newPrimaryRange);
+                    this.selectPrimaryRange(newPrimaryRange);
+                } else {
+                    this.selection.removeAllRanges();
+                }
+            } else {
+                var secondaryRange = this.findSecondaryRange(range);
+                if (secondaryRange) {
+                    this.removeSecondaryRange(secondaryRange);
+                }
+            }
+            this.refresh();
+        },
+
+        removeAllRanges: function() {
+            this.removeSecondaryRanges();
+            this.selection.removeAllRanges();
+            this.refresh();
+        },
+
+        // Removes all ranges except the primary range
+        collapseToPrimary: function() {
+            this.removeSecondaryRanges();
+            this.refresh();
+        },
+
+        toString: function() {
+            var rangeTexts = [];
+            forEach(this.getAllRanges(), function(range) {
+                rangeTexts.push(range.toString());
+            });
+            return rangeTexts.join("");
+        },
+
+        // The elements used to render the secondary ranges are stripped from the HTML
+        toHtml: function() {
+            var rangeHtmls = [], applier = this.applier;
+            forEach(this.getAllRanges(), function(range) {
+                var container = range.getDocument().createElement("div");
+                container.appendChild(range.cloneContents());
+                var containerRange = api.createRange(container);
+                containerRange.selectNodeContents(container);
+                applier.undoToRange(containerRange);
+                rangeHtmls.push(container.innerHTML);
+            });
+            return rangeHtmls.join("");
+        },
+
+        findSecondaryRange: function(range) {
+            for (var i = 0, secondaryRange; secondaryRange = this.secondaryRanges[i++]; ) {
+                if (secondaryRange.equals(range)) {
+                    return secondaryRange;
+                }
+            }
+            return null;
+        },
+
+        // Renders the range as a secondary range. The rangesToPreserve parameter is for use when the new primary range
+        // has yet to be selected and must be kept valid along with any ranges still to be added; otherwise, the
+        // current primary range is preserved.
+        addSecondaryRange: function(range, rangesToPreserve) {
+            var applier = this.applier;
+            range = range.cloneRange();
+            if (!range.collapsed) {
+                if (rangesToPreserve) {
+                    applier.applyToRange(range, this.secondaryRanges.concat(rangesToPreserve));
+                } else {
+                    this.preservingPrimaryRange(function(rangesToPreserve) {
+                        applier.applyToRange(range, rangesToPreserve);
+                    });
+                }
+            }
+            this.secondaryRanges.push(range);
+        },
+
+        removeSecondaryRange: function(range) {
+            var secondaryRanges = this.secondaryRanges;
+            for (var i = secondaryRanges.length; i--; ) {
+                if (secondaryRanges[i] === range) {
+                    secondaryRanges.splice(i, 1);
+                }
+            }
+            if (!range.collapsed) {
+                var applier = this.applier;
+                this.preservingPrimaryRange(function(rangesToPreserve) {
+                    applier.undoToRange(range, rangesToPreserve);
+                });
+            }
+        },
+
+        removeSecondaryRanges: function() {
+            var multiSel = this;
+            forEach(this.secondaryRanges.slice(0), function(range) {
+                multiSel.removeSecondaryRange(range);
+            });
+        },
+
+        // Calls func with the ranges whose boundaries must survive changes to the DOM, then reselects the primary
+        // range, whose boundaries may have been moved
+        preservingPrimaryRange: function(func) {
+            var sel = this.selection;
+            var primaryRange = this.getPrimaryRange();
+            var backward = primaryRange && sel.isBackward();
+            var rangesToPreserve = this.secondaryRanges.slice(0);
+            if (primaryRange) {
+                rangesToPreserve.push(primaryRange);
+            }
+            func(rangesToPreserve);
+            if (primaryRange) {
+                this.selectPrimaryRange(primaryRange, backward);
+            }
+        },
+
+        selectPrimaryRange: function(range, direction) {
+            this.selection.setSingleRange(range, direction);
+        },
+
+        /*------------------------------------------------------------------------------------------------------------*/
+
+        // Interaction with the primary range
+
+        addInteractionListeners: function() {
+            var multiSel = this, doc = this.win.document, options = this.options;
+
+            // Clicking without the add range modifier starts a new selection, so the secondary ranges are removed.
+            // With the modifier, the current primary range is kept and becomes a secondary range once the user's new
+            // selection is known.
+            this.mouseDownListener = function(evt) {
+                if (options.isAddRangeEvent(evt)) {
+                    var primaryRange = multiSel.getPrimaryRange();
+                    multiSel.pendingRange = (primaryRange && !primaryRange.collapsed) ? primaryRange : null;
+                } else {
+                    multiSel.pendingRange = null;
+                    if (multiSel.secondaryRanges.length) {
+                        multiSel.collapseToPrimary();
+                    }
+                }
+            };
+
+            this.keyDownListener = function(evt) {
+                if (options.clearOnEscape && evt.keyCode == 27 && multiSel.secondaryRanges.length) {
+                    multiSel.collapseToPrimary();
+                }
+            };
+
+            util.addListener(doc, "mousedown", this.mouseDownListener);
+            util.addListener(doc, "keydown", this.keyDownListener);
+
+            // Keyboard and mouse changes to the native selection change only the primary range
+            this.selectionChangeSubscription = api.onSelectionChange(this.selection, function() {
+                multiSel.userSelectionChanged();
+            });
+        },
+
+        userSelectionChanged: function() {
+            var pendingRange = this.pendingRange, primaryRange = this.getPrimaryRange();
+            this.pendingRange = null;
+            if (pendingRange && primaryRange && !pendingRange.intersectsRange(primaryRange)) {
+                log.debug("Adding previous primary range " + pendingRange.inspect() + " as a secondary range");
+                this.addSecondaryRange(pendingRange);
+            }
+            this.refresh();
+        },
+
+        removeInteractionListeners: function() {
+            if (this.selectionChangeSubscription) {
+                var doc = this.win.document;
+                util.removeListener(doc, "mousedown", this.mouseDownListener);
+                util.removeListener(doc, "keydown", this.keyDownListener);
+                this.selectionChangeSubscription.detach();
+                this.selectionChangeSubscription = this.mouseDownListener = this.keyDownListener = null;
+            }
+        },
+
+        detach: function() {
+            this.removeInteractionListeners();
+            this.removeSecondaryRanges();
+            removeCachedMultiSelection(this);
+            this.selection = this.win = null;
+        },
+
+        inspect: function() {
+            var rangeInspects = [];
+            forEach(this.getAllRanges(), function(range) {
+                rangeInspects.push(DomRange.inspect(range));
+            });
+            return "[MultiSelection(Ranges: " + rangeInspects.join(", ") + ")]";
+        }
+    };
+
+    function filterRanges(ranges, test) {
+        var filtered = [];
+        forEach(ranges, function(range) {
+            if (test(range)) {
+                filtered.push(range);
+            }
+        });
+        return filtered;
+    }
+
+    /*----------------------------------------------------------------------------------------------------------------*/
+
+    var cachedMultiSelections = [];
+
+    function removeCachedMultiSelection(multiSel) {
+        for (var i = cachedMultiSelections.length; i--; ) {
+            if (cachedMultiSelections[i] === multiSel) {
+                cachedMultiSelections.splice(i, 1);
+            }
+        }
+    }
+
+    // Returns the multiple selection for the specified window, document, iframe or shadow root, creating it if
+    // necessary. Options are only used when the multiple selection is created.
+    //
+    // Options:
+    // - className: the class applied to the contents of secondary ranges
+    // - trackInteraction: whether to map keyboard and mouse interaction onto the primary range
+    // - clearOnEscape: whether pressing Escape removes the secondary ranges
+    // - isAddRangeEvent: function that is passed a mousedown event and returns whether the current primary range
+    //   should be kept as a secondary range when the user makes a new selection
+    api.getMultiSelection = function(win, options) {
+        var sel = api.getSelection(win);
+        for (var i = 0, multiSel; multiSel = cachedMultiSelections[i++]; ) {
+            if (multiSel.selection === sel) {
+                multiSel.refresh();
+                return multiSel;
+            }
+        }
+        multiSel = new MultiSelection(sel, util.createOptions(options, defaultOptions));
+        cachedMultiSelections.push(multiSel);
+        return multiSel;
+    };
+
+    api.MultiSelection = MultiSelection;
+});
+/* build:modularizeEnd */
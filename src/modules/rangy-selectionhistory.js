@@ -0,0 +1,277 @@
+/**
+ * Selection history module for Rangy.
+ * Records selections over time as character ranges so that the user can navigate back and forward through them.
+ *
+ * Part of Rangy, a cross-browser JavaScript range and selection library
+ * https://github.com/timdown/rangy
+ *
+ * Depends on Rangy core and optionally TextRange module.
+ *
+ * Copyright %%build:year%%, Tim Down
+ * Licensed under the MIT license.
+ * Version: %%build:version%%
+ * Build date: %%build:date%%
+ */
+/* build:modularizeWithRangyDependency */
+rangy.createModule("SelectionHistory", ["WrappedSelection"], function(api, module) {
+    var dom = api.dom;
+    var util = api.util;
+    var forEach = util.forEach;
+
+    var log = log4javascript.getLogger("rangy.SelectionHistory");
+
+    var defaultOptions = {
+        containerNode: null,
+        maxSize: 100,
+        type: "textContent",
+        autoRecord: true,
+        debounce: 500
+    };
+
+    /*----------------------------------------------------------------------------------------------------------------*/
+
+    // Converters between ranges and character ranges within a container node. Character ranges are used because they
+    // remain meaningful when the DOM is changed without changing the text before the selection.
+
+    var textContentConverter = {
+        rangeToCharacterRange: function(range, containerNode) {
+            var bookmark = range.getBookmark(containerNode);
+            return { start: bookmark.start, end: bookmark.end };
+        },
+
+        characterRangeToRange: function(characterRange, containerNode) {
+            var range = api.createRange(containerNode);
+            range.moveToBookmark({
+                start: characterRange.start,
+                end: characterRange.end,
+                containerNode: containerNode
+            });
+            return range;
+        }
+    };
+
+    var textRangeConverter = {
+        rangeToCharacterRange: function(range, containerNode) {
+            var characterRange = range.toCharacterRange(containerNode);
+            return { start: characterRange.start, end: characterRange.end };
+        },
+
+        characterRangeToRange: function(characterRange, containerNode) {
+            var range = api.createRange(containerNode);
+            range.selectCharacters(containerNode, characterRange.start, characterRange.end);
+            return range;
+        }
+    };
+
+    function getConverter(type) {
+        if (type == "textContent") {
+            return textContentConverter;
+        } else if (type == "TextRange") {
+            // Test that the TextRange module exists and is supported
+            var textRangeModule = api.modules.TextRange;
+            if (!textRangeModule) {
+                throw module.createError("TextRange module is missing.");
+            } else if (!textRangeModule.supported) {
+                throw module.createError("TextRange module is present but not supported.");
+            }
+            return textRangeConverter;
+        } else {
+            throw module.createError("Selection history type '" + type + "' is not valid");
+        }
+    }
+
+    /*----------------------------------------------------------------------------------------------------------------*/
+
+    function SelectionHistoryEntry(characterRanges, backward) {
+        this.characterRanges = characterRanges;
+        this.backward = backward;
+    }
+
+    SelectionHistoryEntry.prototype = {
+        equals: function(entry) {
+            var charRanges = this.characterRanges, otherCharRanges = entry.characterRanges;
+            if (this.backward != entry.backward || charRanges.length != otherCharRanges.length) {
+                return false;
+            }
+            for (var i = 0, len = charRanges.length; i < len; ++i) {
+                if (charRanges[i].start != otherCharRanges[i].start || charRanges[i].end != otherCharRanges[i].end) {
+                    return false;
+                }
+            }
+            return true;
+        },
+
+        toString: function() {
+            var rangeStrings = [];
+            forEach(this.characterRanges, function(charRange) {
+                rangeStrings.push(charRange.start + " - " + charRange.end);
+            });
+            return "[SelectionHistoryEntry(" + rangeStrings.join(", ") + (this.backward ? ", backward" : "") + ")]";
+        }
+    };
+
+    /*----------------------------------------------------------------------------------------------------------------*/
+
+    // Records selections within a container node. The history behaves like a browser's page history: recording a new
+    // entry after going back discards the entries ahead of the current one.
+    function SelectionHistory(win, options) {
+        options = util.createOptions(options, defaultOptions);
+        this.selection = api.getSelection(win);
+        this.containerNode = options.containerNode || this.selection.shadowRoot || dom.getBody(this.selection.win.document);
+        this.maxSize = options.maxSize;
+        this.converter = getConverter(options.type);
+        this.entries = [];
+        this.currentIndex = -1;
+        this.subscription = null;
+
+        if (options.autoRecord) {
+            var history = this;
+            this.subscription = api.onSelectionChange(this.selection, function() {
+                history.record();
+            }, {
+                debounce: options.debounce,
+                container: this.containerNode
+            });
+        }
+    }
+
+    SelectionHistory.prototype = {
+        // Returns whether every range in the selection is within the container node
+        selectionIsInContainer: function() {
+            var sel = this.selection, containerNode = this.containerNode;
+            if (!sel.rangeCount) {
+                return false;
+            }
+            for (var i = 0; i < sel.rangeCount; ++i) {
+                if (!dom.isOrIsAncestorOf(containerNode, sel.getRangeAt(i).commonAncestorContainer)) {
+                    return false;
+                }
+            }
+            return true;
+        },
+
+        createEntry: function() {
+            var sel = this.selection, converter = this.converter, containerNode = this.containerNode;
+            var characterRanges = [];
+            forEach(sel.getAllRanges(), function(range) {
+                characterRanges.push(converter.rangeToCharacterRange(range, containerNode));
+            });
+            return new SelectionHistoryEntry(characterRanges, sel.rangeCount == 1 && sel.isBackward());
+        },
+
+        // Adds the current selection to the history, unless it is outside the container node or is the same as the
+        // current entry. Returns the entry added, or null if none was added.
+        record: function() {
+            var sel = this.selection;
+            sel.refresh();
+            if (!this.selectionIsInContainer()) {
+                return null;
+            }
+
+            var entry = this.createEntry();
+            var currentEntry = this.peek(0);
+            if (currentEntry && currentEntry.equals(entry)) {
+                return null;
+            }
+
+            // Discard any entries ahead of the current entry
+            this.entries.length = this.currentIndex + 1;
+            this.entries.push(entry);
+            if (this.entries.length > this.maxSize) {
+                this.entries.splice(0, this.entries.length - this.maxSize);
+            }
+            this.currentIndex = this.entries.length - 1;
+            log.debug("Recorded " + entry);
+            return entry;
+        },
+
+        // Returns the entry n steps from the current entry, where a negative number looks back and a positive number
+        // looks forward, or null if there is no such entry
+        peek: function(n) {
+            var index = this.currentIndex + (n || 0);
+            return (index >= 0 && index < this.entries.length) ? this.entries[index] : null;
+        },
+
+        // Returns new ranges for the specified entry, which defaults to the current entry
+        getEntryRanges: function(entry) {
+            entry = entry || this.peek(0);
+            var ranges = [], converter = this.converter, containerNode = this.containerNode;
+            if (entry) {
+                forEach(entry.characterRanges, function(characterRange) {
+                    ranges.push(converter.characterRangeToRange(characterRange, containerNode));
+                });
+            }
+            return ranges;
+        },
+
+        restoreEntry: function(entry) {
+            var ranges = this.getEntryRanges(entry);
+            if (entry.backward) {
+                this.selection.setSingleRange(ranges[0], "backward");
+            } else {
+                this.selection.setRanges(ranges);
+            }
+        },
+
+        go: function(n) {
+            var entry = this.peek(n);
+            if (entry) {
+                this.currentIndex += n;
+                this.restoreEntry(entry);
+                return true;
+            }
+            return false;
+        },
+
+        canGoBack: function() {
+            return !!this.peek(-1);
+        },
+
+        canGoForward: function() {
+            return !!this.peek(1);
+        },
+
+        // Moves back to the previous entry and selects it. Returns whether there was a previous entry.
+        back: function() {
+            return this.go(-1);
+        },
+
+        // Moves forward to the next entry and selects it. Returns whether there was a next entry.
+        forward: function() {
+            return this.go(1);
+        },
+
+        getLength: function() {
+            return this.entries.length;
+        },
+
+        clear: function() {
+            this.entries.length = 0;
+            this.currentIndex = -1;
+        },
+
+        detach: function() {
+            if (this.subscription) {
+                this.subscription.detach();
+                this.subscription = null;
+            }
+            this.clear();
+        }
+    };
+
+    api.SelectionHistory = SelectionHistory;
+    api.SelectionHistoryEntry = SelectionHistoryEntry;
+
+    // Creates a history of the selection within the specified window, document, iframe or shadow root.
+    //
+    // Options:
+    // - containerNode: the node within which selections are recorded. Defaults to the shadow root or the body.
+    // - maxSize: the maximum number of entries. The oldest entries are discarded first.
+    // - type: "textContent" or "TextRange", the latter requiring the TextRange module
+    // - autoRecord: whether to record the selection automatically whenever the user changes it
+    // - debounce: number of milliseconds to wait for the user to stop changing the selection before recording it
+    api.createSelectionHistory = function(win, options) {
+        return new SelectionHistory(win, options);
+    };
+});
+/* build:modularizeEnd */
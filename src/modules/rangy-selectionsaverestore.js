@@ -20,7 +20,7 @@ rangy.createModule("SaveRestore", ["WrappedSelection"], function(api, module) {
     var markerTextChar = "\ufeff";
 
     function gEBI(id, doc) {
-        return (doc || document).getElementById(id);
+        return (doc || api.doc).getElementById(id);
     }
 
     function insertRangeBoundaryMarker(range, atStart) {
@@ -133,7 +133,7 @@ rangy.createModule("Serializer", ["WrappedSelection"], function(api, module) {
 
     function deserializePosition(serialized, rootNode, doc) {
         if (!rootNode) {
-            rootNode = (doc || document).documentElement;
+            rootNode = (doc || api.doc).documentElement;
         }
         var parts = serialized.split(":");
         var node = rootNode;
@@ -152,12 +152,21 @@ rangy.createModule("Serializer", ["WrappedSelection"], function(api, module) {
         return new dom.DomPosition(node, parseInt(parts[1], 10));
     }
 
-    function serializeRange(range, omitChecksum, rootNode) {
+    // If canonical is true, the canonical form of the range is serialized, so that visually identical ranges produce
+    // the same serialization
+    function serializeRange(range, omitChecksum, rootNode, canonical) {
         rootNode = rootNode || api.DomRange.getRangeDocument(range).documentElement;
         if (!dom.isOrIsAncestorOf(rootNode, range.commonAncestorContainer)) {
             throw module.createError("serializeRange(): range " + range.inspect() +
                 " is not wholly contained within specified root node " + dom.inspectNode(rootNode));
         }
+
+        if (canonical) {
+            var canonicalRange = range.getCanonicalRange();
+            if (dom.isOrIsAncestorOf(rootNode, canonicalRange.commonAncestorContainer)) {
+                range = canonicalRange;
+            }
+        }
         var serialized = serializePosition(range.startContainer, range.startOffset, rootNode) + "," +
             serializePosition(range.endContainer, range.endOffset, rootNode);
         if (!omitChecksum) {
@@ -172,7 +181,7 @@ rangy.createModule("Serializer", ["WrappedSelection"], function(api, module) {
         if (rootNode) {
             doc = doc || dom.getDocument(rootNode);
         } else {
-            doc = doc || document;
+            doc = doc || api.doc;
             rootNode = doc.documentElement;
         }
         var result = deserializeRegex.exec(serialized);
@@ -192,18 +201,18 @@ rangy.createModule("Serializer", ["WrappedSelection"], function(api, module) {
 
     function canDeserializeRange(serialized, rootNode, doc) {
         if (!rootNode) {
-            rootNode = (doc || document).documentElement;
+            rootNode = (doc || api.doc).documentElement;
         }
         var result = deserializeRegex.exec(serialized);
         var checksum = result[3];
         return !checksum || checksum === getElementChecksum(rootNode);
     }
 
-    function serializeSelection(selection, omitChecksum, rootNode) {
+    function serializeSelection(selection, omitChecksum, rootNode, canonical) {
         selection = api.getSelection(selection);
         var ranges = selection.getAllRanges(), serializedRanges = [];
         for (var i = 0, len = ranges.length; i < len; ++i) {
-            serializedRanges[i] = serializeRange(ranges[i], omitChecksum, rootNode);
+            serializedRanges[i] = serializeRange(ranges[i], omitChecksum, rootNode, canonical);
         }
         return serializedRanges.join("|");
     }
@@ -212,7 +221,7 @@ rangy.createModule("Serializer", ["WrappedSelection"], function(api, module) {
         if (rootNode) {
             win = win || dom.getWindow(rootNode);
         } else {
-            win = win || window;
+            win = win || api.win;
             rootNode = win.document.documentElement;
         }
         var serializedRanges = serialized.split("|");
@@ -232,7 +241,7 @@ rangy.createModule("Serializer", ["WrappedSelection"], function(api, module) {
         if (rootNode) {
             doc = win ? win.document : dom.getDocument(rootNode);
         } else {
-            win = win || window;
+            win = win || api.win;
             rootNode = win.document.documentElement;
         }
         var serializedRanges = serialized.split("|");
@@ -263,7 +272,7 @@ rangy.createModule("Serializer", ["WrappedSelection"], function(api, module) {
     }
 
     function restoreSelectionFromCookie(win) {
-        win = win || window;
+        win = win || api.win;
         var serialized = getSerializedSelectionFromCookie(win.document.cookie);
         if (serialized) {
             deserializeSelection(serialized, win.doc);
@@ -271,7 +280,7 @@ rangy.createModule("Serializer", ["WrappedSelection"], function(api, module) {
     }
 
     function saveSelectionCookie(win, props) {
-        win = win || window;
+        win = win || api.win;
         props = (typeof props == "object") ? props : {};
         var expires = props.expires ? ";expires=" + props.expires.toUTCString() : "";
         var path = props.path ? ";path=" + props.path : "";
@@ -281,6 +290,265 @@ rangy.createModule("Serializer", ["WrappedSelection"], function(api, module) {
         win.document.cookie = encodeURIComponent(cookieName) + "=" + encodeURIComponent(serialized) + expires + path + domain + secure;
     }
 
+    /*----------------------------------------------------------------------------------------------------------------*/
+
+    // W3C Web Annotation selectors (https://www.w3.org/TR/annotation-model/#selectors)
+
+    var textQuoteSelector = "TextQuoteSelector", textPositionSelector = "TextPositionSelector",
+        xPathSelector = "XPathSelector", cssSelector = "CssSelector", rangeSelector = "RangeSelector";
+
+    var defaultSelectorOptions = {
+        rootNode: null,
+        type: "textContent",
+        contextLength: 32
+    };
+
+    // Text offsets in selectors are character offsets within the text of a root node, as used by the Highlighter's
+    // converters of the same types
+    var selectorTextConverters = {
+        textContent: {
+            getText: function(rootNode) {
+                var range = api.createRange(rootNode);
+                range.selectNodeContents(rootNode);
+                return range.toString();
+            },
+
+            rangeToCharacterRange: function(range, rootNode) {
+                return range.getBookmark(rootNode);
+            },
+
+            characterRangeToRange: function(start, end, rootNode) {
+                var range = api.createRange(rootNode);
+                range.moveToBookmark({ start: start, end: end, containerNode: rootNode });
+                return range;
+            }
+        },
+
+        TextRange: {
+            getText: function(rootNode) {
+                return api.innerText(rootNode);
+            },
+
+            rangeToCharacterRange: function(range, rootNode) {
+                return range.toCharacterRange(rootNode);
+            },
+
+            characterRangeToRange: function(start, end, rootNode) {
+                var range = api.createRange(rootNode);
+                range.selectCharacters(rootNode, start, end);
+                return range;
+            }
+        }
+    };
+
+    function getSelectorTextConverter(type) {
+        if (type == "TextRange") {
+            var textRangeModule = api.modules.TextRange;
+            if (!textRangeModule || !textRangeModule.supported) {
+                throw module.createError("TextRange module is missing or not supported");
+            }
+        } else if (type != "textContent") {
+            throw module.createError("Selector text type '" + type + "' is not valid");
+        }
+        return selectorTextConverters[type];
+    }
+
+    function getXPathStep(node) {
+        var isText = (node.nodeType == 3), index = 1;
+        for (var n = node.previousSibling; n; n = n.previousSibling) {
+            if (n.nodeType == node.nodeType && (isText || n.nodeName == node.nodeName)) {
+                ++index;
+            }
+        }
+        return (isText ? "text()" : node.nodeName.toLowerCase()) + "[" + index + "]";
+    }
+
+    // Returns an XPath expression locating the element or text node. As with serializePosition(), the path is built
+    // from the node's index at each level: without a root node, it is absolute, and otherwise it is relative to the
+    // root node.
+    function getXPath(node, rootNode) {
+        var steps = [], n = node, stopNode = rootNode || dom.getDocument(node);
+        while (n && n != stopNode) {
+            steps.unshift(getXPathStep(n));
+            n = n.parentNode;
+        }
+        if (!n) {
+            throw module.createError("getXPath(): node " + dom.inspectNode(node) + " is not within root node " +
+                dom.inspectNode(stopNode));
+        }
+        return rootNode ? (steps.join("/") || ".") : "/" + steps.join("/");
+    }
+
+    var xPathStepRegex = /^(\*|text\(\)|[\w-]+)(\[(\d+)\])?$/;
+
+    // Returns the node located by an XPath expression such as those created by getXPath(), or null if there is none.
+    // Only paths consisting of element name, "*" and "text()" steps with optional indexes are supported.
+    function resolveXPath(xPath, rootNode, doc) {
+        doc = doc || (rootNode ? dom.getDocument(rootNode) : api.doc);
+        var steps = xPath.split("/"), node = rootNode || doc;
+        if (xPath.charAt(0) == "/") {
+            node = doc;
+            steps.shift();
+        }
+
+        for (var i = 0, len = steps.length, step, result, name, index, child; i < len; ++i) {
+            step = steps[i];
+            if (step == ".") {
+                continue;
+            }
+            result = xPathStepRegex.exec(step);
+            if (!result) {
+                throw module.createError("resolveXPath(): XPath step '" + step + "' is not supported");
+            }
+            name = result[1].toLowerCase();
+            index = result[3] ? parseInt(result[3], 10) : 1;
+            for (child = node.firstChild; child; child = child.nextSibling) {
+                if ( (name == "text()") ? child.nodeType == 3 :
+                        (child.nodeType == 1 && (name == "*" || child.nodeName.toLowerCase() == name)) ) {
+                    if (--index === 0) {
+                        break;
+                    }
+                }
+            }
+            if (!child) {
+                return null;
+            }
+            node = child;
+        }
+        return node;
+    }
+
+    var cssIdRegex = /^[A-Za-z][\w-]*$/;
+
+    // Returns a CSS selector for the element made up of the element's tag name and position among siblings of the same
+    // type at each level, starting from the nearest ancestor with a usable ID or the document element
+    function getCssSelector(el) {
+        var parts = [], index, n;
+        for ( ; el && el.nodeType == 1; el = el.parentNode) {
+            if (el.id && cssIdRegex.test(el.id)) {
+                parts.unshift("#" + el.id);
+                break;
+            }
+            index = 1;
+            for (n = el.previousSibling; n; n = n.previousSibling) {
+                if (n.nodeName == el.nodeName) {
+                    ++index;
+                }
+            }
+            parts.unshift(el.nodeName.toLowerCase() +
+                (el.parentNode.nodeType == 1 ? ":nth-of-type(" + index + ")" : ""));
+        }
+        return parts.join(" > ");
+    }
+
+    function getContainingElement(node) {
+        return (node.nodeType == 1) ? node : node.parentNode;
+    }
+
+    function createTextPositionSelector(range, rootNode, converter) {
+        var charRange = converter.rangeToCharacterRange(range, rootNode);
+        return { type: textPositionSelector, start: charRange.start, end: charRange.end };
+    }
+
+    // Selects the range's boundary point as a collapsed text position within the element containing it
+    function createPointSelector(node, offset, rootNode, converter) {
+        var el = getContainingElement(node);
+        var pointRange = api.createRange(el);
+        pointRange.collapseToPoint(node, offset);
+        return {
+            type: xPathSelector,
+            value: getXPath(el, rootNode),
+            refinedBy: createTextPositionSelector(pointRange, el, converter)
+        };
+    }
+
+    // Returns a selector of the specified type for the range. Text offsets are relative to the rootNode option, which
+    // defaults to the body, and XPath expressions are relative to it if it is specified. Options:
+    // - rootNode: the node containing the text the selector refers to
+    // - type: "textContent" or "TextRange", the converter used for text offsets, as for the Highlighter
+    // - contextLength: the maximum number of characters in the prefix and suffix of a TextQuoteSelector
+    // XPathSelector and CssSelector select the element containing the range, refined by a TextPositionSelector within
+    // it. RangeSelector selects the range's boundaries as collapsed XPathSelectors.
+    function rangeToSelector(range, selectorType, options) {
+        options = util.createOptions(options, defaultSelectorOptions);
+        var converter = getSelectorTextConverter(options.type);
+        var rootNode = options.rootNode || dom.getBody(range.getDocument()), el, charRange, text;
+
+        switch (selectorType) {
+            case textPositionSelector:
+                return createTextPositionSelector(range, rootNode, converter);
+            case textQuoteSelector:
+                charRange = converter.rangeToCharacterRange(range, rootNode);
+                text = converter.getText(rootNode);
+                return util.extend({ type: textQuoteSelector },
+                    util.createTextQuote(text, charRange.start, charRange.end, options.contextLength));
+            case xPathSelector:
+            case cssSelector:
+                el = getContainingElement(range.commonAncestorContainer);
+                return {
+                    type: selectorType,
+                    value: (selectorType == xPathSelector) ? getXPath(el, options.rootNode) : getCssSelector(el),
+                    refinedBy: createTextPositionSelector(range, el, converter)
+                };
+            case rangeSelector:
+                return {
+                    type: rangeSelector,
+                    startSelector: createPointSelector(range.startContainer, range.startOffset, options.rootNode,
+                        converter),
+                    endSelector: createPointSelector(range.endContainer, range.endOffset, options.rootNode, converter)
+                };
+        }
+        throw module.createError("rangeToSelector(): selector type '" + selectorType + "' is not supported");
+    }
+
+    function resolveSelector(selector, rootNode, converter, options) {
+        var range, node, start, end, match, doc = dom.getDocument(rootNode);
+
+        switch (selector.type) {
+            case textPositionSelector:
+                if (selector.start > selector.end || selector.end > converter.getText(rootNode).length) {
+                    return null;
+                }
+                return converter.characterRangeToRange(selector.start, selector.end, rootNode);
+            case textQuoteSelector:
+                match = util.findTextQuote(converter.getText(rootNode), selector);
+                return match ? converter.characterRangeToRange(match.start, match.end, rootNode) : null;
+            case xPathSelector:
+            case cssSelector:
+                node = (selector.type == xPathSelector) ?
+                    resolveXPath(selector.value, options.rootNode, doc) : doc.querySelector(selector.value);
+                if (!node) {
+                    return null;
+                } else if (selector.refinedBy) {
+                    return resolveSelector(selector.refinedBy, node, converter, options);
+                }
+                range = api.createRange(node);
+                range.selectNode(node);
+                return range;
+            case rangeSelector:
+                // The range extends from the start of the start selector's range to the start of the end selector's
+                start = resolveSelector(selector.startSelector, rootNode, converter, options);
+                end = resolveSelector(selector.endSelector, rootNode, converter, options);
+                if (!start || !end || start.compareBoundaryPoints(start.START_TO_START, end) > 0) {
+                    return null;
+                }
+                range = api.createRange(rootNode);
+                range.setStartAndEnd(start.startContainer, start.startOffset, end.startContainer, end.startOffset);
+                return range;
+        }
+        throw module.createError("selectorToRange(): selector type '" + selector.type + "' is not supported");
+    }
+
+    // Returns a range for the selector, which may be of any type created by rangeToSelector(), or null if the selector
+    // does not match the document. Options are as for rangeToSelector(), with the addition of doc, the document to
+    // use when no root node is specified. refinedBy is supported for XPathSelector and CssSelector only.
+    function selectorToRange(selector, options) {
+        options = util.createOptions(options, defaultSelectorOptions);
+        var converter = getSelectorTextConverter(options.type);
+        var rootNode = options.rootNode || dom.getBody(options.doc || api.doc);
+        return resolveSelector(selector, rootNode, converter, options);
+    }
+
     util.extend(api, {
         serializePosition: serializePosition,
         deserializePosition: deserializePosition,
@@ -293,7 +561,11 @@ rangy.createModule("Serializer", ["WrappedSelection"], function(api, module) {
         restoreSelectionFromCookie: restoreSelectionFromCookie,
         saveSelectionCookie: saveSelectionCookie,
         getElementChecksum: getElementChecksum,
-        nodeToInfoString: nodeToInfoString
+        nodeToInfoString: nodeToInfoString,
+        getXPath: getXPath,
+        resolveXPath: resolveXPath,
+        rangeToSelector: rangeToSelector,
+        selectorToRange: selectorToRange
     });
 
     util.crc32 = crc32;
@@ -69,6 +69,8 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
     /* const */ var UNDEF = "undefined";
     /* const */ var CHARACTER = "character";
     /* const */ var WORD = "word";
+    /* const */ var SENTENCE = "sentence";
+    /* const */ var PARAGRAPH = "paragraph";
 
     var dom = api.dom, util = api.util;
     var extend = util.extend;
@@ -82,6 +84,8 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
     var allWhiteSpaceRegex = /^[\t-\r \u0085\u00A0\u1680\u180E\u2000-\u200B\u2028\u2029\u202F\u205F\u3000]+$/;
     var nonLineBreakWhiteSpaceRegex = /^[\t \u00A0\u1680\u180E\u2000-\u200B\u202F\u205F\u3000]+$/;
     var lineBreakRegex = /^[\n-\r\u0085\u2028\u2029]$/;
+    var sentenceTerminatorRegex = /^[.!?\u2026]$/;
+    var sentenceCloserRegex = /^["'\)\]\u2019\u201D]$/;
 
     var defaultLanguage = "en";
 
@@ -95,7 +99,7 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
     var trailingSpaceBeforeLineBreakInPreLineCollapses = true;
 
     (function() {
-        var el = dom.createTestElement(document, "<p>1 </p><p></p>", true);
+        var el = dom.createTestElement(api.doc, "<p>1 </p><p></p>", true);
         var p = el.firstChild;
         var sel = api.getSelection();
         sel.collapse(p.lastChild, 2);
@@ -279,8 +283,8 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
     // Test for old IE's incorrect display properties
     var tableCssDisplayBlock;
     (function() {
-        var table = document.createElement("table");
-        var body = getBody(document);
+        var table = api.doc.createElement("table");
+        var body = getBody(api.doc);
         body.appendChild(table);
         tableCssDisplayBlock = (getComputedStyleProperty(table, "display") === "block");
         body.removeChild(table);
@@ -320,10 +324,19 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
         return false;
     }
 
+    // Returns the element from which a text node inherits its style. For a child of a shadow root, this is the host.
+    function getStyleParentElement(textNode) {
+        var parent = textNode.parentNode;
+        if (dom.isShadowRoot(parent)) {
+            parent = parent.host;
+        }
+        return (parent && parent.nodeType === 1) ? parent : null;
+    }
+
     function isVisibilityHiddenTextNode(textNode) {
         var el;
         return textNode.nodeType === 3 &&
-            (el = textNode.parentNode) &&
+            (el = getStyleParentElement(textNode)) &&
             getComputedStyleProperty(el, "visibility") === "hidden";
     }
 
@@ -349,11 +362,12 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
             !/^(area|base|basefont|br|col|frame|hr|img|input|isindex|link|meta|param)$/i.test(node.nodeName);
     }
 
+    // Ancestors within the composed tree, so that content within a hidden shadow host is also hidden
     function getAncestors(node) {
-        var ancestors = [];
-        while (node.parentNode) {
-            ancestors.unshift(node.parentNode);
-            node = node.parentNode;
+        var ancestors = [], parent;
+        while ( (parent = dom.getComposedParentNode(node)) ) {
+            ancestors.unshift(parent);
+            node = parent;
         }
         return ancestors;
     }
@@ -411,11 +425,11 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
         if (text === "") {
             return true;
         }
-        var parent = node.parentNode;
-        if (!parent || parent.nodeType !== 1) {
+        var parent = getStyleParentElement(node);
+        if (!parent) {
             return false;
         }
-        var computedWhiteSpace = getComputedStyleProperty(node.parentNode, "whiteSpace");
+        var computedWhiteSpace = getComputedStyleProperty(parent, "whiteSpace");
 
         return (/^[\t\n\r ]+$/.test(text) && /^(normal|nowrap)$/.test(computedWhiteSpace)) ||
             (/^[\t\r ]+$/.test(text) && computedWhiteSpace === "pre-line");
@@ -552,8 +566,8 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
 
         getTextNodeInfo: createCachingGetter("textNodeInfo", function(textNode) {
             log.debug("getTextNodeInfo for " + textNode.data);
-            var spaceRegex = null, collapseSpaces = false;
-            var cssWhitespace = getComputedStyleProperty(textNode.parentNode, "whiteSpace");
+            var spaceRegex = null, collapseSpaces = false, styleParent = getStyleParentElement(textNode);
+            var cssWhitespace = styleParent ? getComputedStyleProperty(styleParent, "whiteSpace") : "normal";
             var preLine = (cssWhitespace === "pre-line");
             if (preLine) {
                 spaceRegex = spacesMinusLineBreaksRegex;
@@ -1115,7 +1129,7 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
             };
         }
 
-        var uniqueIDSupported = util.isHostProperty(document.documentElement, "uniqueID");
+        var uniqueIDSupported = util.isHostProperty(api.doc.documentElement, "uniqueID");
 
         function Session() {
             this.initCaches();
@@ -1404,6 +1418,70 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
         };
     }
 
+    // Moves over sentences or paragraphs by scanning visible characters. A paragraph ends at a line break (including
+    // those implied by block elements) and a sentence additionally ends at a terminating punctuation mark, optionally
+    // followed by closing quotes or brackets, that is followed by white space. Moving forward stops at the end of a
+    // unit; moving backward stops before the first character of a unit, which the caller adjusts for.
+    function moveByTextUnit(pos, unit, absCount, backward, characterOptions) {
+        var charIterator = createCharacterIterator(pos, backward, null, characterOptions);
+        var isSentence = (unit == SENTENCE);
+        var unitsMoved = 0, newPos = pos, currentPos, character, inUnit = false, edgePos = null;
+        var pendingEnd = false, spaceAfterEdge = false;
+
+        function endUnit() {
+            newPos = edgePos;
+            ++unitsMoved;
+            inUnit = pendingEnd = spaceAfterEdge = false;
+            log.debug("moveByTextUnit found " + unit + " boundary at " + newPos.inspect());
+        }
+
+        while ( unitsMoved < absCount && (currentPos = charIterator.next()) ) {
+            character = currentPos.character;
+            if (allWhiteSpaceRegex.test(character)) {
+                if (inUnit) {
+                    if (lineBreakRegex.test(character) || (!backward && pendingEnd)) {
+                        endUnit();
+                    } else if (backward) {
+                        spaceAfterEdge = true;
+                    }
+                }
+            } else if (backward) {
+                if (inUnit && isSentence && spaceAfterEdge) {
+                    if (sentenceTerminatorRegex.test(character)) {
+                        // The character belongs to the preceding sentence, which is the next unit to move over
+                        endUnit();
+                    } else if (sentenceCloserRegex.test(character)) {
+                        continue;
+                    }
+                }
+                if (inUnit) {
+                    spaceAfterEdge = false;
+                } else {
+                    inUnit = true;
+                }
+                if (unitsMoved < absCount) {
+                    edgePos = currentPos;
+                }
+            } else {
+                inUnit = true;
+                edgePos = currentPos;
+                pendingEnd = isSentence && (sentenceTerminatorRegex.test(character) ||
+                    (pendingEnd && sentenceCloserRegex.test(character)));
+            }
+        }
+        charIterator.dispose();
+
+        // Reaching the start or end of the text ends the current unit
+        if (inUnit && unitsMoved < absCount) {
+            endUnit();
+        }
+
+        return {
+            position: newPos,
+            unitsMoved: unitsMoved
+        };
+    }
+
     function movePositionBy(pos, unit, count, characterOptions, wordOptions) {
         log.group("movePositionBy " + pos.inspect());
         log.info("movePositionBy called " + count);
@@ -1436,6 +1514,12 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
                         }
                     }
                     break;
+                case SENTENCE:
+                case PARAGRAPH:
+                    var textUnitMoveResult = moveByTextUnit(pos, unit, absCount, backward, characterOptions);
+                    newPos = textUnitMoveResult.position;
+                    unitsMoved = textUnitMoveResult.unitsMoved;
+                    break;
                 default:
                     throw new Error("movePositionBy: unit '" + unit + "' not implemented");
             }
@@ -1591,7 +1675,7 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
 
     function createRangeBoundaryMover(isStart, collapse) {
         /*
-         Unit can be "character" or "word"
+         Unit can be "character", "word", "sentence" or "paragraph"
          Options:
 
          - includeTrailingSpace
@@ -1646,6 +1730,12 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
         );
     }
 
+    // Character indexes default to being relative to the body, or to the shadow root for a range within a shadow tree
+    function getDefaultContainerNode(range) {
+        var root = dom.getRootContainer(range.startContainer);
+        return dom.isShadowRoot(root) ? root : getBody( range.getDocument() );
+    }
+
     extend(api.rangePrototype, {
         moveStart: createRangeBoundaryMover(true, false),
 
@@ -1727,7 +1817,7 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
             function(session, containerNode, startIndex, endIndex, characterOptions) {
                 var moveOptions = { characterOptions: characterOptions };
                 if (!containerNode) {
-                    containerNode = getBody( this.getDocument() );
+                    containerNode = getDefaultContainerNode(this);
                 }
                 this.selectNodeContents(containerNode);
                 this.collapse(true);
@@ -1741,10 +1831,17 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
         toCharacterRange: createEntryPointFunction(
             function(session, containerNode, characterOptions) {
                 if (!containerNode) {
-                    containerNode = getBody( this.getDocument() );
+                    containerNode = getDefaultContainerNode(this);
+                }
+                var parent = containerNode.parentNode, nodeIndex = 0, rangeStartsBeforeNode = false;
+
+                // A container with no parent, such as a shadow root, necessarily contains the range
+                if (parent) {
+                    nodeIndex = dom.getNodeIndex(containerNode);
+                    rangeStartsBeforeNode = (dom.comparePoints(this.startContainer, this.endContainer, parent, nodeIndex) === -1);
+                } else {
+                    parent = containerNode;
                 }
-                var parent = containerNode.parentNode, nodeIndex = dom.getNodeIndex(containerNode);
-                var rangeStartsBeforeNode = (dom.comparePoints(this.startContainer, this.endContainer, parent, nodeIndex) === -1);
                 var rangeBetween = this.cloneRange();
                 var startIndex, endIndex;
                 if (rangeStartsBeforeNode) {
@@ -1851,6 +1948,10 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
 
     // Extensions to the Rangy Selection object
 
+    var selectionModifyAlterRegex = /^(move|extend)$/;
+    var selectionModifyDirectionRegex = /^(forward|backward|left|right)$/;
+    var selectionModifyGranularityRegex = /^(character|word|sentence|paragraph)$/;
+
     function createSelectionTrimmer(methodName) {
         return createEntryPointFunction(
             function(session, characterOptions) {
@@ -1891,12 +1992,63 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
             }
         ),
 
+        // Emulates the non-standard modify() method of WebKit and Mozilla selections so that it behaves identically
+        // in all browsers. alter is "move" or "extend", direction is "forward" or "backward" ("right" and "left" are
+        // treated as synonyms) and granularity is "character", "word", "sentence" or "paragraph". Moving collapses a
+        // non-collapsed selection to its end in the direction of travel before moving; extending moves the focus,
+        // leaving the anchor in place. As with the native method, unrecognised values are ignored.
+        modify: createEntryPointFunction(
+            function(session, alter, direction, granularity, moveOptions) {
+                alter = String(alter).toLowerCase();
+                direction = String(direction).toLowerCase();
+                granularity = String(granularity).toLowerCase();
+
+                if (!this.rangeCount || !selectionModifyAlterRegex.test(alter) ||
+                        !selectionModifyDirectionRegex.test(direction) ||
+                        !selectionModifyGranularityRegex.test(granularity)) {
+                    return;
+                }
+
+                var backward = (direction == "backward" || direction == "left");
+                var isMove = (alter == "move");
+
+                if (isMove && !this.isCollapsed) {
+                    var range = this.getRangeAt(backward ? 0 : this.rangeCount - 1);
+                    this.collapse(range[backward ? "startContainer" : "endContainer"], range[backward ? "startOffset" : "endOffset"]);
+
+                    // Moving by a character from a non-collapsed selection just collapses it, as typing an arrow
+                    // key does
+                    if (granularity == CHARACTER) {
+                        return;
+                    }
+                }
+
+                if (!moveOptions) {
+                    moveOptions = {};
+                }
+                moveOptions.characterOptions = createOptions(moveOptions.characterOptions, defaultCaretCharacterOptions);
+                moveOptions = createNestedOptions(moveOptions, defaultMoveOptions);
+
+                var focusPos = session.getPosition(this.focusNode, this.focusOffset);
+                var newPos = movePositionBy(focusPos, granularity, backward ? -1 : 1, moveOptions.characterOptions,
+                    moveOptions.wordOptions).position;
+                log.debug("Selection modify moving focus to " + newPos.inspect());
+
+                if (isMove) {
+                    this.collapse(newPos.node, newPos.offset);
+                } else {
+                    this.extend(newPos.node, newPos.offset);
+                }
+            }
+        ),
+
         trimStart: createSelectionTrimmer("trimStart"),
         trimEnd: createSelectionTrimmer("trimEnd"),
         trim: createSelectionTrimmer("trim"),
 
         selectCharacters: createEntryPointFunction(
             function(session, containerNode, startIndex, endIndex, direction, characterOptions) {
+                containerNode = containerNode || this.shadowRoot;
                 var range = api.createRange(containerNode);
                 range.selectCharacters(containerNode, startIndex, endIndex, characterOptions);
                 this.setSingleRange(range, direction);
@@ -1924,6 +2076,7 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
 
         restoreCharacterRanges: createEntryPointFunction(
             function(session, containerNode, saved) {
+                containerNode = containerNode || this.shadowRoot;
                 this.removeAllRanges();
                 for (var i = 0, len = saved.length, range, rangeInfo, characterRange; i < len; ++i) {
                     rangeInfo = saved[i];
@@ -1991,6 +2144,8 @@ rangy.createModule("TextRange", ["WrappedSelection"], function(api, module) {
     api.textRange = {
         isBlockNode: isBlockNode,
         isCollapsedWhitespaceNode: isCollapsedWhitespaceNode,
+        isCollapsedNode: isCollapsedNode,
+        isIgnoredNode: isIgnoredNode,
 
         createPosition: createEntryPointFunction(
             function(session, node, offset) {
@@ -1004,5 +1004,825 @@ xn.test.suite("Class Applier module tests", function(s) {
             t.assertEquals(range1.toString(), "23");
             t.assertEquals(range2.toString(), "5");
         });
+
+        s.test("Apply to RangeSet", function(t) {
+            var testEl = document.getElementById("test");
+            testEl.innerHTML = "12345";
+            var applier = rangy.createClassApplier("c1");
+            var textNode = testEl.firstChild;
+
+            var range1 = rangy.createRange();
+            range1.setStartAndEnd(textNode, 0, 2);
+
+            var range2 = rangy.createRange();
+            range2.setStartAndEnd(textNode, 1, 3);
+
+            var ranges = applier.applyToRanges( rangy.createRangeSet([range1, range2]) );
+
+            t.assertEquals(ranges.length, 1);
+            t.assertEquals(ranges[0].toString(), "123");
+            t.assertEquals(testEl.innerHTML, '<span class="c1">123</span>45');
+        });
+    }
+
+    s.test("getStateForRange applied, not applied and partially applied", function(t) {
+        var applier = rangy.createClassApplier("test");
+        var testEl = document.getElementById("test");
+
+        var range = createRangeInHtml(testEl, '<span class="test">[One two]</span> three');
+        var state = applier.getStateForRange(range);
+        t.assertEquals(state.state, rangy.ClassApplier.APPLIED);
+        t.assertEquals(state.coverage, 1);
+        t.assertEquals(state.coveredRanges.length, 1);
+        t.assertEquals(state.coveredRanges[0].toString(), "One two");
+
+        range = createRangeInHtml(testEl, '<span class="test">One</span> t[wo] three');
+        state = applier.getStateForRange(range);
+        t.assertEquals(state.state, rangy.ClassApplier.NOT_APPLIED);
+        t.assertEquals(state.coverage, 0);
+        t.assertEquals(state.coveredRanges.length, 0);
+
+        range = createRangeInHtml(testEl, '<span class="test">O[ne</span> two <b>th<span class="test">re</span>e</b> fo]ur');
+        state = applier.getStateForRange(range);
+        t.assertEquals(state.state, rangy.ClassApplier.PARTIALLY_APPLIED);
+        t.assertEquals(state.characterCount, 15);
+        t.assertEquals(state.coveredCharacterCount, 4);
+        t.assertEquals(state.coverage, 4 / 15);
+        t.assertEquals(state.coveredRanges.length, 2);
+        t.assertEquals(state.coveredRanges[0].toString(), "ne");
+        t.assertEquals(state.coveredRanges[1].toString(), "re");
+    });
+
+    s.test("getStateForRange merges adjacent covered text", function(t) {
+        var applier = rangy.createClassApplier("test");
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '[One <span class="test">two <b>three</b></span> four]');
+        var state = applier.getStateForRange(range);
+        t.assertEquals(state.coveredRanges.length, 1);
+        t.assertEquals(state.coveredRanges[0].toString(), "two three");
+    });
+
+    s.test("getStateForRange collapsed range", function(t) {
+        var applier = rangy.createClassApplier("test");
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<span class="test">On[]e</span> two');
+        var state = applier.getStateForRange(range);
+        t.assertEquals(state.state, rangy.ClassApplier.APPLIED);
+        t.assertEquals(state.coverage, 1);
+        t.assertEquals(state.characterCount, 0);
+
+        range = createRangeInHtml(testEl, '<span class="test">One</span> t[]wo');
+        t.assertEquals(applier.getStateForRange(range).state, rangy.ClassApplier.NOT_APPLIED);
+    });
+
+    s.test("getStateForRange ignores white space", function(t) {
+        var applier = rangy.createClassApplier("test");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = '<div><span class="test">One</span></div>\n<div><span class="test">Two</span></div>';
+        var range = rangy.createRange();
+        range.selectNodeContents(testEl);
+        var state = applier.getStateForRange(range);
+        t.assertEquals(state.state, rangy.ClassApplier.APPLIED);
+        t.assertEquals(state.characterCount, 6);
+
+        applier = rangy.createClassApplier("test", { ignoreWhiteSpace: false });
+        state = applier.getStateForRange(range);
+        t.assertEquals(state.state, rangy.ClassApplier.PARTIALLY_APPLIED);
+        t.assertEquals(state.characterCount, 7);
+    });
+
+    s.test("getStateForRange applyToEditableOnly", function(t) {
+        var applier = rangy.createClassApplier("test", { applyToEditableOnly: true });
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl,
+            '<div contenteditable="true"><span class="test">[One</span></div><div>two]</div>');
+        var state = applier.getStateForRange(range);
+        t.assertEquals(state.state, rangy.ClassApplier.APPLIED);
+        t.assertEquals(state.characterCount, 3);
+    });
+
+    s.test("getStateForRanges and getStateForSelection", function(t) {
+        var applier = rangy.createClassApplier("test");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = '<span class="test">One</span> two';
+        var range1 = rangy.createRange();
+        range1.selectNodeContents(testEl.firstChild);
+        var range2 = rangy.createRange();
+        range2.setStartAndEnd(testEl.lastChild, 1, 4);
+
+        var state = applier.getStateForRanges([range1, range2]);
+        t.assertEquals(state.state, rangy.ClassApplier.PARTIALLY_APPLIED);
+        t.assertEquals(state.coverage, 0.5);
+        t.assertEquals(state.coveredRanges.length, 1);
+
+        t.assertEquals(applier.getStateForRanges([]).state, rangy.ClassApplier.NOT_APPLIED);
+
+        var sel = rangy.getSelection();
+        sel.setSingleRange(range1);
+        t.assertEquals(applier.getStateForSelection().state, rangy.ClassApplier.APPLIED);
+        sel.removeAllRanges();
+    });
+
+    function getChangeTypes(changeRecord) {
+        var types = [];
+        for (var i = 0; i < changeRecord.changes.length; ++i) {
+            types.push(changeRecord.changes[i].type);
+        }
+        return types.join(",");
+    }
+
+    s.test("applyToRange change record", function(t) {
+        var applier = rangy.createClassApplier("test");
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, 'One t[w]o three');
+        var textNode = testEl.firstChild;
+        var changeRecord = applier.applyToRange(range);
+
+        t.assertEquals(getChangeTypes(changeRecord), "splitText,splitText,createElement");
+        var splitChanges = changeRecord.getChanges("splitText");
+        t.assertEquals(splitChanges[0].node, textNode);
+        t.assertEquals(splitChanges[0].offset, 6);
+        t.assertEquals(splitChanges[1].offset, 5);
+        var createChange = changeRecord.getChanges("createElement")[0];
+        t.assertEquals(createChange.element, testEl.childNodes[1]);
+        t.assertEquals(createChange.wrappedNode.data, "w");
+        t.assertEquals(createChange.parentNode, testEl);
+        t.assertEquals(createChange.index, 1);
+    });
+
+    s.test("undoToRange change record", function(t) {
+        var applier = rangy.createClassApplier("test");
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<span class="test">One [two] three</span>');
+        var span = testEl.firstChild;
+        var changeRecord = applier.undoToRange(range);
+
+        var splitChanges = changeRecord.getChanges("splitElement");
+        t.assertEquals(splitChanges.length, 2);
+        t.assertEquals(splitChanges[0].element, span);
+        var unwrapChange = changeRecord.getChanges("unwrapElement")[0];
+        t.assertEquals(unwrapChange.parentNode, testEl);
+        t.assertEquals(unwrapChange.index, 1);
+        t.assertEquals(unwrapChange.childNodeCount, 1);
+    });
+
+    s.test("Class change records", function(t) {
+        var applier = rangy.createClassApplier("test");
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<span class="test other">[One]</span>');
+        var changeRecord = applier.undoToRange(range);
+        t.assertEquals(getChangeTypes(changeRecord), "removeClass");
+        t.assertEquals(changeRecord.changes[0].element, testEl.firstChild);
+        t.assertEquals(changeRecord.changes[0].className, "test");
+        t.assertEquals(changeRecord.changes[0].previousClassName, "test other");
+    });
+
+    s.test("Change record revert", function(t) {
+        var applier = rangy.createClassApplier("test");
+        var testEl = document.getElementById("test");
+        var htmls = [
+            'One t[w]o three',
+            '<span class="test">One</span> [two] <span class="test">three</span>',
+            '<span class="test">One <b>t[wo</b> th]ree</span>',
+            '<span class="other test">[One]</span>',
+            '<span class="test">[One</span><span class="test">two]</span>'
+        ];
+
+        for (var i = 0, html, range, originalHtml, changeRecord; html = htmls[i++]; ) {
+            range = createRangeInHtml(testEl, html);
+            originalHtml = testEl.innerHTML;
+            changeRecord = applier.toggleRange(range);
+            t.assertFalse(changeRecord.isEmpty());
+            t.assertNotEquals(testEl.innerHTML, originalHtml);
+            changeRecord.revert();
+            t.assertEquals(testEl.innerHTML, originalHtml);
+            t.assert(changeRecord.isEmpty());
+        }
+    });
+
+    s.test("applyToRanges and applyToSelection change records", function(t) {
+        var applier = rangy.createClassApplier("test");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "One two three";
+        var textNode = testEl.firstChild;
+        var range1 = rangy.createRange();
+        range1.setStartAndEnd(textNode, 0, 3);
+        var range2 = rangy.createRange();
+        range2.setStartAndEnd(textNode, 8, 13);
+
+        var changeRecord = new rangy.ClassApplier.ChangeRecord();
+        var ranges = applier.applyToRanges([range1, range2], changeRecord);
+        t.assertEquals(ranges.length, 2);
+        t.assertEquals(changeRecord.getChanges("createElement").length, 2);
+        changeRecord.revert();
+        t.assertEquals(testEl.innerHTML, "One two three");
+
+        var sel = rangy.getSelection();
+        sel.selectAllChildren(testEl);
+        changeRecord = applier.applyToSelection();
+        t.assertEquals(getChangeTypes(changeRecord), "createElement");
+        changeRecord = applier.undoToSelection();
+        t.assertEquals(getChangeTypes(changeRecord), "unwrapElement");
+        t.assertEquals(testEl.innerHTML, "One two three");
+        sel.removeAllRanges();
+    });
+
+    s.test("Block mode apply to paragraphs", function(t) {
+        var applier = rangy.createClassApplier("quote", { blockMode: true });
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<p>O[ne</p><p>t]wo</p><p>three</p>');
+        applier.applyToRange(range);
+        t.assertEquals(htmlAndRangeToString(testEl, range),
+            '<p class="quote">O[ne</p><p class="quote">t]wo</p><p>three</p>');
+        t.assert(applier.isAppliedToRange(range));
+
+        range.selectNodeContents(testEl);
+        t.assertFalse(applier.isAppliedToRange(range));
+        t.assertEquals(applier.getStateForRange(range).state, rangy.ClassApplier.PARTIALLY_APPLIED);
+    });
+
+    s.test("Block mode apply to list items, table cells and headings", function(t) {
+        var applier = rangy.createClassApplier("quote", { blockMode: true });
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = '<ul><li>a</li><li>b</li></ul><table><tbody><tr><td>c</td></tr></tbody></table><h1>d</h1>';
+        var range = rangy.createRange();
+        range.selectNodeContents(testEl);
+        applier.applyToRange(range);
+        t.assertEquals(testEl.innerHTML, '<ul><li class="quote">a</li><li class="quote">b</li></ul>' +
+            '<table><tbody><tr><td class="quote">c</td></tr></tbody></table><h1 class="quote">d</h1>');
+    });
+
+    s.test("Block mode wraps runs of inline content", function(t) {
+        var applier = rangy.createClassApplier("quote", { blockMode: true, blockTagName: "DIV" });
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<div>One <b>t[wo</b><p>th]ree</p> four</div>');
+        var changeRecord = applier.applyToRange(range);
+        t.assertEquals(htmlAndRangeToString(testEl, range),
+            '<div><div class="quote">One <b>t[wo</b></div><p class="quote">th]ree</p> four</div>');
+        t.assertEquals(changeRecord.getChanges("createElement")[0].childNodeCount, 2);
+        t.assert(applier.isAppliedToRange(range));
+
+        applier.undoToRange(range);
+        t.assertEquals(htmlAndRangeToString(testEl, range), '<div>One <b>t[wo</b><p>th]ree</p> four</div>');
+    });
+
+    s.test("Block mode toggle", function(t) {
+        var applier = rangy.createClassApplier("quote", { blockMode: true });
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<p>[One</p><p class="quote">two]</p>');
+        applier.toggleRange(range);
+        t.assertEquals(htmlAndRangeToString(testEl, range), '<p class="quote">[One</p><p class="quote">two]</p>');
+        applier.toggleRange(range);
+        t.assertEquals(htmlAndRangeToString(testEl, range), '<p>[One</p><p>two]</p>');
+    });
+
+    s.test("Block mode collapsed range and empty blocks", function(t) {
+        var applier = rangy.createClassApplier("quote", { blockMode: true });
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<p>One</p><p>t[]wo</p>');
+        applier.applyToRange(range);
+        t.assertEquals(testEl.innerHTML, '<p>One</p><p class="quote">two</p>');
+        t.assert(applier.isAppliedToRange(range));
+
+        range = createRangeInHtml(testEl, '<p>[One</p><p><br></p><p>two]</p>');
+        applier.applyToRange(range);
+        t.assertEquals(testEl.getElementsByTagName("p")[1].className, "quote");
+    });
+
+    s.test("Block mode undo removes class from containing blocks", function(t) {
+        var applier = rangy.createClassApplier("quote", { blockMode: true });
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<div class="quote other"><p>[One]</p></div>');
+        t.assert(applier.isAppliedToRange(range));
+        applier.undoToRange(range);
+        t.assertEquals(testEl.innerHTML, '<div class="other"><p>One</p></div>');
+    });
+
+    s.test("Block mode ignores inline elements with the class", function(t) {
+        var applier = rangy.createClassApplier("quote", { blockMode: true });
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<p><span class="quote">[One]</span></p>');
+        t.assertFalse(applier.isAppliedToRange(range));
+    });
+
+    s.test("ClassApplierGroup apply replaces other members", function(t) {
+        var group = rangy.createClassApplierGroup(["yellow", "green", "pink"]);
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<span class="yellow">One [two] three</span>');
+        group.applyToRange("green", range);
+        t.assertEquals(htmlAndRangeToString(testEl, range),
+            '<span class="yellow">One </span><span class="green">[two]</span><span class="yellow"> three</span>');
+
+        range.selectNodeContents(testEl);
+        group.applyToRange(group.appliers[2], range);
+        t.assertEquals(testEl.innerHTML, '<span class="pink">One two three</span>');
+    });
+
+    s.test("ClassApplierGroup apply removes nested members", function(t) {
+        var group = rangy.createClassApplierGroup(["yellow", "green", "pink"]);
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<span class="yellow">[1<span class="pink">2</span>3</span>4]');
+        group.applyToRange("green", range);
+        t.assertEquals(testEl.innerHTML, '<span class="green">1234</span>');
+    });
+
+    s.test("ClassApplierGroup undo and toggle", function(t) {
+        var group = rangy.createClassApplierGroup(["yellow", "green"]);
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<span class="yellow">[One</span> <span class="green">two]</span>');
+        var changeRecord = group.undoToRange(range);
+        t.assertEquals(htmlAndRangeToString(testEl, range), '[One two]');
+        changeRecord.revert();
+        t.assertEquals(testEl.innerHTML, '<span class="yellow">One</span> <span class="green">two</span>');
+
+        range = createRangeInHtml(testEl, '[One <span class="green">two]</span>');
+        group.toggleRange("green", range);
+        t.assertEquals(htmlAndRangeToString(testEl, range), '<span class="green">[One two]</span>');
+        group.toggleRange("green", range);
+        t.assertEquals(htmlAndRangeToString(testEl, range), '[One two]');
+    });
+
+    s.test("ClassApplierGroup applied member", function(t) {
+        var group = rangy.createClassApplierGroup(["yellow", "green"]);
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<span class="green">O[n]e</span> two');
+        t.assertEquals(group.getAppliedApplierForRange(range), group.getApplier("green"));
+
+        range = createRangeInHtml(testEl, '<span class="green">O[ne</span> t]wo');
+        t.assertNull(group.getAppliedApplierForRange(range));
+    });
+
+    s.test("ClassApplierGroup unknown member", function(t) {
+        var group = rangy.createClassApplierGroup(["yellow", "green"]);
+        t.assertError(function() {
+            group.getApplier("pink");
+        });
+    });
+
+    function createBoldApplier() {
+        return rangy.createClassApplier("bold", {
+            equivalents: [
+                { tagName: ["b", "strong"] },
+                { style: { "font-weight": ["bold", "700"] } },
+                { tagName: "span", className: "strong" }
+            ]
+        });
     }
+
+    s.test("Equivalents count as applied", function(t) {
+        var applier = createBoldApplier();
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<b>[1</b><strong>2</strong><span style="font-weight: bold">3</span>' +
+            '<span class="strong">4</span><span class="bold">5]</span>6');
+        t.assert(applier.isAppliedToRange(range));
+
+        range.selectNodeContents(testEl);
+        t.assertFalse(applier.isAppliedToRange(range));
+        t.assertEquals(applier.getStateForRange(range).coveredCharacterCount, 5);
+    });
+
+    s.test("Apply does not wrap text within equivalents", function(t) {
+        var applier = createBoldApplier();
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '[1<b>2</b>3]');
+        applier.applyToRange(range);
+        t.assertEquals(testEl.innerHTML, '<span class="bold">1</span><b>2</b><span class="bold">3</span>');
+    });
+
+    s.test("Undo removes equivalents", function(t) {
+        var applier = createBoldApplier();
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<b>[1</b><strong>2</strong><span style="font-weight: bold">3</span>' +
+            '<span class="strong">4</span><span class="bold">5]</span>');
+        var changeRecord = applier.undoToRange(range);
+        t.assertEquals(htmlAndRangeToString(testEl, range), '[12345]');
+        t.assertEquals(changeRecord.getChanges("setAttribute")[0].name, "style");
+    });
+
+    s.test("Undo removes nested equivalents within range only", function(t) {
+        var applier = createBoldApplier();
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<b>1<i><strong>[2]</strong></i>3</b>');
+        applier.undoToRange(range);
+        t.assertEquals(htmlAndRangeToString(testEl, range), '<b>1</b><i>[2]</i><b>3</b>');
+    });
+
+    s.test("Undo keeps other styles and attributes of equivalents", function(t) {
+        var applier = createBoldApplier();
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = '<p style="font-weight: bold; color: red">1</p><b class="other">2</b>';
+        var range = rangy.createRange();
+        range.selectNodeContents(testEl);
+        applier.undoToRange(range);
+
+        t.assertEquals(testEl.firstChild.style.fontWeight, "");
+        t.assertEquals(testEl.firstChild.style.color, "red");
+        t.assertEquals(testEl.lastChild.nodeName.toLowerCase(), "span");
+        t.assertEquals(testEl.lastChild.className, "other");
+    });
+
+    s.test("Equivalents change record revert", function(t) {
+        var applier = createBoldApplier();
+        var testEl = document.getElementById("test");
+        var html = '<b>1</b><span style="font-weight: bold">2</span><b class="other">3</b>';
+        testEl.innerHTML = html;
+        var originalHtml = testEl.innerHTML;
+        var range = rangy.createRange();
+        range.selectNodeContents(testEl);
+        applier.undoToRange(range).revert();
+        t.assertEquals(testEl.innerHTML, originalHtml);
+    });
+
+    s.test("Invalid equivalence rule", function(t) {
+        t.assertError(function() {
+            rangy.createClassApplier("bold", { equivalents: [ {} ] });
+        });
+    });
+
+    s.test("normalizeFormatting merges adjacent elements and text nodes", function(t) {
+        var applier = rangy.createClassApplier("c1");
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<span class="c1">1[2</span><span class="c1">3]4</span><i>5</i><i>6</i>');
+        testEl.appendChild(document.createTextNode("7"));
+        testEl.appendChild(document.createTextNode("8"));
+        rangy.normalizeFormatting(testEl, [applier], [range]);
+        t.assertEquals(htmlAndRangeToString(testEl, range), '<span class="c1">1[23]4</span><i>5</i><i>6</i>78');
+        t.assertEquals(testEl.firstChild.childNodes.length, 1);
+        t.assertEquals(testEl.lastChild.data, "78");
+    });
+
+    s.test("normalizeFormatting removes empty containers", function(t) {
+        var applier = rangy.createClassApplier("c1");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = '1<span class="c1"></span>2<span class="c1"><span class="c1"></span></span>3<i></i>';
+        rangy.normalizeFormatting(testEl, applier);
+        t.assertEquals(testEl.innerHTML, '123<i></i>');
+        t.assertEquals(testEl.childNodes.length, 2);
+    });
+
+    s.test("normalizeFormatting flattens nested elements", function(t) {
+        var applier = rangy.createClassApplier("c1");
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl,
+            '<span class="c1">1<span class="c1">[2</span>3<span class="c1 c2">4]</span></span>');
+        rangy.normalizeFormatting(testEl, applier, [range]);
+        t.assertEquals(htmlAndRangeToString(testEl, range), '<span class="c1">1[23<span class="c2">4]</span></span>');
+    });
+
+    s.test("normalizeFormatting flattens nested equivalents", function(t) {
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = '<b>1<strong>2</strong></b><span class="bold">3<b>4</b></span>';
+        rangy.normalizeFormatting(testEl, createBoldApplier());
+        t.assertEquals(testEl.innerHTML, '<b>12</b><span class="bold">34</span>');
+    });
+
+    s.test("normalizeFormatting preserves positions", function(t) {
+        var applier = rangy.createClassApplier("c1");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = '<span class="c1">12</span><span class="c1">34</span>';
+        var position = new rangy.dom.DomPosition(testEl.lastChild.firstChild, 1);
+        var endPosition = new rangy.dom.DomPosition(testEl, 2);
+        rangy.normalizeFormatting(testEl, applier, [position, endPosition]);
+        t.assertEquals(position.node, testEl.firstChild.firstChild);
+        t.assertEquals(position.offset, 3);
+        t.assertEquals(endPosition.node, testEl);
+        t.assertEquals(endPosition.offset, 1);
+    });
+
+    s.test("normalizeFormatting preserves a position between merged text nodes", function(t) {
+        var applier = rangy.createClassApplier("c1");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "";
+        testEl.appendChild(document.createTextNode("1"));
+        testEl.appendChild(document.createTextNode("2"));
+        testEl.appendChild(document.createTextNode("3"));
+        var position = new rangy.dom.DomPosition(testEl, 2);
+        var endPosition = new rangy.dom.DomPosition(testEl, 3);
+        rangy.normalizeFormatting(testEl, applier, [position, endPosition]);
+        t.assertEquals(testEl.childNodes.length, 1);
+        t.assertEquals(position.node, testEl.firstChild);
+        t.assertEquals(position.offset, 2);
+        t.assertEquals(endPosition.node, testEl);
+        t.assertEquals(endPosition.offset, 1);
+    });
+
+    s.test("normalizeFormatting with a group and change record revert", function(t) {
+        var group = rangy.createClassApplierGroup(["c1", "c2"]);
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = '<span class="c1">1</span><span class="c1">2<span class="c1">3</span></span>' +
+            '<span class="c2"></span><span class="c2">4</span><span class="c2">5</span>';
+        var originalHtml = testEl.innerHTML;
+        var changeRecord = rangy.normalizeFormatting(testEl, group);
+        t.assertEquals(testEl.innerHTML, '<span class="c1">123</span><span class="c2">45</span>');
+        t.assertEquals(changeRecord.getChanges("mergeElements").length, 2);
+
+        changeRecord.revert();
+        t.assertEquals(testEl.innerHTML, originalHtml);
+    });
+
+    function isNotCode(node) {
+        return node.nodeName.toLowerCase() != "code";
+    }
+
+    s.test("Filter excludes text from apply", function(t) {
+        var applier = rangy.createClassApplier("c1", { filter: isNotCode });
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '[1<code>2<b>3</b></code>4]');
+        applier.applyToRange(range);
+        t.assertEquals(testEl.innerHTML, '<span class="c1">1</span><code>2<b>3</b></code><span class="c1">4</span>');
+    });
+
+    s.test("Filter excludes text from applied state", function(t) {
+        var applier = rangy.createClassApplier("c1", { filter: isNotCode });
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<span class="c1">[1</span><code>23</code><span class="c1">4]</span>');
+        t.assert(applier.isAppliedToRange(range));
+        t.assertEquals(applier.getStateForRange(range).characterCount, 2);
+        t.assertEquals(applier.getStateForRange(range).state, rangy.ClassApplier.APPLIED);
+    });
+
+    s.test("Filter excludes elements from undo", function(t) {
+        var applier = rangy.createClassApplier("c1", { filter: isNotCode });
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = '<span class="c1">1</span><code><span class="c1">2</span></code>';
+        var range = rangy.createRange();
+        range.selectNodeContents(testEl);
+        applier.undoToRange(range);
+        t.assertEquals(testEl.innerHTML, '1<code><span class="c1">2</span></code>');
+    });
+
+    s.test("Non-editable islands are skipped", function(t) {
+        var applier = rangy.createClassApplier("c1", { skipNonEditableIslands: true });
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl,
+            '<div contenteditable="true">[1<span contenteditable="false">2</span>3]</div>');
+        applier.applyToRange(range);
+        t.assertEquals(testEl.innerHTML, '<div contenteditable="true"><span class="c1">1</span>' +
+            '<span contenteditable="false">2</span><span class="c1">3</span></div>');
+    });
+
+    s.test("Editable regions within non-editable islands are not skipped", function(t) {
+        var applier = rangy.createClassApplier("c1", { skipNonEditableIslands: true });
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl, '<div contenteditable="true"><span contenteditable="false">1' +
+            '<span contenteditable="true">[2]</span></span></div>');
+        applier.applyToRange(range);
+        t.assertEquals(range.startContainer.parentNode.className, "c1");
+    });
+
+    s.test("contenteditable values are compared case-insensitively", function(t) {
+        var applier = rangy.createClassApplier("c1", { skipNonEditableIslands: true });
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl,
+            '<div contenteditable="TRUE">[1<span contenteditable="False">2</span>3]</div>');
+        applier.applyToRange(range);
+        t.assertEquals(testEl.getElementsByTagName("span")[1].className, "");
+    });
+
+    s.test("Non-editable islands are applied to by default", function(t) {
+        var applier = rangy.createClassApplier("c1");
+        var testEl = document.getElementById("test");
+        var range = createRangeInHtml(testEl,
+            '<div contenteditable="true"><span contenteditable="false">[1]</span></div>');
+        applier.applyToRange(range);
+        t.assert(rangy.ClassApplier.util.isInNonEditableIsland(range.startContainer));
+        t.assertNotNull(applier.getSelfOrAncestorWithClass(range.startContainer));
+    });
+}, false);
+
+xn.test.suite("Style Applier tests", function(s) {
+    s.tearDown = function() {
+        document.getElementById("test").innerHTML = "";
+    };
+
+    function getStyledSpans(el) {
+        var spans = el.getElementsByTagName("span"), styledSpans = [];
+        for (var i = 0; i < spans.length; ++i) {
+            if (spans[i].style.fontSize) {
+                styledSpans.push(spans[i]);
+            }
+        }
+        return styledSpans;
+    }
+
+    s.test("Apply to range", function(t) {
+        var applier = rangy.createStyleApplier("font-size");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three";
+        var range = rangy.createRange();
+        range.setStartAndEnd(testEl.firstChild, 4, 7);
+        applier.applyToRange(range, "12px");
+
+        var spans = getStyledSpans(testEl);
+        t.assertEquals(spans.length, 1);
+        t.assertEquals(spans[0].style.fontSize, "12px");
+        t.assertEquals(spans[0].innerHTML, "two");
+        t.assertEquals(range.toString(), "two");
+        t.assert(applier.isAppliedToRange(range, "12px"));
+        t.assertFalse(applier.isAppliedToRange(range, "18px"));
+    });
+
+    s.test("Applying a value overrides the existing value rather than nesting", function(t) {
+        var applier = rangy.createStyleApplier("fontSize");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = 'one <span style="font-size: 12px">two</span> three';
+        var range = rangy.createRange();
+        range.selectNodeContents(testEl);
+        applier.applyToRange(range, "18px");
+
+        var spans = getStyledSpans(testEl);
+        for (var i = 0; i < spans.length; ++i) {
+            t.assertEquals(spans[i].style.fontSize, "18px");
+            t.assertEquals(spans[i].getElementsByTagName("span").length, 0);
+        }
+        t.assert(applier.isAppliedToRange(range, "18px"));
+        t.assertEquals(testEl.innerHTML.indexOf("12px"), -1);
+    });
+
+    s.test("Applying a value to part of a styled element splits it", function(t) {
+        var applier = rangy.createStyleApplier("font-size");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = 'x<span style="font-size: 12px">ab<b>cd</b>ef</span>y';
+        var range = rangy.createRange();
+        range.selectNodeContents(testEl.getElementsByTagName("b")[0]);
+        applier.applyToRange(range, "20px");
+
+        var spans = getStyledSpans(testEl);
+        t.assertEquals(spans.length, 3);
+        t.assertEquals(spans[0].style.fontSize, "12px");
+        t.assertEquals(spans[0].innerHTML, "ab");
+        t.assertEquals(spans[1].style.fontSize, "20px");
+        t.assertEquals(spans[1].parentNode.nodeName.toLowerCase(), "b");
+        t.assertEquals(spans[2].style.fontSize, "12px");
+        t.assertEquals(spans[2].innerHTML, "ef");
+    });
+
+    s.test("Undo removes only the property", function(t) {
+        var applier = rangy.createStyleApplier("font-size");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = 'a<span style="font-size: 12px; color: red">bcd</span>e';
+        var textNode = testEl.childNodes[1].firstChild;
+        var range = rangy.createRange();
+        range.setStartAndEnd(textNode, 1, 2);
+        applier.undoToRange(range);
+
+        var spans = testEl.getElementsByTagName("span");
+        t.assertEquals(spans.length, 3);
+        t.assertEquals(spans[1].innerHTML, "c");
+        t.assertEquals(spans[1].style.fontSize, "");
+        t.assertEquals(spans[1].style.color, "red");
+        t.assertEquals(spans[0].style.fontSize, "12px");
+        t.assertEquals(spans[2].style.fontSize, "12px");
+    });
+
+    s.test("Undo removes elements left with no attributes", function(t) {
+        var applier = rangy.createStyleApplier("font-size");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = 'x<span style="font-size: 12px">ab<b>cd</b>ef</span>y';
+        var range = rangy.createRange();
+        range.selectNodeContents(testEl);
+        applier.undoToRange(range);
+        t.assertEquals(testEl.getElementsByTagName("span").length, 0);
+        t.assertEquals(testEl.getElementsByTagName("b")[0].innerHTML, "cd");
+    });
+
+    s.test("Adjacent elements with the same value are merged", function(t) {
+        var applier = rangy.createStyleApplier("font-size");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = 'abcd';
+        var range = rangy.createRange();
+        range.setStartAndEnd(testEl.firstChild, 0, 2);
+        applier.applyToRange(range, "18px");
+        range.setStartAndEnd(testEl.lastChild, 0, 2);
+        applier.applyToRange(range, "18px");
+
+        var spans = getStyledSpans(testEl);
+        t.assertEquals(spans.length, 1);
+        t.assertEquals(spans[0].innerHTML, "abcd");
+    });
+
+    s.test("Computed value", function(t) {
+        var applier = rangy.createStyleApplier("font-size");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = '<span style="font-size: 18px">ab</span><span style="font-size: 10px">cd</span>';
+        var range = rangy.createRange();
+        range.selectNodeContents(testEl.firstChild);
+        t.assertEquals(applier.getComputedValueForRange(range), "18px");
+
+        range.selectNodeContents(testEl);
+        t.assertEquals(applier.getComputedValueForRange(range), rangy.StyleApplier.MIXED);
+
+        range.collapseToPoint(testEl.lastChild.firstChild, 1);
+        t.assertEquals(applier.getComputedValueForRange(range), "10px");
+    });
+
+    s.test("Apply to and undo to selection", function(t) {
+        var applier = rangy.createStyleApplier("font-size");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "abcd";
+        var sel = rangy.getSelection();
+        sel.selectAllChildren(testEl);
+        applier.applyToSelection("10px");
+
+        t.assert(applier.isAppliedToSelection("10px"));
+        t.assertEquals(applier.getComputedValueForSelection(), "10px");
+        t.assertEquals(sel.toString(), "abcd");
+
+        applier.undoToSelection();
+        t.assertEquals(testEl.innerHTML, "abcd");
+        t.assertEquals(sel.toString(), "abcd");
+    });
+
+    s.test("Change record revert after apply and undo", function(t) {
+        var applier = rangy.createStyleApplier("font-size");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = 'x<span style="font-size: 12px; color: red">ab<b>cd</b>ef</span>y<i>z</i>';
+        var html = testEl.innerHTML;
+        var range = rangy.createRange();
+        range.setStartAndEnd(testEl.getElementsByTagName("b")[0].firstChild, 1, testEl.lastChild.firstChild, 1);
+        var changeRecord = applier.applyToRange(range, "20px");
+        t.assertFalse(changeRecord.isEmpty());
+        t.assertNotEquals(testEl.innerHTML, html);
+        changeRecord.revert();
+        t.assertEquals(testEl.innerHTML, html);
+
+        range.selectNodeContents(testEl);
+        changeRecord = applier.undoToRange(range);
+        t.assertEquals(testEl.innerHTML.indexOf("12px"), -1);
+        changeRecord.revert();
+        t.assertEquals(testEl.innerHTML, html);
+    });
+
+    s.test("Applying to a selection returns a change record", function(t) {
+        var applier = rangy.createStyleApplier("font-size");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "abcd";
+        rangy.getSelection().selectAllChildren(testEl);
+        var changeRecord = applier.applyToSelection("10px");
+        t.assertFalse(changeRecord.isEmpty());
+        changeRecord.revert();
+        t.assertEquals(testEl.innerHTML, "abcd");
+    });
+
+    s.test("Toggle range", function(t) {
+        var applier = rangy.createStyleApplier("font-size");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three";
+        var range = rangy.createRange();
+        range.setStartAndEnd(testEl.firstChild, 4, 7);
+        applier.toggleRange(range, "12px");
+        t.assertEquals(getStyledSpans(testEl).length, 1);
+        t.assert(applier.isAppliedToRange(range, "12px"));
+
+        applier.toggleRange(range, "18px");
+        t.assertEquals(getStyledSpans(testEl)[0].style.fontSize, "18px");
+
+        applier.toggleRange(range, "18px");
+        t.assertEquals(testEl.innerHTML, "one two three");
+    });
+
+    s.test("Toggle selection", function(t) {
+        var applier = rangy.createStyleApplier("font-size");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "abcd";
+        var sel = rangy.getSelection();
+        sel.selectAllChildren(testEl);
+        applier.toggleSelection("10px");
+        t.assert(applier.isAppliedToSelection("10px"));
+
+        applier.toggleSelection("10px");
+        t.assertEquals(testEl.innerHTML, "abcd");
+        t.assertEquals(sel.toString(), "abcd");
+    });
+
+    s.test("Tag names", function(t) {
+        var applier = rangy.createStyleApplier("font-size", { tagNames: "b, *" });
+        t.assert(applier.applyToAnyTagName);
+        t.assertArraysEquivalent(applier.tagNames, ["b"]);
+
+        applier = rangy.createStyleApplier("font-size", { tagNames: ["SPAN", "b"] });
+        t.assertFalse(applier.applyToAnyTagName);
+        t.assertArraysEquivalent(applier.tagNames, ["span", "b"]);
+
+        applier = rangy.createStyleApplier("font-size", { elementTagName: "em" });
+        t.assertArraysEquivalent(applier.tagNames, ["em"]);
+    });
+
+    s.test("Class applier methods that take no value are not inherited", function(t) {
+        var applier = rangy.createStyleApplier("font-size");
+        t.assertFalse(applier instanceof rangy.ClassApplier);
+        t.assertEquals(typeof applier.getStateForRange, "undefined");
+        t.assertEquals(typeof applier.getElementsWithClassIntersectingRange, "undefined");
+    });
+
+    s.test("Invalid value", function(t) {
+        var applier = rangy.createStyleApplier("font-size");
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "abcd";
+        var range = rangy.createRange();
+        range.selectNodeContents(testEl);
+        t.assertError(function() {
+            applier.applyToRange(range, "banana");
+        });
+    });
 }, false);
@@ -50,4 +50,86 @@ xn.test.suite("Browser feature tests", function(s) {
     s.test("Collapsed non-editable selections support", function(t) {
         t.assertEquals(rangy.features.collapsedNonEditableSelectionsSupported, !isOpera);
     });
+
+    s.test("Bound to the global window and document", function(t) {
+        t.assert(rangy.win === window);
+        t.assert(rangy.doc === document);
+    });
+
+    // Loads uninitialized copies of the scripts into a new iframe so that they can be bound to a different window
+    function loadScriptsIntoIframe(scriptUrls, callback) {
+        var iframe = document.body.appendChild(document.createElement("iframe"));
+        var win = iframe.contentWindow, doc = win.document, link = document.createElement("a"), i = 0;
+        win.rangyAutoInitialize = false;
+
+        function loadNextScript() {
+            if (i < scriptUrls.length) {
+                var script = doc.createElement("script");
+                script.onload = loadNextScript;
+                link.href = scriptUrls[i++];
+                script.src = link.href;
+                doc.getElementsByTagName("head")[0].appendChild(script);
+            } else {
+                callback(win.rangy, iframe);
+            }
+        }
+        loadNextScript();
+    }
+
+    var coreScriptUrls = ["../external/log4javascript.js", "../src/core/core.js", "../src/core/dom.js",
+        "../src/core/domrange.js", "../src/core/wrappedrange.js"];
+
+    s.test("Initialize against a supplied window", function(t) {
+        t.async(5000);
+        var targetIframe = document.body.appendChild(document.createElement("iframe"));
+        var targetWin = targetIframe.contentWindow, targetDoc = targetWin.document;
+        targetDoc.open();
+        targetDoc.write("<html><body><p>one <b>two</b></p></body></html>");
+        targetDoc.close();
+
+        loadScriptsIntoIframe(coreScriptUrls.concat("../src/core/wrappedselection.js"), function(iframeRangy, iframe) {
+            iframeRangy.init(targetWin);
+            t.assert(iframeRangy.initialized);
+            t.assert(iframeRangy.win === targetWin);
+            t.assert(iframeRangy.doc === targetDoc);
+
+            var range = iframeRangy.createRange();
+            t.assertEquals(range.startContainer, targetDoc);
+            range.selectNodeContents(targetDoc.body);
+            t.assertEquals(range.toString(), "one two");
+            t.assertEquals(iframeRangy.getSelection().win, targetWin);
+
+            document.body.removeChild(iframe);
+            document.body.removeChild(targetIframe);
+            t.succeed();
+        });
+    });
+
+    s.test("Initialize against a window without computed styles", function(t) {
+        t.async(5000);
+        var targetDoc = document.implementation.createHTMLDocument("");
+        targetDoc.body.innerHTML = '<p>one <span style="display: none">two</span></p>';
+
+        loadScriptsIntoIframe(coreScriptUrls, function(iframeRangy, iframe) {
+            // A window-like object with no getComputedStyle() method, as in DOM implementations without layout
+            iframeRangy.init({ document: targetDoc });
+            t.assert(iframeRangy.initialized);
+            t.assert(iframeRangy.doc === targetDoc);
+            t.assert(iframeRangy.modules.DomRange.supported);
+
+            var span = targetDoc.getElementsByTagName("span")[0];
+            var getComputedStyleProperty = iframeRangy.dom.getComputedStyleProperty;
+            t.assertEquals(getComputedStyleProperty(span, "display"), "none");
+            t.assertEquals(getComputedStyleProperty(span.parentNode, "display"), "block");
+            t.assertEquals(getComputedStyleProperty(targetDoc.createElement("b"), "display"), "inline");
+            t.assertEquals(getComputedStyleProperty(span, "whiteSpace"), "normal");
+
+            var range = iframeRangy.createRange();
+            range.selectNodeContents(targetDoc.body);
+            t.assertEquals(range.toString(), "one two");
+
+            document.body.removeChild(iframe);
+            t.succeed();
+        });
+    });
 }, false);
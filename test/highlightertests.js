@@ -30,4 +30,613 @@ xn.test.suite("Highlighter module tests", function(s) {
         highlighter.highlightSelection("c1", { selection: rangy.getSelection() });
     });
 
+    function createHighlighterWithListeners(events) {
+        var highlighter = rangy.createHighlighter();
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        highlighter.addClassApplier(rangy.createClassApplier("c2"));
+        rangy.util.forEach(["create", "remove", "merge", "split"], function(eventType) {
+            highlighter.addListener(eventType, function(event) {
+                events.push(event);
+            });
+        });
+        return highlighter;
+    }
+
+    function highlightCharacters(highlighter, className, start, end, options) {
+        var range = rangy.createRange();
+        range.moveToBookmark({ start: start, end: end, containerNode: document.getElementById("test") });
+        return highlighter.highlightRanges(className, [range], options);
+    }
+
+    function fireEvent(el, eventType) {
+        var event = document.createEvent("Event");
+        event.initEvent(eventType, true, true);
+        el.dispatchEvent(event);
+    }
+
+    s.test("Range touching a highlight does not intersect it", function(t) {
+        var highlighter = rangy.createHighlighter();
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three";
+        highlightCharacters(highlighter, "c1", 4, 7);
+        var span = testEl.getElementsByTagName("span")[0];
+
+        var range = rangy.createRange();
+        range.setStartAndEnd(testEl.firstChild, 0, span, 0);
+        t.assertEquals(highlighter.getIntersectingHighlights([range]).length, 0);
+
+        range.setStartAndEnd(testEl.firstChild, 0, span.firstChild, 1);
+        t.assertEquals(highlighter.getIntersectingHighlights([range]).length, 1);
+    });
+
+    s.test("create and remove events", function(t) {
+        var events = [];
+        var highlighter = createHighlighterWithListeners(events);
+        var testEl = document.getElementById("test");
+        var range = rangyTestUtils.createRangeInHtml(testEl, 'one [two] three');
+
+        var highlights = highlighter.highlightRanges("c1", [range]);
+        t.assertEquals(events.length, 1);
+        t.assertEquals(events[0].type, "create");
+        t.assertEquals(events[0].highlight, highlights[0]);
+        t.assertEquals(events[0].highlighter, highlighter);
+
+        highlighter.removeAllHighlights();
+        t.assertEquals(events.length, 2);
+        t.assertEquals(events[1].type, "remove");
+        t.assertEquals(events[1].highlight, highlights[0]);
+    });
+
+    s.test("merge event", function(t) {
+        var events = [];
+        var highlighter = createHighlighterWithListeners(events);
+        document.getElementById("test").innerHTML = "one two three";
+        var firstHighlight = highlightCharacters(highlighter, "c1", 0, 7)[0];
+        events.length = 0;
+
+        var highlights = highlightCharacters(highlighter, "c1", 4, 13);
+        t.assertEquals(events.length, 1);
+        t.assertEquals(events[0].type, "merge");
+        t.assertEquals(events[0].highlight, highlights[0]);
+        t.assertEquals(events[0].highlight.getText(), "one two three");
+        t.assertEquals(events[0].mergedHighlights.length, 1);
+        t.assertEquals(events[0].mergedHighlights[0], firstHighlight);
+    });
+
+    s.test("split event", function(t) {
+        var events = [];
+        var highlighter = createHighlighterWithListeners(events);
+        document.getElementById("test").innerHTML = "one two three";
+        var firstHighlight = highlightCharacters(highlighter, "c1", 0, 13)[0];
+        events.length = 0;
+
+        highlightCharacters(highlighter, "c2", 4, 7);
+        t.assertEquals(events.length, 2);
+        t.assertEquals(events[0].type, "split");
+        t.assertEquals(events[0].highlight, firstHighlight);
+        t.assertEquals(events[0].highlights.length, 2);
+        t.assertEquals(events[0].highlights[0].getText(), "one ");
+        t.assertEquals(events[0].highlights[1].getText(), " three");
+        t.assertEquals(events[1].type, "create");
+        t.assertEquals(events[1].highlight.getText(), "two");
+    });
+
+    s.test("Erasing a highlight fires remove event", function(t) {
+        var events = [];
+        var highlighter = createHighlighterWithListeners(events);
+        document.getElementById("test").innerHTML = "one two three";
+        var firstHighlight = highlightCharacters(highlighter, "c1", 4, 7)[0];
+        events.length = 0;
+
+        highlightCharacters(highlighter, null, 0, 13);
+        t.assertEquals(events.length, 1);
+        t.assertEquals(events[0].type, "remove");
+        t.assertEquals(events[0].highlight, firstHighlight);
+    });
+
+    s.test("deserialize fires events", function(t) {
+        var events = [];
+        var highlighter = createHighlighterWithListeners(events);
+        document.getElementById("test").innerHTML = "one two three";
+        highlightCharacters(highlighter, "c1", 4, 7);
+        var serialized = highlighter.serialize();
+        highlighter.removeAllHighlights();
+        events.length = 0;
+
+        highlighter.deserialize(serialized);
+        t.assertEquals(events.length, 1);
+        t.assertEquals(events[0].type, "create");
+        t.assertEquals(events[0].highlight.getText(), "two");
+    });
+
+    s.test("removeListener test", function(t) {
+        var highlighter = rangy.createHighlighter(), count = 0;
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        var listener = function() {
+            ++count;
+        };
+        highlighter.addListener("create", listener);
+        highlighter.removeListener("create", listener);
+        document.getElementById("test").innerHTML = "one two three";
+        highlightCharacters(highlighter, "c1", 4, 7);
+        t.assertEquals(count, 0);
+    });
+
+    s.test("Invalid event type test", function(t) {
+        var highlighter = rangy.createHighlighter();
+        t.assertError(function() {
+            highlighter.addListener("foo", function() {});
+        });
+    });
+
+    s.test("Interaction events test", function(t) {
+        var highlighter = rangy.createHighlighter(), events = [];
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        rangy.util.forEach(["click", "hover", "focus"], function(eventType) {
+            highlighter.addListener(eventType, function(event) {
+                events.push(event);
+            });
+        });
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one <b>two</b> three";
+        var highlight = highlightCharacters(highlighter, "c1", 2, 9)[0];
+        var highlightEls = highlight.getHighlightElements();
+
+        fireEvent(highlightEls[1], "click");
+        fireEvent(highlightEls[0], "mouseover");
+        fireEvent(highlightEls[2], "focusin");
+        fireEvent(testEl, "click");
+        highlighter.detach();
+        fireEvent(highlightEls[0], "click");
+
+        t.assertEquals(events.length, 3);
+        t.assertEquals(events[0].type, "click");
+        t.assertEquals(events[0].highlight, highlight);
+        t.assertEquals(events[0].element, highlightEls[1]);
+        t.assertEquals(events[1].type, "hover");
+        t.assertEquals(events[2].type, "focus");
+        t.assertEquals(events[2].domEvent.type, "focusin");
+    });
+
+    s.test("Highlight data and data attributes", function(t) {
+        var highlighter = rangy.createHighlighter(document, "textContent", { dataAttributes: ["author", "note"] });
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three";
+        var highlight = highlightCharacters(highlighter, "c1", 4, 7, { data: { author: "ann", colour: "red" } })[0];
+
+        t.assertEquals(highlight.data.author, "ann");
+        var el = highlight.getHighlightElements()[0];
+        t.assertEquals(el.getAttribute("data-author"), "ann");
+        t.assertFalse(el.hasAttribute("data-colour"));
+        t.assertFalse(el.hasAttribute("data-note"));
+
+        highlight.data.note = "a note";
+        highlight.updateDataAttributes();
+        t.assertEquals(el.getAttribute("data-note"), "a note");
+
+        highlighter.removeAllHighlights();
+        t.assertEquals(testEl.innerHTML, "one two three");
+    });
+
+    s.test("Merged highlights combine data", function(t) {
+        var highlighter = rangy.createHighlighter();
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        document.getElementById("test").innerHTML = "one two three";
+        highlightCharacters(highlighter, "c1", 0, 3, { data: { author: "ann", note: "first" } });
+        highlightCharacters(highlighter, "c1", 8, 13, { data: { note: "second", colour: "red" } });
+        var highlights = highlightCharacters(highlighter, "c1", 2, 9, { data: { colour: "blue" } });
+
+        t.assertEquals(highlights.length, 1);
+        t.assertEquals(highlights[0].data.author, "ann");
+        t.assertEquals(highlights[0].data.note, "second");
+        t.assertEquals(highlights[0].data.colour, "blue");
+    });
+
+    s.test("Split highlights copy data", function(t) {
+        var highlighter = rangy.createHighlighter();
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        highlighter.addClassApplier(rangy.createClassApplier("c2"));
+        document.getElementById("test").innerHTML = "one two three";
+        var data = { note: "a note" };
+        highlightCharacters(highlighter, "c1", 0, 13, { data: data });
+        highlightCharacters(highlighter, "c2", 4, 7);
+
+        t.assertEquals(highlighter.highlights.length, 3);
+        rangy.util.forEach(highlighter.highlights, function(highlight) {
+            if (highlight.classApplier.className == "c1") {
+                t.assertEquals(highlight.data.note, "a note");
+                t.assertNotEquals(highlight.data, data);
+            } else {
+                t.assertNull(highlight.data.note || null);
+            }
+        });
+    });
+
+    s.test("Data survives serialize and deserialize", function(t) {
+        var highlighter = rangy.createHighlighter(document, "textContent", { dataAttributes: ["note"] });
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        document.getElementById("test").innerHTML = "one two three";
+        highlightCharacters(highlighter, "c1", 4, 7, { data: { note: "a$b|c", count: 2 } });
+        highlightCharacters(highlighter, "c1", 8, 13);
+        var serialized = highlighter.serialize();
+        var serializedWithText = highlighter.serialize({ serializeHighlightText: true });
+        highlighter.removeAllHighlights();
+
+        rangy.util.forEach([serialized, serializedWithText], function(serialized) {
+            highlighter.deserialize(serialized);
+            var highlights = highlighter.highlights.slice(0);
+            if (highlights[0].getText() != "two") {
+                highlights.reverse();
+            }
+            t.assertEquals(highlights.length, 2);
+            t.assertEquals(highlights[0].data.note, "a$b|c");
+            t.assertEquals(highlights[0].data.count, 2);
+            t.assertEquals(highlights[0].getHighlightElements()[0].getAttribute("data-note"), "a$b|c");
+            t.assertFalse(highlights[1].data.hasOwnProperty("note"));
+            highlighter.removeAllHighlights();
+        });
+        t.assertEquals(document.getElementById("test").innerHTML, "one two three");
+    });
+
+    s.test("JSON serialization", function(t) {
+        var highlighter = rangy.createHighlighter();
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one a$b|c three";
+        var highlight = highlightCharacters(highlighter, "c1", 4, 9, { data: { note: "a note" } })[0];
+
+        var serialized = highlighter.serialize({ format: "json", serializeHighlightText: true });
+        var parsed = JSON.parse(serialized);
+        t.assertEquals(parsed.format, "rangy-highlights");
+        t.assertEquals(parsed.version, 1);
+        t.assertEquals(parsed.type, "textContent");
+        t.assertEquals(parsed.highlights.length, 1);
+        t.assertEquals(parsed.highlights[0].id, highlight.id);
+        t.assertEquals(parsed.highlights[0].className, "c1");
+        t.assertEquals(parsed.highlights[0].text, "a$b|c");
+        t.assertEquals(parsed.highlights[0].data.note, "a note");
+        t.assert(/^[0-9a-f]{8}$/.test(parsed.highlights[0].checksum));
+
+        highlighter.removeAllHighlights();
+        highlighter.deserialize(serialized);
+        t.assertEquals(highlighter.highlights.length, 1);
+        t.assertEquals(highlighter.highlights[0].getText(), "a$b|c");
+        t.assertEquals(highlighter.highlights[0].data.note, "a note");
+
+        highlighter.removeAllHighlights();
+        highlighter.deserialize(parsed);
+        t.assertEquals(highlighter.highlights[0].id, highlight.id);
+    });
+
+    s.test("String serialization is migrated", function(t) {
+        var highlighter = rangy.createHighlighter();
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        document.getElementById("test").innerHTML = "one two three";
+        highlightCharacters(highlighter, "c1", 4, 7, { data: { note: "a note" } });
+        var serialized = highlighter.serialize({ serializeHighlightText: true });
+        t.assertEquals(serialized.indexOf("type:textContent|"), 0);
+        highlighter.removeAllHighlights();
+
+        highlighter.deserialize(serialized);
+        t.assertEquals(highlighter.highlights.length, 1);
+        t.assertEquals(highlighter.highlights[0].getText(), "two");
+        t.assertEquals(highlighter.highlights[0].data.note, "a note");
+    });
+
+    s.test("String serialization with separators in the text", function(t) {
+        var highlighter = rangy.createHighlighter();
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        document.getElementById("test").innerHTML = "price $5 each";
+        highlightCharacters(highlighter, "c1", 0, 8);
+        var serialized = highlighter.serialize({ serializeHighlightText: true });
+        highlighter.removeAllHighlights();
+
+        highlighter.deserialize(serialized);
+        t.assertEquals(highlighter.highlights.length, 1);
+        t.assertEquals(highlighter.highlights[0].getText(), "price $5");
+        t.assertFalse(highlighter.highlights[0].data.hasOwnProperty("5"));
+        highlighter.removeAllHighlights();
+
+        highlightCharacters(highlighter, "c1", 0, 8, { data: { note: "a note" } });
+        serialized = highlighter.serialize({ serializeHighlightText: true });
+        highlighter.removeAllHighlights();
+
+        highlighter.deserialize(serialized);
+        t.assertEquals(highlighter.highlights[0].getText(), "price $5");
+        t.assertEquals(highlighter.highlights[0].data.note, "a note");
+        highlighter.removeAllHighlights();
+
+        // The text is added to a string serialized without it, such as "type:textContent|0$8$1$c1$$cost $x y"
+        document.getElementById("test").innerHTML = "cost $x y";
+        highlightCharacters(highlighter, "c1", 0, 8);
+        serialized = highlighter.serialize() + "$cost $x y";
+        highlighter.removeAllHighlights();
+
+        highlighter.deserialize(serialized);
+        t.assertEquals(highlighter.highlights.length, 1);
+        t.assertEquals(highlighter.highlights[0].getText(), "cost $x ");
+    });
+
+    s.test("Rangy 1.3 serialization with text is migrated", function(t) {
+        var highlighter = rangy.createHighlighter();
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        document.getElementById("test").innerHTML = "pay $%7Bamount now";
+        var highlight = highlightCharacters(highlighter, "c1", 0, 14)[0];
+
+        // Rangy 1.3 appended the text of each highlight as it was, with no data
+        var serialized = highlighter.serialize() + "$" + highlight.getText();
+        t.assertEquals(highlight.getText(), "pay $%7Bamount");
+        highlighter.removeAllHighlights();
+
+        highlighter.deserialize(serialized);
+        t.assertEquals(highlighter.highlights.length, 1);
+        t.assertEquals(highlighter.highlights[0].getText(), "pay $%7Bamount");
+        t.assertEquals(highlighter.highlights[0].id, highlight.id);
+        t.assertFalse(highlighter.highlights[0].data.hasOwnProperty("amount"));
+    });
+
+    s.test("Checksum mismatch", function(t) {
+        var highlighter = rangy.createHighlighter();
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three";
+        highlightCharacters(highlighter, "c1", 4, 7);
+        var serialized = highlighter.serialize({ format: "json" });
+        highlighter.removeAllHighlights();
+        testEl.innerHTML = "one too three";
+
+        t.assertError(function() {
+            highlighter.deserialize(serialized);
+        });
+        highlighter.deserialize(serialized, { onChecksumMismatch: "skip" });
+        t.assertEquals(highlighter.highlights.length, 0);
+        highlighter.deserialize(serialized, { onChecksumMismatch: "ignore" });
+        t.assertEquals(highlighter.highlights.length, 1);
+        t.assertEquals(highlighter.highlights[0].getText(), "too");
+    });
+
+    s.test("Quotes are serialized", function(t) {
+        var highlighter = rangy.createHighlighter();
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three";
+        highlightCharacters(highlighter, "c1", 4, 7, { containerElement: testEl });
+
+        var parsed = JSON.parse(highlighter.serialize({ format: "json" }));
+        t.assertFalse("quote" in parsed.highlights[0]);
+
+        parsed = JSON.parse(highlighter.serialize({ format: "json", serializeQuote: true, quoteContextLength: 3 }));
+        var quote = parsed.highlights[0].quote;
+        t.assertEquals(quote.exact, "two");
+        t.assertEquals(quote.suffix, " th");
+        t.assertEquals(quote.prefix, "ne ");
+    });
+
+    s.test("Re-anchoring highlights after the text has changed", function(t) {
+        var highlighter = rangy.createHighlighter();
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "The quick brown fox jumps over the lazy dog. The end.";
+        var options = { containerElement: testEl };
+        var quick = highlightCharacters(highlighter, "c1", 4, 9, options)[0];
+        var fox = highlightCharacters(highlighter, "c1", 16, 19, options)[0];
+        var jumps = highlightCharacters(highlighter, "c1", 20, 25, options)[0];
+        var lazy = highlightCharacters(highlighter, "c1", 35, 39, options)[0];
+        var serialized = highlighter.serialize({ format: "json", serializeQuote: true });
+        highlighter.removeAllHighlights();
+
+        // "quick" is unchanged and still in place, "fox" has moved, "jumps" has been edited and "lazy" has gone
+        testEl.innerHTML = "The quick red fox jumped over the sleepy dog. The end.";
+        var results = highlighter.deserialize(serialized);
+        var resultsById = {};
+        rangy.util.forEach(results, function(result) {
+            resultsById[result.id] = result;
+        });
+
+        t.assertEquals(results.length, 4);
+        t.assertEquals(resultsById[quick.id].status, "anchored");
+        t.assertEquals(resultsById[quick.id].highlight.getText(), "quick");
+        t.assertEquals(resultsById[fox.id].status, "moved");
+        t.assertEquals(resultsById[fox.id].highlight.getText(), "fox");
+        t.assertEquals(resultsById[jumps.id].status, "moved");
+        t.assertEquals(resultsById[jumps.id].highlight.getText(), "jumpe");
+        t.assertEquals(resultsById[lazy.id].status, "orphaned");
+        t.assertNull(resultsById[lazy.id].highlight);
+        t.assertEquals(highlighter.highlights.length, 3);
+    });
+
+    s.test("Re-anchoring prefers the occurrence matching the context", function(t) {
+        var highlighter = rangy.createHighlighter();
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three two four";
+        highlightCharacters(highlighter, "c1", 14, 17, { containerElement: testEl });
+        var serialized = highlighter.serialize({ format: "json", serializeQuote: true });
+        highlighter.removeAllHighlights();
+
+        testEl.innerHTML = "two one two three two four";
+        var results = highlighter.deserialize(serialized);
+        t.assertEquals(results[0].status, "moved");
+        t.assertEquals(results[0].highlight.characterRange.start, highlighter.highlights[0].characterRange.start);
+        t.assertEquals(testEl.getElementsByTagName("span")[0].previousSibling.data, "two one two three ");
+    });
+
+    s.test("Re-anchoring with no error budget", function(t) {
+        var highlighter = rangy.createHighlighter();
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three";
+        highlightCharacters(highlighter, "c1", 8, 13, { containerElement: testEl });
+        var serialized = highlighter.serialize({ format: "json", serializeQuote: true });
+        highlighter.removeAllHighlights();
+
+        testEl.innerHTML = "one two thr33";
+        t.assertEquals(highlighter.deserialize(serialized, { errorBudget: 0 })[0].status, "orphaned");
+        t.assertEquals(highlighter.deserialize(serialized, { errorBudget: 0.5 })[0].status, "moved");
+        t.assertEquals(highlighter.highlights[0].getText(), "thr33");
+    });
+
+    s.test("Re-anchoring searches for approximate matches near the original position first", function(t) {
+        var highlighter = rangy.createHighlighter();
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        var testEl = document.getElementById("test");
+        var filler = new Array(61).join("-");
+        testEl.innerHTML = "abcdefghij" + filler;
+        highlightCharacters(highlighter, "c1", 0, 10, { containerElement: testEl });
+        var serialized = highlighter.serialize({ format: "json", serializeQuote: true });
+        highlighter.removeAllHighlights();
+
+        // The closer match has more errors than the distant one
+        testEl.innerHTML = "abXdeYghij" + filler + "abcdeZghij";
+        t.assertEquals(highlighter.deserialize(serialized)[0].status, "moved");
+        t.assertEquals(highlighter.highlights[0].getText(), "abXdeYghij");
+        highlighter.removeAllHighlights();
+
+        testEl.innerHTML = filler + "abcdeZghij";
+        t.assertEquals(highlighter.deserialize(serialized)[0].status, "moved");
+        t.assertEquals(highlighter.highlights[0].getText(), "abcdeZghij");
+    });
+
+    s.test("Invalid serialization", function(t) {
+        var highlighter = rangy.createHighlighter();
+        t.assertError(function() {
+            highlighter.serialize({ format: "xml" });
+        });
+        t.assertError(function() {
+            highlighter.deserialize("{}");
+        });
+        t.assertError(function() {
+            highlighter.deserialize("not serialized");
+        });
+        t.assertError(function() {
+            highlighter.deserialize({ format: "rangy-highlights", version: 99, type: "textContent", highlights: [] });
+        });
+    });
+
+    s.test("Web Annotations export and import", function(t) {
+        var highlighter = rangy.createHighlighter();
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three two";
+        var highlight = highlightCharacters(highlighter, "c1", 14, 17, {
+            containerElement: testEl,
+            data: { note: "a note" }
+        })[0];
+
+        var annotations = highlighter.exportAnnotations({ source: "http://example.com/" });
+        t.assertEquals(annotations.length, 1);
+        t.assertEquals(annotations[0].type, "Annotation");
+        t.assertEquals(annotations[0].id, "urn:x-rangy-highlight:" + highlight.id);
+        t.assertEquals(annotations[0].target.source, "http://example.com/");
+        t.assertEquals(annotations[0].target.styleClass, "c1");
+        t.assertEquals(annotations[0].target.selector.length, 3);
+        t.assertEquals(annotations[0].target.selector[0].value, "#test");
+        t.assertEquals(annotations[0].target.selector[0].refinedBy.exact, "two");
+        t.assertEquals(annotations[0].body.format, "application/json");
+
+        // The positional selectors no longer match, so the quote is used
+        highlighter.removeAllHighlights();
+        testEl.innerHTML = "zero one two three <b>two</b>";
+        var highlights = highlighter.importAnnotations(annotations);
+        t.assertEquals(highlights.length, 1);
+        t.assertEquals(highlights[0].containerElementId, "test");
+        t.assertEquals(highlights[0].getText(), "two");
+        t.assertEquals(highlights[0].data.note, "a note");
+        t.assert(highlighter.getHighlightForElement(testEl.lastChild.firstChild) === highlights[0]);
+    });
+
+    s.test("Web Annotations with container element", function(t) {
+        var highlighter = rangy.createHighlighter();
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = '<p>one two</p><p id="annotated">one two</p>';
+        var containerElement = document.getElementById("annotated");
+        var range = rangy.createRange();
+        range.setStartAndEnd(containerElement.firstChild, 4, 7);
+        highlighter.highlightRanges("c1", [range], { containerElement: containerElement });
+
+        var annotations = highlighter.exportAnnotations({ selectorTypes: ["TextQuoteSelector"] });
+        var selector = annotations[0].target.selector[0];
+        t.assertEquals(selector.type, "CssSelector");
+        t.assertEquals(selector.value, "#annotated");
+        t.assertEquals(selector.refinedBy.type, "TextQuoteSelector");
+
+        highlighter.removeAllHighlights();
+        var highlights = highlighter.importAnnotations(annotations);
+        t.assertEquals(highlights.length, 1);
+        t.assertEquals(highlights[0].containerElementId, "annotated");
+        t.assertEquals(highlights[0].characterRange.start, 4);
+    });
+
+    s.test("Web Annotations import from collection", function(t) {
+        var highlighter = rangy.createHighlighter();
+        highlighter.addClassApplier(rangy.createClassApplier("c1"));
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three";
+
+        // Scope the quotes to the test element so that they cannot match the text of the test page
+        function createItem(target) {
+            return { type: "Annotation", target: target };
+        }
+
+        function createQuoteTarget(exact) {
+            return {
+                selector: {
+                    type: "CssSelector",
+                    value: "#test",
+                    refinedBy: { type: "TextQuoteSelector", exact: exact }
+                }
+            };
+        }
+
+        var collection = {
+            "@context": "http://www.w3.org/ns/anno.jsonld",
+            type: "AnnotationCollection",
+            first: {
+                type: "AnnotationPage",
+                items: [
+                    createItem(createQuoteTarget("three")),
+                    createItem(createQuoteTarget("four")),
+                    createItem("http://example.com/")
+                ]
+            }
+        };
+
+        var highlights = highlighter.importAnnotations(collection, { className: "c1" });
+        t.assertEquals(highlights.length, 1);
+        t.assertEquals(highlights[0].getText(), "three");
+        t.assertEquals(highlights[0].classApplier.className, "c1");
+
+        t.assertError(function() {
+            highlighter.importAnnotations(collection);
+        });
+    });
+
+    if (rangy.features.implementsShadowDom) {
+        s.test("Highlight and serialize within shadow root", function(t) {
+            var testEl = document.getElementById("test");
+            var shadowRoot = testEl.appendChild(document.createElement("div")).attachShadow({ mode: "open" });
+            shadowRoot.innerHTML = "one <b>two</b> three";
+
+            var applier = rangy.createClassApplier("c1");
+            var highlighter = rangy.createHighlighter(shadowRoot);
+            highlighter.addClassApplier(applier);
+
+            var range = rangy.createRange(shadowRoot);
+            range.setStartAndEnd(shadowRoot.firstChild, 1, shadowRoot.lastChild, 2);
+            highlighter.highlightRanges("c1", [range]);
+            t.assertEquals(shadowRoot.innerHTML, 'o<span class="c1">ne </span><b><span class="c1">two</span></b><span class="c1"> t</span>hree');
+
+            var serialized = highlighter.serialize();
+            t.assertEquals(serialized, "type:textContent|1$9$" + highlighter.highlights[0].id + "$c1$");
+            highlighter.removeAllHighlights();
+            t.assertEquals(shadowRoot.innerHTML, "one <b>two</b> three");
+
+            highlighter.deserialize(serialized);
+            t.assertEquals(highlighter.highlights[0].getText(), "ne two t");
+        });
+    }
+
 }, false);
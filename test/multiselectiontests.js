@@ -0,0 +1,140 @@
+xn.test.suite("Multiple selection module tests", function(s) {
+    var multiSel;
+
+    s.setUp = function() {
+        multiSel = rangy.getMultiSelection(window, { trackInteraction: false });
+    };
+
+    s.tearDown = function() {
+        multiSel.detach();
+        rangy.getSelection().removeAllRanges();
+        document.getElementById("test").innerHTML = "";
+    };
+
+    function createRanges(textNode, offsets) {
+        var ranges = [];
+        for (var i = 0; i < offsets.length; i += 2) {
+            var range = rangy.createRange();
+            range.setStartAndEnd(textNode, offsets[i], offsets[i + 1]);
+            ranges.push(range);
+        }
+        return ranges;
+    }
+
+    s.test("setRanges test", function(t) {
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three four";
+        multiSel.setRanges(createRanges(testEl.firstChild, [0, 3, 8, 13, 14, 18]));
+
+        t.assertEquals(multiSel.rangeCount, 3);
+        t.assertEquals(testEl.getElementsByTagName("span").length, 2);
+        t.assertEquals(testEl.getElementsByTagName("span")[0].className, "rangy-secondary-selection");
+        t.assertEquals(rangy.getSelection().toString(), "four");
+        t.assertEquals(multiSel.getPrimaryRange().toString(), "four");
+    });
+
+    s.test("setRanges with primary index test", function(t) {
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three four";
+        multiSel.setRanges(createRanges(testEl.firstChild, [0, 3, 8, 13, 14, 18]), 0);
+
+        t.assertEquals(rangy.getSelection().toString(), "one");
+    });
+
+    s.test("getAllRanges, toString and toHtml test", function(t) {
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one <b>two</b> three";
+        var ranges = createRanges(testEl.lastChild, [1, 6]);
+        ranges[1] = rangy.createRange();
+        ranges[1].setStartAndEnd(testEl.firstChild, 2, testEl.childNodes[1].firstChild, 1);
+        multiSel.setRanges(ranges);
+
+        var allRanges = multiSel.getAllRanges();
+        t.assertEquals(allRanges.length, 2);
+        t.assertEquals(allRanges[0].toString(), "e t");
+        t.assertEquals(allRanges[1].toString(), "three");
+        t.assertEquals(multiSel.getRangeAt(1).toString(), "three");
+        t.assertEquals(multiSel.toString(), "e tthree");
+        t.assertEquals(multiSel.toHtml(), "e <b>t</b>three");
+    });
+
+    s.test("addRange test", function(t) {
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three";
+        var ranges = createRanges(testEl.firstChild, [0, 3, 4, 7]);
+        multiSel.setRanges([ranges[0]]);
+        multiSel.addRange(ranges[1]);
+
+        t.assertEquals(multiSel.rangeCount, 2);
+        t.assertEquals(multiSel.toString(), "onetwo");
+        t.assertEquals(rangy.getSelection().toString(), "two");
+        t.assertEquals(testEl.getElementsByTagName("span")[0].innerHTML, "one");
+    });
+
+    s.test("removeRange promotes a secondary range test", function(t) {
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three";
+        multiSel.setRanges(createRanges(testEl.firstChild, [0, 3, 4, 7, 8, 13]));
+        multiSel.removeRange(multiSel.getPrimaryRange());
+
+        t.assertEquals(multiSel.rangeCount, 2);
+        t.assertEquals(rangy.getSelection().toString(), "two");
+        t.assertEquals(testEl.getElementsByTagName("span").length, 1);
+
+        multiSel.removeRange(multiSel.getRangeAt(0));
+        t.assertEquals(multiSel.rangeCount, 1);
+        t.assertEquals(testEl.innerHTML, "one two three");
+    });
+
+    s.test("collapseToPrimary and removeAllRanges test", function(t) {
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three";
+        multiSel.setRanges(createRanges(testEl.firstChild, [0, 3, 4, 7, 8, 13]));
+        multiSel.collapseToPrimary();
+
+        t.assertEquals(multiSel.rangeCount, 1);
+        t.assertEquals(multiSel.toString(), "three");
+        t.assertEquals(testEl.getElementsByTagName("span").length, 0);
+
+        multiSel.removeAllRanges();
+        t.assertEquals(multiSel.rangeCount, 0);
+        t.assertEquals(multiSel.toString(), "");
+    });
+
+    s.test("Secondary range overlapped by the primary range is removed test", function(t) {
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three";
+        multiSel.setRanges(createRanges(testEl.firstChild, [0, 3, 8, 13]));
+        var range = rangy.createRange();
+        range.selectNodeContents(testEl);
+        rangy.getSelection().setSingleRange(range);
+        multiSel.refresh();
+
+        t.assertEquals(multiSel.rangeCount, 1);
+        t.assertEquals(multiSel.toString(), "one two three");
+        t.assertEquals(testEl.getElementsByTagName("span").length, 0);
+    });
+
+    s.test("Getters do not change the DOM test", function(t) {
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three";
+        multiSel.setRanges(createRanges(testEl.firstChild, [0, 3, 8, 13]));
+        var span = testEl.getElementsByTagName("span")[0];
+        var heldRange = rangy.createRange();
+        heldRange.selectNodeContents(span);
+
+        // Select a primary range overlapping the secondary range without refreshing the multiple selection
+        var range = rangy.createRange();
+        range.setStartAndEnd(span.firstChild, 1, span.nextSibling, 4);
+        rangy.getSelection().setSingleRange(range);
+
+        t.assertEquals(multiSel.getAllRanges().length, 1);
+        t.assertEquals(multiSel.toString(), "ne two");
+        t.assertEquals(multiSel.toHtml(), "ne two");
+        t.assertEquals(testEl.getElementsByTagName("span").length, 1);
+        t.assertEquals(heldRange.toString(), "one");
+
+        multiSel.refresh();
+        t.assertEquals(testEl.getElementsByTagName("span").length, 0);
+    });
+}, false);
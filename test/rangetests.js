@@ -635,6 +635,184 @@ function testRangeCreator(docs, docName, rangeCreator, rangeCreatorName) {
             });
         }
 
+        if (testRange.subtract) {
+            s.test("subtract range from middle of range", function(t) {
+                var r1 = rangeCreator(doc);
+                r1.setStart(t.nodes.plainText, 1);
+                r1.setEnd(t.nodes.boldText, 3);
+
+                var r2 = rangeCreator(doc);
+                r2.setStart(t.nodes.plainText, 3);
+                r2.setEnd(t.nodes.boldText, 1);
+
+                var remainders = r1.subtract(r2);
+                t.assertEquals(remainders.length, 2);
+                t.assertEquals(remainders[0].toString(), "la");
+                t.assertEquals(remainders[1].toString(), "ol");
+                t.assertEquals(r1.toString(), "lainbol");
+            });
+
+            s.test("subtract overlapping range", function(t) {
+                var r1 = rangeCreator(doc);
+                r1.setStart(t.nodes.plainText, 1);
+                r1.setEnd(t.nodes.plainText, 4);
+
+                var r2 = rangeCreator(doc);
+                r2.setStart(t.nodes.plainText, 3);
+                r2.setEnd(t.nodes.boldText, 2);
+
+                var remainders = r1.subtract(r2);
+                t.assertEquals(remainders.length, 1);
+                t.assertEquals(remainders[0].toString(), "la");
+
+                remainders = r2.subtract(r1);
+                t.assertEquals(remainders.length, 1);
+                t.assertEquals(remainders[0].toString(), "nbo");
+            });
+
+            s.test("subtract containing range", function(t) {
+                var r1 = rangeCreator(doc);
+                r1.setStart(t.nodes.plainText, 1);
+                r1.setEnd(t.nodes.plainText, 4);
+
+                var r2 = rangeCreator(doc);
+                r2.selectNodeContents(t.nodes.div);
+
+                t.assertEquals(r1.subtract(r2).length, 0);
+            });
+
+            s.test("subtract touching range", function(t) {
+                var r1 = rangeCreator(doc);
+                r1.setStart(t.nodes.plainText, 1);
+                r1.setEnd(t.nodes.plainText, 3);
+
+                var r2 = rangeCreator(doc);
+                r2.setStart(t.nodes.plainText, 3);
+                r2.setEnd(t.nodes.plainText, 4);
+
+                var remainders = r1.subtract(r2);
+                t.assertEquals(remainders.length, 1);
+                t.assert(remainders[0].equals(r1));
+                t.assert(remainders[0] !== r1);
+            });
+        }
+
+        if (testRange.visuallyEquals) {
+            s.test("visuallyEquals and getCanonicalRange", function(t) {
+                var r1 = rangeCreator(doc);
+                r1.setStart(t.nodes.div, 1);
+                r1.setEnd(t.nodes.b, 1);
+
+                var r2 = rangeCreator(doc);
+                r2.setStart(t.nodes.plainText, 5);
+                r2.setEnd(t.nodes.boldText, 4);
+
+                t.assertFalse(r1.equals(r2));
+                t.assert(r1.visuallyEquals(r2));
+
+                var canonicalRange = r1.getCanonicalRange();
+                t.assert(canonicalRange.equals(r2));
+                t.assertEquals(r1.startContainer, t.nodes.div);
+
+                r2.setEnd(t.nodes.boldText, 3);
+                t.assertFalse(r1.visuallyEquals(r2));
+            });
+        }
+
+        if (testRange.restrict) {
+            s.test("restrict range overlapping node", function(t) {
+                var range = rangeCreator(doc);
+                range.setStart(t.nodes.plainText, 2);
+                range.setEnd(t.nodes.div2Text, 1);
+
+                t.assertEquals(range.restrict(t.nodes.b), range);
+                t.assertEquals(range.startContainer, t.nodes.b);
+                t.assertEquals(range.startOffset, 0);
+                t.assertEquals(range.endContainer, t.nodes.b);
+                t.assertEquals(range.endOffset, 2);
+
+                range.setStart(t.nodes.boldText, 1);
+                range.restrict(t.nodes.b);
+                t.assertEquals(range.startContainer, t.nodes.boldText);
+                t.assertEquals(range.startOffset, 1);
+            });
+
+            s.test("restrict range not overlapping node", function(t) {
+                var range = rangeCreator(doc);
+                range.setStart(t.nodes.plainText, 1);
+                range.setEnd(t.nodes.plainText, 3);
+
+                t.assertNull(range.restrict(t.nodes.b));
+                t.assertEquals(range.startContainer, t.nodes.plainText);
+                t.assertEquals(range.startOffset, 1);
+
+                t.assertEquals(range.restrict(t.nodes.b, true), range);
+                t.assert(range.collapsed);
+                t.assertEquals(range.startContainer, t.nodes.b);
+                t.assertEquals(range.startOffset, 0);
+
+                range.selectNodeContents(t.nodes.div2);
+                range.restrict(t.nodes.b, true);
+                t.assert(range.collapsed);
+                t.assertEquals(range.startContainer, t.nodes.b);
+                t.assertEquals(range.startOffset, 2);
+            });
+        }
+
+        if (testRange.createTextSegmentIterator) {
+            s.test("createTextSegmentIterator", function(t) {
+                var range = rangeCreator(doc);
+                range.setStart(t.nodes.plainText, 2);
+                range.setEnd(t.nodes.boldAndItalicText, 4);
+
+                var it = range.createTextSegmentIterator(), segment, segments = [];
+                while ( (segment = it.next()) ) {
+                    segments.push(segment);
+                }
+                t.assertFalse(it.hasNext());
+                t.assertEquals(segments.length, 3);
+                t.assertEquals(segments[0].node, t.nodes.plainText);
+                t.assertEquals(segments[0].startOffset, 2);
+                t.assertEquals(segments[0].endOffset, 5);
+                t.assertEquals(segments[1].getText(), "bold");
+                t.assertEquals(segments[2].node, t.nodes.boldAndItalicText);
+                t.assertEquals(segments[2].startOffset, 0);
+                t.assertEquals(segments[2].endOffset, 4);
+                t.assertEquals(segments[2].getText(), "bold");
+            });
+
+            s.test("getTextSegments excludes empty segments and filtered nodes", function(t) {
+                var range = rangeCreator(doc);
+                range.setStart(t.nodes.plainText, 5);
+                range.setEnd(t.nodes.div2Text, 0);
+                var segments = range.getTextSegments();
+                t.assertEquals(segments.length, 2);
+                t.assertEquals(segments[0].node, t.nodes.boldText);
+
+                segments = range.getTextSegments({
+                    filter: function(textNode) {
+                        return textNode !== t.nodes.boldText;
+                    }
+                });
+                t.assertEquals(segments.length, 1);
+                t.assertEquals(segments[0].node, t.nodes.boldAndItalicText);
+            });
+
+            s.test("Modifying the DOM while iterating text segments", function(t) {
+                var range = rangeCreator(doc);
+                range.setStart(t.nodes.plainText, 1);
+                range.setEnd(t.nodes.boldText, 2);
+
+                var it = range.createTextSegmentIterator(), segment, wrapper, wrapped = [];
+                while ( (segment = it.next()) ) {
+                    wrapper = doc.createElement("u");
+                    segment.toRange().surroundContents(wrapper);
+                    wrapped.push(wrapper.innerHTML);
+                }
+                t.assertArraysEquivalent(wrapped, ["lain", "bo"]);
+            });
+        }
+
         if (testRange.containsNodeText) {
             s.test("containsNodeText on node with text", function(t) {
                 var range = rangeCreator(doc);
@@ -1680,4 +1858,317 @@ xn.test.suite("Range miscellaneous", function(s) {
         range = rangy.createRange(iframeEl.parentNode);
         testRangeDoc(t, range, document);
     });
-}, false);
\ No newline at end of file
+}, false);
+xn.test.suite("Range sets", function(s) {
+    s.setUp = function(t) {
+        t.el = document.body.appendChild(document.createElement("div"));
+        t.el.innerHTML = "0123456789";
+        t.textNode = t.el.firstChild;
+    };
+
+    s.tearDown = function(t) {
+        document.body.removeChild(t.el);
+    };
+
+    function createRanges(textNode, offsets) {
+        var ranges = [];
+        for (var i = 0; i < offsets.length; i += 2) {
+            var range = rangy.createRange();
+            range.setStartAndEnd(textNode, offsets[i], offsets[i + 1]);
+            ranges.push(range);
+        }
+        return ranges;
+    }
+
+    function getRangeTexts(rangeSet) {
+        var texts = [];
+        rangeSet.each(function(range) {
+            texts.push(range.toString());
+        });
+        return texts.join(",");
+    }
+
+    s.test("Ranges are sorted, merged and collapsed ranges discarded", function(t) {
+        var rangeSet = rangy.createRangeSet( createRanges(t.textNode, [6, 8, 0, 2, 1, 3, 3, 4, 5, 5]) );
+        t.assertEquals(rangeSet.rangeCount, 2);
+        t.assertEquals(getRangeTexts(rangeSet), "0123,67");
+        t.assert(rangeSet instanceof rangy.RangeSet);
+    });
+
+    s.test("Single range and empty set", function(t) {
+        var range = createRanges(t.textNode, [2, 4])[0];
+        var rangeSet = rangy.createRangeSet(range);
+        t.assertEquals(rangeSet.rangeCount, 1);
+        t.assert(rangeSet.getRangeAt(0).equals(range));
+        t.assert(rangeSet.getRangeAt(0) !== range);
+        t.assert(rangy.createRangeSet().isEmpty());
+    });
+
+    s.test("Union", function(t) {
+        var rangeSet = rangy.createRangeSet( createRanges(t.textNode, [0, 2, 6, 8]) );
+        var union = rangeSet.union( createRanges(t.textNode, [1, 3, 8, 9]) );
+        t.assertEquals(getRangeTexts(union), "012,678");
+        t.assertEquals(getRangeTexts(rangeSet), "01,67");
+    });
+
+    s.test("Intersection", function(t) {
+        var rangeSet = rangy.createRangeSet( createRanges(t.textNode, [0, 4, 6, 9]) );
+        var other = rangy.createRangeSet( createRanges(t.textNode, [2, 7, 8, 10]) );
+        t.assertEquals(getRangeTexts(rangeSet.intersection(other)), "23,6,8");
+        t.assert(rangeSet.intersection( createRanges(t.textNode, [4, 6]) ).isEmpty());
+    });
+
+    s.test("Difference", function(t) {
+        var rangeSet = rangy.createRangeSet( createRanges(t.textNode, [0, 10]) );
+        var difference = rangeSet.difference( createRanges(t.textNode, [2, 3, 5, 7, 9, 10]) );
+        t.assertEquals(getRangeTexts(difference), "01,34,78");
+        t.assert(rangeSet.difference(rangeSet).isEmpty());
+    });
+
+    s.test("Equality and containment", function(t) {
+        var rangeSet = rangy.createRangeSet( createRanges(t.textNode, [0, 2, 2, 5]) );
+        t.assert(rangeSet.equals( createRanges(t.textNode, [0, 5]) ));
+        t.assertFalse(rangeSet.equals( createRanges(t.textNode, [0, 4]) ));
+        t.assert(rangeSet.containsRange( createRanges(t.textNode, [1, 3])[0] ));
+        t.assertFalse(rangeSet.containsRange( createRanges(t.textNode, [4, 6])[0] ));
+    });
+
+    if (rangy.features.implementsDomRange) {
+        s.test("Native ranges", function(t) {
+            var range1 = document.createRange(), range2 = document.createRange();
+            range1.setStart(t.textNode, 0);
+            range1.setEnd(t.textNode, 2);
+            range2.setStart(t.textNode, 1);
+            range2.setEnd(t.textNode, 4);
+            var rangeSet = rangy.createRangeSet([range2, range1]);
+            t.assertEquals(getRangeTexts(rangeSet), "0123");
+            t.assertEquals(getRangeTexts(rangeSet.difference(range2)), "0");
+        });
+    }
+}, false);
+
+xn.test.suite("DOM positions", function(s) {
+    var dom = rangy.dom;
+
+    s.test("getCanonicalPosition", function(t) {
+        var div = document.createElement("div");
+        div.innerHTML = "<p>x<b>one</b>two<!--c--><i></i>three<img>four</p><p>five</p>";
+        var p = div.firstChild, b = p.childNodes[1], one = b.firstChild, two = p.childNodes[2];
+        var three = p.childNodes[5], four = p.childNodes[7];
+
+        function testPosition(pos, node, offset) {
+            t.assertEquals(pos.node, node);
+            t.assertEquals(pos.offset, offset);
+        }
+
+        testPosition(dom.getCanonicalPosition(one, 3), one, 3);
+        testPosition(dom.getCanonicalPosition(b, 1), one, 3);
+        testPosition(dom.getCanonicalPosition(p, 2), one, 3);
+        testPosition(dom.getCanonicalPosition(two, 0), one, 3);
+        testPosition(dom.getCanonicalPosition(b, 1, true), two, 0);
+        testPosition(dom.getCanonicalPosition(three, 0), two, 3);
+        testPosition(dom.getCanonicalPosition(four, 0), four, 0);
+        testPosition(dom.getCanonicalPosition(p, 0), p.firstChild, 0);
+        testPosition(dom.getCanonicalPosition(div, 1), div, 1);
+
+        t.assert(dom.positionsVisuallyEqual(p, 3, three, 0));
+        t.assertFalse(dom.positionsVisuallyEqual(three, 5, four, 0));
+    });
+
+    s.test("DomPosition navigation", function(t) {
+        var DomPosition = dom.DomPosition;
+        var div = document.createElement("div");
+        div.innerHTML = "ab<b>c</b><br>d";
+        var ab = div.firstChild, b = div.childNodes[1], c = b.firstChild, br = div.childNodes[2], d = div.lastChild;
+
+        var pos = new DomPosition(ab, 2);
+        t.assert(pos.nextBoundary().equals( new DomPosition(div, 1) ));
+        t.assert(pos.previousBoundary().equals( new DomPosition(ab, 1) ));
+        t.assert(new DomPosition(div, 1).nextBoundary().equals( new DomPosition(b, 0) ));
+        t.assert(new DomPosition(b, 0).previousBoundary().equals( new DomPosition(div, 1) ));
+        t.assertNull(new DomPosition(div, 4).nextBoundary());
+
+        t.assert(pos.nextTextPosition().equals( new DomPosition(c, 0) ));
+        t.assert(new DomPosition(c, 1).nextTextPosition().equals( new DomPosition(d, 0) ));
+        t.assert(new DomPosition(c, 1).nextLeafPosition().equals( new DomPosition(br, 0) ));
+        t.assert(new DomPosition(d, 0).previousTextPosition().equals( new DomPosition(c, 1) ));
+        t.assertNull(new DomPosition(ab, 0).previousTextPosition());
+    });
+
+    s.test("DomPosition comparison and conversion", function(t) {
+        var DomPosition = dom.DomPosition;
+        var div = document.createElement("div");
+        div.innerHTML = "ab<b>c</b>";
+        var ab = div.firstChild, b = div.lastChild, c = b.firstChild;
+
+        t.assertEquals(new DomPosition(ab, 1).compareTo( new DomPosition(c, 0) ), -1);
+        t.assertEquals(new DomPosition(div, 2).compareTo( new DomPosition(c, 1) ), 1);
+        t.assert(new DomPosition(ab, 1).isBefore( new DomPosition(ab, 2) ));
+        t.assert(new DomPosition(c, 0).isAfter( new DomPosition(div, 1) ));
+        t.assertFalse(new DomPosition(c, 0).isAfter( new DomPosition(c, 0) ));
+        t.assert(new DomPosition(c, 0).isInside(b));
+        t.assert(new DomPosition(b, 0).isInside(b));
+        t.assertFalse(new DomPosition(div, 1).isInside(b));
+
+        var range = new DomPosition(c, 1).toRange();
+        t.assert(range.collapsed);
+        t.assertEquals(range.startContainer, c);
+        t.assertEquals(range.startOffset, 1);
+
+        range.setStartAndEnd(ab, 1, c, 1);
+        t.assert(DomPosition.fromRange(range).equals( new DomPosition(ab, 1) ));
+        t.assert(DomPosition.fromRange(range, true).equals( new DomPosition(c, 1) ));
+        t.assert(new DomPosition(div, 2).getCanonical().equals( new DomPosition(c, 1) ));
+    });
+}, false);
+
+xn.test.suite("Live ranges", function(s) {
+    if (rangy.features.liveRanges) {
+        s.setUp = function(t) {
+            t.el = document.body.appendChild(document.createElement("div"));
+            t.el.innerHTML = "one<b>two</b>three";
+            t.range = rangy.createRangyRange();
+            t.range.setLive(true);
+        };
+
+        s.tearDown = function(t) {
+            t.range.setLive(false);
+            t.el.parentNode.removeChild(t.el);
+        };
+
+        s.test("Insert node before range", function(t) {
+            var range = t.range, el = t.el;
+            range.setStartAndEnd(el, 1, el, 2);
+            el.insertBefore(document.createElement("br"), el.firstChild);
+            t.assertEquals(range.startContainer, el);
+            t.assertEquals(range.startOffset, 2);
+            t.assertEquals(range.endContainer, el);
+            t.assertEquals(range.endOffset, 3);
+        });
+
+        s.test("Insert node at collapsed boundary", function(t) {
+            var range = t.range, el = t.el;
+            range.setStartAndEnd(el, 1);
+            el.insertBefore(document.createElement("br"), el.childNodes[1]);
+            t.assertEquals(range.startOffset, 1);
+            t.assertEquals(range.endOffset, 1);
+        });
+
+        s.test("Remove node containing range", function(t) {
+            var range = t.range, el = t.el, b = el.childNodes[1];
+            range.setStartAndEnd(b.firstChild, 1, b.firstChild, 2);
+            el.removeChild(b);
+            t.assert(range.collapsed);
+            t.assertEquals(range.startContainer, el);
+            t.assertEquals(range.startOffset, 1);
+        });
+
+        s.test("Insert text before range in text node", function(t) {
+            var range = t.range, textNode = t.el.lastChild;
+            range.setStartAndEnd(textNode, 1, textNode, 3);
+            textNode.insertData(0, "xx");
+            t.assertEquals(range.startOffset, 3);
+            t.assertEquals(range.endOffset, 5);
+            t.assertEquals(range.toString(), "hr");
+        });
+
+        s.test("Delete text containing range boundary", function(t) {
+            var range = t.range, textNode = t.el.lastChild;
+            range.setStartAndEnd(textNode, 2, textNode, 4);
+            textNode.deleteData(1, 2);
+            t.assertEquals(range.startOffset, 1);
+            t.assertEquals(range.endOffset, 2);
+        });
+
+        s.test("splitText", function(t) {
+            var range = t.range, textNode = t.el.firstChild;
+            range.setStartAndEnd(textNode, 1, textNode, 3);
+            var newNode = textNode.splitText(2);
+            t.assertEquals(range.startContainer, textNode);
+            t.assertEquals(range.startOffset, 1);
+            t.assertEquals(range.endContainer, newNode);
+            t.assertEquals(range.endOffset, 1);
+        });
+
+        s.test("normalize", function(t) {
+            var range = t.range, el = t.el, textNode = el.firstChild;
+            var newNode = textNode.splitText(2);
+            range.setStartAndEnd(newNode, 1, el, 2);
+            el.normalize();
+            t.assertEquals(range.startContainer, textNode);
+            t.assertEquals(range.startOffset, 3);
+            t.assertEquals(range.endContainer, el);
+            t.assertEquals(range.endOffset, 1);
+        });
+
+        s.test("setLive(false) stops tracking", function(t) {
+            var range = t.range, el = t.el;
+            range.setStartAndEnd(el, 1, el, 2);
+            range.setLive(false);
+            t.assertFalse(range.isLive());
+            el.insertBefore(document.createElement("br"), el.firstChild);
+            t.assertEquals(range.startOffset, 1);
+            t.assertEquals(range.endOffset, 2);
+        });
+    }
+}, false);
+
+xn.test.suite("Shadow DOM ranges", function(s) {
+    if (rangy.features.implementsShadowDom) {
+        s.setUp = function(t) {
+            t.host = document.body.appendChild(document.createElement("div"));
+            t.shadowRoot = t.host.attachShadow({ mode: "open" });
+            t.shadowRoot.innerHTML = "one <b>two</b> three";
+        };
+
+        s.tearDown = function(t) {
+            document.body.removeChild(t.host);
+        };
+
+        s.test("Range within shadow root", function(t) {
+            var range = rangy.createRangyRange(t.shadowRoot);
+            range.setStartAndEnd(t.shadowRoot.firstChild, 1, t.shadowRoot.lastChild, 2);
+            t.assertEquals(range.toString(), "ne two t");
+            t.assertEquals(range.commonAncestorContainer, t.shadowRoot);
+            t.assert(range.isValid());
+        });
+
+        s.test("Range boundary moved out of shadow root collapses range", function(t) {
+            var range = rangy.createRangyRange(t.shadowRoot);
+            range.setStartAndEnd(t.shadowRoot.firstChild, 1, t.shadowRoot.lastChild, 2);
+            range.setEnd(document.body, 0);
+            t.assert(range.collapsed);
+            t.assertEquals(range.startContainer, document.body);
+        });
+
+        s.test("comparePoints composed", function(t) {
+            var dom = rangy.dom;
+            var host = document.createElement("div");
+            var lightText = host.appendChild(document.createTextNode("Light"));
+            var shadowRoot = host.attachShadow({ mode: "open" });
+            var shadowText = shadowRoot.appendChild(document.createTextNode("Shadow"));
+            var div = document.createElement("div");
+            var text1 = div.appendChild(document.createTextNode("One"));
+            div.appendChild(host);
+            document.body.appendChild(div);
+
+            t.assertEquals(dom.getRootContainer(shadowText), shadowRoot);
+            t.assertEquals(dom.getRootContainer(shadowText, true), document);
+            t.assertEquals(dom.getCommonAncestor(shadowText, text1), null);
+            t.assertEquals(dom.getCommonAncestor(shadowText, text1, true), div);
+            t.assert(dom.isShadowRoot(shadowRoot));
+            t.assertFalse(dom.isShadowRoot(document.createDocumentFragment()));
+
+            t.assertEquals(dom.comparePoints(text1, 1, shadowText, 2, true), -1);
+            t.assertEquals(dom.comparePoints(shadowText, 2, text1, 1, true), 1);
+            t.assertEquals(dom.comparePoints(shadowText, 2, lightText, 0, true), -1);
+            t.assertEquals(dom.comparePoints(host, 0, shadowText, 0, true), -1);
+            t.assertEquals(dom.comparePoints(host, 1, shadowText, 0, true), 1);
+            t.assertError(function() {
+                dom.comparePoints(text1, 1, shadowText, 2);
+            });
+
+            document.body.removeChild(div);
+        });
+    }
+}, false);
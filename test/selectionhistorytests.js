@@ -0,0 +1,226 @@
+xn.test.suite("Selection history module tests", function(s) {
+    var history;
+
+    s.setUp = function() {
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "<p>one two three four</p>";
+        history = rangy.createSelectionHistory(window, { containerNode: testEl, autoRecord: false, maxSize: 3 });
+    };
+
+    s.tearDown = function() {
+        history.detach();
+        rangy.getSelection().removeAllRanges();
+        document.getElementById("test").innerHTML = "";
+    };
+
+    function getSelectionStart(sel) {
+        return sel.getRangeAt(0).getBookmark(document.getElementById("test")).start;
+    }
+
+    s.test("record test", function(t) {
+        var sel = rangy.getSelection();
+        var textNode = document.getElementById("test").firstChild.firstChild;
+        sel.collapse(textNode, 1);
+        t.assertNotNull(history.record());
+        t.assertNull(history.record());
+        t.assertEquals(history.getLength(), 1);
+        t.assertEquals(history.peek(0).characterRanges[0].start, 1);
+    });
+
+    s.test("Selection outside container is not recorded test", function(t) {
+        var sel = rangy.getSelection();
+        sel.collapse(document.getElementById("messages"), 0);
+        t.assertNull(history.record());
+        t.assertEquals(history.getLength(), 0);
+    });
+
+    s.test("back and forward test", function(t) {
+        var sel = rangy.getSelection();
+        var textNode = document.getElementById("test").firstChild.firstChild;
+        sel.collapse(textNode, 1);
+        history.record();
+        sel.collapse(textNode, 5);
+        history.record();
+        var range = rangy.createRange();
+        range.setStartAndEnd(textNode, 8, 13);
+        sel.setSingleRange(range);
+        history.record();
+
+        t.assert(history.canGoBack());
+        t.assertFalse(history.canGoForward());
+
+        t.assert(history.back());
+        t.assert(sel.isCollapsed);
+        t.assertEquals(getSelectionStart(sel), 5);
+
+        t.assert(history.back());
+        t.assertEquals(getSelectionStart(sel), 1);
+        t.assertFalse(history.back());
+
+        t.assert(history.forward());
+        t.assert(history.forward());
+        t.assertEquals(sel.toString(), "three");
+        t.assertFalse(history.forward());
+    });
+
+    s.test("Entries survive DOM changes test", function(t) {
+        var sel = rangy.getSelection();
+        var para = document.getElementById("test").firstChild;
+        var range = rangy.createRange();
+        range.setStartAndEnd(para.firstChild, 4, 7);
+        sel.setSingleRange(range);
+        history.record();
+        sel.collapse(para.firstChild, 0);
+        history.record();
+
+        para.innerHTML = "one <b>two</b> three four";
+        history.back();
+        t.assertEquals(sel.toString(), "two");
+    });
+
+    if (rangy.features.selectionHasExtend) {
+        s.test("Backward selection restored test", function(t) {
+            var sel = rangy.getSelection();
+            var textNode = document.getElementById("test").firstChild.firstChild;
+            var range = rangy.createRange();
+            range.setStartAndEnd(textNode, 4, 7);
+            sel.setSingleRange(range, "backward");
+            history.record();
+            sel.collapse(textNode, 0);
+            history.record();
+
+            history.back();
+            t.assert(sel.isBackward());
+            t.assertEquals(sel.toString(), "two");
+        });
+    }
+
+    s.test("peek test", function(t) {
+        var sel = rangy.getSelection();
+        var textNode = document.getElementById("test").firstChild.firstChild;
+        sel.collapse(textNode, 1);
+        history.record();
+        sel.collapse(textNode, 2);
+        history.record();
+        history.back();
+
+        t.assertEquals(history.peek(0).characterRanges[0].start, 1);
+        t.assertEquals(history.peek(1).characterRanges[0].start, 2);
+        t.assertNull(history.peek(-1));
+        t.assertEquals(history.getEntryRanges(history.peek(1))[0].startOffset, 2);
+    });
+
+    s.test("Recording after going back discards later entries test", function(t) {
+        var sel = rangy.getSelection();
+        var textNode = document.getElementById("test").firstChild.firstChild;
+        sel.collapse(textNode, 1);
+        history.record();
+        sel.collapse(textNode, 2);
+        history.record();
+        history.back();
+        sel.collapse(textNode, 3);
+        history.record();
+
+        t.assertEquals(history.getLength(), 2);
+        t.assertFalse(history.canGoForward());
+        t.assertEquals(history.peek(-1).characterRanges[0].start, 1);
+    });
+
+    s.test("maxSize test", function(t) {
+        var sel = rangy.getSelection();
+        var textNode = document.getElementById("test").firstChild.firstChild;
+        for (var i = 1; i <= 5; ++i) {
+            sel.collapse(textNode, i);
+            history.record();
+        }
+
+        t.assertEquals(history.getLength(), 3);
+        t.assertEquals(history.peek(-2).characterRanges[0].start, 3);
+    });
+
+    s.test("TextRange type test", function(t) {
+        var testEl = document.getElementById("test");
+        var textRangeHistory = rangy.createSelectionHistory(window, {
+            containerNode: testEl,
+            autoRecord: false,
+            type: "TextRange"
+        });
+        var sel = rangy.getSelection();
+        sel.collapse(testEl.firstChild.firstChild, 2);
+        textRangeHistory.record();
+        sel.collapse(testEl.firstChild.firstChild, 4);
+        textRangeHistory.record();
+        textRangeHistory.back();
+
+        t.assertEquals(getSelectionStart(sel), 2);
+        textRangeHistory.detach();
+    });
+
+    if (rangy.features.implementsWinGetSelection && rangy.features.implementsDomRange) {
+        var selectionChangeEventType = ("onselectionchange" in document) ? "selectionchange" : "mouseup";
+
+        var selectNatively = function(node, start, end) {
+            var range = document.createRange();
+            range.setStart(node, start);
+            range.setEnd(node, end);
+            var nativeSel = window.getSelection();
+            nativeSel.removeAllRanges();
+            nativeSel.addRange(range);
+
+            var evt = document.createEvent("Event");
+            evt.initEvent(selectionChangeEventType, false, false);
+            document.dispatchEvent(evt);
+        };
+
+        s.test("Automatic recording test", function(t) {
+            t.async(2000);
+            var testEl = document.getElementById("test");
+            var textNode = testEl.firstChild.firstChild;
+            var autoHistory = rangy.createSelectionHistory(window, { containerNode: testEl, debounce: 10 });
+
+            // Changes are recorded once the user stops changing the selection, and only within the container
+            selectNatively(textNode, 0, 1);
+            selectNatively(textNode, 0, 3);
+            selectNatively(document.getElementById("messages"), 0, 0);
+            selectNatively(textNode, 4, 7);
+            t.assertEquals(autoHistory.getLength(), 0);
+
+            window.setTimeout(function() {
+                t.assertEquals(autoHistory.getLength(), 1);
+                t.assertEquals(autoHistory.peek(0).characterRanges[0].start, 4);
+                autoHistory.detach();
+                t.succeed();
+            }, 100);
+        });
+
+        s.test("Restoring an entry does not record it again test", function(t) {
+            t.async(2000);
+            var testEl = document.getElementById("test");
+            var textNode = testEl.firstChild.firstChild;
+            var autoHistory = rangy.createSelectionHistory(window, { containerNode: testEl, debounce: 0 });
+
+            selectNatively(textNode, 0, 3);
+            selectNatively(textNode, 4, 7);
+            t.assertEquals(autoHistory.getLength(), 2);
+
+            autoHistory.back();
+            var evt = document.createEvent("Event");
+            evt.initEvent(selectionChangeEventType, false, false);
+            document.dispatchEvent(evt);
+
+            window.setTimeout(function() {
+                t.assertEquals(autoHistory.getLength(), 2);
+                t.assert(autoHistory.canGoForward());
+                t.assertEquals(rangy.getSelection().toString(), "one");
+                autoHistory.detach();
+                t.succeed();
+            }, 50);
+        });
+    }
+
+    s.test("Invalid type test", function(t) {
+        t.assertError(function() {
+            rangy.createSelectionHistory(window, { type: "foo" });
+        });
+    });
+}, false);
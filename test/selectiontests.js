@@ -40,6 +40,7 @@ function testSelectionAndRangeCreators(wins, winName, selectionCreator, selectio
         var win, doc;
         var DomRange = rangy.DomRange;
         var DOMException = rangy.DOMException;
+        var isRangySelection = (selectionCreator === createRangySelection);
 
         s.setUp = function(t) {
             win = wins[0];
@@ -204,6 +205,102 @@ function testSelectionAndRangeCreators(wins, winName, selectionCreator, selectio
             }, setUp_noRangeCheck, tearDown_noRangeCheck);
         }
 
+        if (isRangySelection) {
+            s.test("setRanges with RangeSet test", function(t) {
+                var sel = selectionCreator(win);
+                var range1 = rangeCreator(doc);
+                range1.setStart(t.nodes.plainText, 1);
+                range1.setEnd(t.nodes.plainText, 3);
+                var range2 = rangeCreator(doc);
+                range2.setStart(t.nodes.plainText, 2);
+                range2.setEnd(t.nodes.boldText, 1);
+                sel.setRanges( rangy.createRangeSet([range2, range1]) );
+                t.assertEquals(sel.rangeCount, 1);
+                t.assertEquals(sel.toString(), "lainb");
+            }, setUp_noRangeCheck, tearDown_noRangeCheck);
+        }
+
+        if (isRangySelection) {
+            s.test("restrict test", function(t) {
+                var sel = selectionCreator(win);
+                var range = rangeCreator(doc);
+                range.setStart(t.nodes.plainText, 1);
+                range.setEnd(t.nodes.boldText, 2);
+                sel.setSingleRange(range);
+
+                t.assertEquals(sel.restrict(t.nodes.b), sel);
+                t.assertEquals(sel.toString(), "bo");
+
+                range.selectNodeContents(t.nodes.plainText);
+                sel.setSingleRange(range);
+                t.assertNull(sel.restrict(t.nodes.b));
+                t.assertEquals(sel.rangeCount, 0);
+            }, setUp_noRangeCheck, tearDown_noRangeCheck);
+        }
+
+        if (isRangySelection && rangy.features.selectionHasExtend) {
+            s.test("restrict backward selection test", function(t) {
+                var sel = selectionCreator(win);
+                var range = rangeCreator(doc);
+                range.setStart(t.nodes.plainText, 1);
+                range.setEnd(t.nodes.boldText, 2);
+                sel.setSingleRange(range, "backward");
+
+                sel.restrict(t.nodes.b);
+                t.assert(sel.isBackward());
+                t.assertEquals(sel.toString(), "bo");
+            }, setUp_noRangeCheck, tearDown_noRangeCheck);
+        }
+
+        s.test("extend test", function(t) {
+            var sel = selectionCreator(win);
+            sel.collapse(t.nodes.plainText, 1);
+            sel.extend(t.nodes.boldText, 2);
+            t.assertEquivalent(sel.anchorNode, t.nodes.plainText);
+            t.assertEquals(sel.anchorOffset, 1);
+            t.assertEquivalent(sel.focusNode, t.nodes.boldText);
+            t.assertEquals(sel.focusOffset, 2);
+            t.assertEquals(sel.toString(), "lainbo");
+        }, setUp_noRangeCheck, tearDown_noRangeCheck);
+
+        if (isRangySelection && rangy.features.selectionHasExtend) {
+            s.test("extend backward test", function(t) {
+                var sel = selectionCreator(win);
+                sel.collapse(t.nodes.boldText, 2);
+                sel.extend(t.nodes.plainText, 1);
+                t.assert(sel.isBackward());
+                t.assertEquivalent(sel.anchorNode, t.nodes.boldText);
+                t.assertEquals(sel.anchorOffset, 2);
+                t.assertEquivalent(sel.focusNode, t.nodes.plainText);
+                t.assertEquals(sel.focusOffset, 1);
+            }, setUp_noRangeCheck, tearDown_noRangeCheck);
+        }
+
+        s.test("extend with no ranges test", function(t) {
+            var sel = selectionCreator(win);
+            sel.removeAllRanges();
+            t.assertError(function() {
+                sel.extend(t.nodes.plainText, 1);
+            });
+        }, setUp_noRangeCheck, tearDown_noRangeCheck);
+
+        if (isRangySelection) {
+            s.test("constrainTo test", function(t) {
+                var sel = selectionCreator(win);
+                var range = rangeCreator(doc);
+                range.setStart(t.nodes.plainText, 1);
+                range.setEnd(t.nodes.boldText, 2);
+                sel.setSingleRange(range);
+
+                sel.constrainTo(t.nodes.b);
+                t.assertEquals(sel.getConstraintNode(), t.nodes.b);
+                t.assertEquals(sel.toString(), "bo");
+
+                sel.removeConstraint();
+                t.assertNull(sel.getConstraintNode());
+            }, setUp_noRangeCheck, tearDown_noRangeCheck);
+        }
+
         s.test("getRangeAt test", function(t) {
             var sel = selectionCreator(win);
             sel.removeAllRanges();
@@ -823,6 +920,84 @@ xn.test.suite("Miscellaneous selection tests", function(s) {
         }
     });
 
+    if (rangy.features.implementsWinGetSelection && rangy.features.implementsDomRange) {
+        s.test("onSelectionChange test", function(t) {
+            var el = document.body.appendChild(document.createElement("div"));
+            el.innerHTML = "<p>one two</p><p>three</p>";
+            var text1 = el.firstChild.firstChild, text2 = el.lastChild.firstChild;
+            var eventType = ("onselectionchange" in document) ? "selectionchange" : "mouseup";
+            var calls = [], containerCalls = [];
+
+            function selectNatively(node, start, end) {
+                var range = document.createRange();
+                range.setStart(node, start);
+                range.setEnd(node, end);
+                var nativeSel = window.getSelection();
+                nativeSel.removeAllRanges();
+                nativeSel.addRange(range);
+
+                var evt = document.createEvent("Event");
+                evt.initEvent(eventType, false, false);
+                document.dispatchEvent(evt);
+            }
+
+            selectNatively(text1, 0, 1);
+            var subscription = rangy.onSelectionChange(window, function(sel, previousSel, direction) {
+                calls.push([sel.toString(), previousSel.toString(), direction]);
+            });
+            var containerSubscription = rangy.onSelectionChange(window, function(sel) {
+                containerCalls.push(sel.toString());
+            }, { container: el.lastChild });
+
+            selectNatively(text1, 0, 3);
+            t.assertEquals(calls.length, 1);
+            t.assertArraysEquivalent(calls[0], ["one", "o", "forward"]);
+            t.assertEquals(containerCalls.length, 0);
+
+            // Changes made through Rangy are ignored by default
+            var range = rangy.createRange();
+            range.setStartAndEnd(text1, 4, 7);
+            rangy.getSelection().setSingleRange(range);
+            selectNatively(text1, 4, 7);
+            t.assertEquals(calls.length, 1);
+
+            selectNatively(text2, 0, 5);
+            t.assertEquals(calls.length, 2);
+            t.assertArraysEquivalent(calls[1], ["three", "two", "forward"]);
+            t.assertArraysEquivalent(containerCalls, ["three"]);
+
+            subscription.detach();
+            containerSubscription.detach();
+            selectNatively(text1, 0, 1);
+            t.assertEquals(calls.length, 2);
+
+            document.body.removeChild(el);
+        });
+
+        s.test("onSelectionChange updates its record once per Rangy call", function(t) {
+            var el = document.body.appendChild(document.createElement("div"));
+            el.innerHTML = "one two";
+            var subscription = rangy.onSelectionChange(window, function() {});
+            var updateCount = 0, acceptCurrent = subscription.acceptCurrent;
+            subscription.acceptCurrent = function() {
+                ++updateCount;
+                return acceptCurrent.apply(this, arguments);
+            };
+
+            var sel = rangy.getSelection(), range = rangy.createRange();
+            range.setStartAndEnd(el.firstChild, 0, 3);
+            sel.setSingleRange(range);
+            t.assertEquals(updateCount, 1);
+            sel.setRanges([range]);
+            t.assertEquals(updateCount, 2);
+            sel.restrict(el);
+            t.assertEquals(updateCount, 3);
+
+            subscription.detach();
+            document.body.removeChild(el);
+        });
+    }
+
     s.test("iframe createRange() parameter tests", function(t) {
         var win = rangy.dom.getIframeWindow(iframeEl);
 
@@ -7,4 +7,84 @@ xn.test.suite("Class Applier module tests", function(s) {
         t.assertFalse(rangy.canDeserializeRange("0/9999:1,0/9999:20{a1b2c3d4}"))
     });
 
+    s.test("Visually identical ranges serialize identically", function(t) {
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one<b>two</b>three";
+        var range1 = rangy.createRange(), range2 = rangy.createRange();
+        range1.setStartAndEnd(testEl, 1, testEl, 2);
+        range2.setStartAndEnd(testEl.firstChild, 3, testEl.lastChild, 0);
+
+        var serialized = rangy.serializeRange(range1, true, testEl, true);
+        t.assertEquals(serialized, rangy.serializeRange(range2, true, testEl, true));
+        t.assert(rangy.deserializeRange(serialized, testEl).visuallyEquals(range1));
+    });
+
+    s.test("Range boundaries between nodes are serialized as canonical text positions", function(t) {
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one<b>two</b>three";
+        var range = rangy.createRange();
+        range.setStartAndEnd(testEl, 1, testEl, 2);
+        t.assertEquals(rangy.serializeRange(range, true, testEl, true), "0:3,0/1:3");
+
+        range.setStartAndEnd(testEl.childNodes[1].firstChild, 0, testEl.lastChild, 0);
+        t.assertEquals(rangy.serializeRange(range, true, testEl, true), "0:3,0/1:3");
+    });
+
+    s.test("Ranges are serialized as they are by default", function(t) {
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one<b>two</b>three";
+        var range = rangy.createRange();
+        range.setStartAndEnd(testEl, 1, testEl, 2);
+        t.assertEquals(rangy.serializeRange(range, true, testEl), ":1,:2");
+
+        range.setStartAndEnd(testEl.childNodes[1].firstChild, 3, testEl.childNodes[1].firstChild, 3);
+        t.assertEquals(rangy.serializeRange(range, true, testEl), "0/1:3,0/1:3");
+    });
+
+    s.test("Web Annotation selectors round trip test", function(t) {
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = '<p>one two</p><p id="p2">three <b>four</b> five</p>';
+        var range = rangy.createRange();
+        range.setStartAndEnd(testEl.lastChild.firstChild, 2, testEl.lastChild.lastChild, 3);
+
+        var selectorTypes = ["TextQuoteSelector", "TextPositionSelector", "XPathSelector", "CssSelector", "RangeSelector"];
+        for (var i = 0; i < selectorTypes.length; ++i) {
+            var selector = rangy.rangeToSelector(range, selectorTypes[i], { rootNode: testEl });
+            t.assertEquals(selector.type, selectorTypes[i]);
+            t.assert(rangy.selectorToRange(selector, { rootNode: testEl }).equals(range));
+        }
+
+        var quote = rangy.rangeToSelector(range, "TextQuoteSelector", { rootNode: testEl, contextLength: 3 });
+        t.assertEquals(quote.exact, "ree four fi");
+        t.assertEquals(quote.prefix, "oth");
+        t.assertEquals(quote.suffix, "ve");
+        t.assertEquals(rangy.rangeToSelector(range, "CssSelector").value, "#p2");
+    });
+
+    s.test("TextQuoteSelector uses prefix and suffix to choose between matches test", function(t) {
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "one two three two four";
+        var selector = { type: "TextQuoteSelector", exact: "two", prefix: "three ", suffix: " four" };
+        var range = rangy.selectorToRange(selector, { rootNode: testEl });
+        t.assertEquals(range.startOffset, 14);
+        t.assertEquals(range.endOffset, 17);
+
+        t.assertNull(rangy.selectorToRange({ type: "TextQuoteSelector", exact: "five" }, { rootNode: testEl }));
+        t.assertError(function() {
+            rangy.selectorToRange({ type: "SvgSelector", value: "<svg/>" }, { rootNode: testEl });
+        });
+    });
+
+    s.test("getXPath and resolveXPath test", function(t) {
+        var testEl = document.getElementById("test");
+        testEl.innerHTML = "<p>one</p>two<p>three <b>four</b></p>";
+        var bold = testEl.getElementsByTagName("b")[0];
+        t.assertEquals(rangy.getXPath(bold, testEl), "p[2]/b[1]");
+        t.assertEquals(rangy.getXPath(testEl.childNodes[1], testEl), "text()[1]");
+        t.assertEquals(rangy.getXPath(testEl, testEl), ".");
+        t.assertEquals(rangy.resolveXPath("p[2]/b[1]", testEl), bold);
+        t.assertEquals(rangy.resolveXPath(rangy.getXPath(bold)), bold);
+        t.assertNull(rangy.resolveXPath("p[3]", testEl));
+    });
+
 }, false);
\ No newline at end of file
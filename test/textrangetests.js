@@ -1221,6 +1221,83 @@ xn.test.suite("Text Range module tests", function(s) {
         testRangeBoundaries(t, range, secondParaTextNode, 2, secondParaTextNode, 2);
     });
 
+    s.test("Selection modify by character and word test", function(t) {
+        t.el.innerHTML = "One two three";
+        var textNode = t.el.firstChild;
+        var sel = rangy.getSelection();
+
+        sel.collapse(textNode, 0);
+        sel.modify("move", "forward", "word");
+        t.assert(sel.isCollapsed);
+        t.assertEquals(sel.focusOffset, 3);
+
+        sel.modify("extend", "forward", "word");
+        t.assertEquals(sel.toString(), " two");
+
+        sel.modify("extend", "backward", "character");
+        t.assertEquals(sel.toString(), " tw");
+
+        sel.modify("move", "backward", "character");
+        t.assert(sel.isCollapsed);
+        t.assertEquals(sel.focusOffset, 3);
+
+        sel.modify("move", "sideways", "word");
+        t.assertEquals(sel.focusOffset, 3);
+    });
+
+    s.test("Selection modify by sentence test", function(t) {
+        t.el.innerHTML = "One two. Three four! Five.";
+        var textNode = t.el.firstChild;
+        var sel = rangy.getSelection();
+
+        sel.collapse(textNode, 0);
+        sel.modify("extend", "forward", "sentence");
+        t.assertEquals(sel.toString(), "One two.");
+
+        sel.modify("extend", "forward", "sentence");
+        t.assertEquals(sel.toString(), "One two. Three four!");
+
+        sel.collapse(textNode, 11);
+        sel.modify("move", "backward", "sentence");
+        t.assertEquals(sel.focusOffset, 9);
+
+        sel.modify("move", "backward", "sentence");
+        t.assertEquals(sel.focusOffset, 0);
+    });
+
+    s.test("Selection modify by paragraph test", function(t) {
+        t.el.innerHTML = "<p>One. Two.</p><p>Three</p>";
+        var textNode = t.el.firstChild.firstChild;
+        var secondParaTextNode = t.el.lastChild.firstChild;
+        var sel = rangy.getSelection();
+
+        sel.collapse(textNode, 2);
+        sel.modify("move", "forward", "paragraph");
+        testRangeBoundaries(t, sel.getRangeAt(0), textNode, 9, textNode, 9);
+
+        sel.collapse(secondParaTextNode, 3);
+        sel.modify("move", "backward", "paragraph");
+        testRangeBoundaries(t, sel.getRangeAt(0), secondParaTextNode, 0, secondParaTextNode, 0);
+
+        sel.modify("move", "backward", "paragraph");
+        testRangeBoundaries(t, sel.getRangeAt(0), textNode, 0, textNode, 0);
+    });
+
+    if (rangy.features.selectionHasExtend) {
+        s.test("Selection modify extend backward selection test", function(t) {
+            t.el.innerHTML = "One two three";
+            var textNode = t.el.firstChild;
+            var sel = rangy.getSelection();
+            var range = rangy.createRange();
+            range.setStartAndEnd(textNode, 4, textNode, 7);
+            sel.setSingleRange(range, "backward");
+
+            sel.modify("extend", "backward", "word");
+            t.assert(sel.isBackward());
+            t.assertEquals(sel.toString(), "One two");
+        });
+    }
+
     s.test("toCharacterRange test (issue 286)", function(t) {
         t.el.innerHTML = '<pre class="code-block lang-javascript ng-scope"><span class="hljs-keyword">for</span> (<span class="hljs-keyword">var</span> i=<span class="hljs-number">0</span>; i &lt;<span class="hljs-number">10</span>; i++) {  <span class="hljs-built_in">console</span>.log (i); }</pre>';
         var textNode = t.el.firstChild.lastChild;
@@ -1311,4 +1388,22 @@ xn.test.suite("Text Range module tests", function(s) {
         t.assertArraysEquivalent(words, ["Hello", "Goodbye"]);
     });
 
+    s.test("Text segments skipping ignored and collapsed nodes", function(t) {
+        t.el.innerHTML = 'One<span style="display: none">two</span> <i style="visibility: hidden">five</i><script>three</script>four';
+        var range = rangy.createRange();
+        range.selectNodeContents(t.el);
+
+        function getSegmentTexts(options) {
+            var texts = [];
+            rangy.util.forEach(range.getTextSegments(options), function(segment) {
+                texts.push(segment.getText());
+            });
+            return texts;
+        }
+
+        t.assertArraysEquivalent(getSegmentTexts(), ["One", "two", " ", "five", "three", "four"]);
+        t.assertArraysEquivalent(getSegmentTexts({ skipIgnored: true }), ["One", " ", "five", "four"]);
+        t.assertArraysEquivalent(getSegmentTexts({ skipCollapsed: true }), ["One", " ", "four"]);
+    });
+
 }, false);